@@ -0,0 +1,107 @@
+'use strict'
+
+const crypto = require('crypto')
+const { createStore } = require('./store')
+const cacheCrypto = require('./cache_crypto')
+
+/**
+ * Agent session cache.
+ *
+ * The Okta agent access token never leaves the proxy. Instead, it is stored here against a session id,
+ * and the access tokens we mint for the MCP client carry that session id in their "sid" claim.
+ * The session id is shared with the refresh token family for the same login, so a refresh simply swaps in a new agent token.
+ */
+
+// Cache for storing agent sessions.
+// Key: session id, Value: { tenantId, clientId, subject, agentAccessToken, agentAccessTokenScope, agentAccessTokenExpiresAt, idToken, createdAt }
+const agentSessionCache = createStore('agent_sessions')
+
+// Index from agent access tokens to their session, so a session can be found (and revoked) by its agent token.
+// Key: SHA-256 hash of the agent access token, Value: session id
+const agentTokenSessions = createStore('agent_token_sessions')
+
+// Sessions live as long as the refresh token family they belong to.
+const SESSION_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 24 * 60 * 60) * 1000
+
+// Fields that are encrypted before they are written to the store.
+const SENSITIVE_FIELDS = ['agentAccessToken', 'idToken']
+
+// How long an agent access token is assumed to live if Okta doesn't say (Okta's default access token lifetime).
+const DEFAULT_AGENT_TOKEN_TTL_SECONDS = 60 * 60
+
+/**
+ * Stores (or replaces) the agent access token for a session
+ * @param {string} sessionId - The session id
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} clientId - The client the session belongs to
+ * @param {string} subject - The user the session belongs to
+ * @param {string} agentAccessToken - The Okta agent access token
+ * @param {string} agentAccessTokenScope - The scope of the agent access token
+ * @param {number} agentAccessTokenExpiresIn - Seconds until the agent access token expires. An hour is assumed if it's missing
+ * @param {string} idToken - The user's verified Okta ID token, used for /userinfo
+ * @returns {Promise<Object>} - The cached session
+ */
+async function saveSession(sessionId, tenantId, clientId, subject, agentAccessToken, agentAccessTokenScope, agentAccessTokenExpiresIn, idToken) {
+  const existing = await getSession(sessionId)
+  const createdAt = existing ? existing.createdAt : Date.now()
+  const expiresIn = Number(agentAccessTokenExpiresIn) > 0 ? Number(agentAccessTokenExpiresIn) : DEFAULT_AGENT_TOKEN_TTL_SECONDS
+
+  const session = {
+    tenantId: tenantId,
+    clientId: clientId,
+    subject: subject,
+    agentAccessToken: agentAccessToken,
+    agentAccessTokenScope: agentAccessTokenScope,
+    agentAccessTokenExpiresAt: Date.now() + expiresIn * 1000,
+    idToken: idToken,
+    createdAt: createdAt
+  }
+
+  // A refresh doesn't extend the session- it still ends when the login's refresh token family does.
+  const remainingTtlMs = SESSION_TTL_MS - (Date.now() - createdAt)
+  await agentSessionCache.set(sessionId, cacheCrypto.sealFields(session, SENSITIVE_FIELDS, `agent_sessions:${sessionId}`), remainingTtlMs)
+  await agentTokenSessions.set(hashAgentAccessToken(agentAccessToken), sessionId, remainingTtlMs)
+  return session
+}
+
+/**
+ * Hashes an agent access token for the agent token index. The token itself is never used as a key.
+ * @param {string} agentAccessToken - The Okta agent access token
+ * @returns {string} - The hash
+ */
+function hashAgentAccessToken(agentAccessToken) {
+  return crypto.createHash('sha256').update(agentAccessToken).digest('base64url')
+}
+
+/**
+ * Finds the session an agent access token belongs to
+ * @param {string} agentAccessToken - The Okta agent access token
+ * @returns {Promise<string|null>} - The session id or null if the token is unknown
+ */
+async function findSessionIdByAgentToken(agentAccessToken) {
+  return await agentTokenSessions.get(hashAgentAccessToken(agentAccessToken))
+}
+
+/**
+ * Retrieves an agent session
+ * @param {string} sessionId - The session id
+ * @returns {Promise<Object|null>} - The cached session or null if not found/expired
+ */
+async function getSession(sessionId) {
+  return cacheCrypto.openFields(await agentSessionCache.get(sessionId), SENSITIVE_FIELDS, `agent_sessions:${sessionId}`)
+}
+
+/**
+ * Removes an agent session
+ * @param {string} sessionId - The session id
+ */
+async function deleteSession(sessionId) {
+  await agentSessionCache.delete(sessionId)
+}
+
+module.exports = {
+  saveSession,
+  getSession,
+  deleteSession,
+  findSessionIdByAgentToken
+}
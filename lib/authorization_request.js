@@ -0,0 +1,158 @@
+'use strict'
+
+const clientRegistry = require('./client_registry')
+const tokenIssuer = require('./token_issuer')
+
+/**
+ * Validation of inbound authorization requests, shared by /authorize and /par.
+ */
+
+// OIDC scopes a client may request on top of the tenant's scopes. The proxy always returns an ID token and a refresh token.
+const OIDC_SCOPES = ['openid', 'profile', 'offline_access']
+
+// An S256 code_challenge is the base64url encoded SHA-256 hash of the code_verifier (RFC 7636 section 4.2).
+const S256_CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/
+
+/**
+ * Checks that every parameter of a request was sent once, as a plain string (RFC 6749 section 3.1, RFC 9126 section 2.1).
+ * Express turns repeated parameters into arrays and bracketed names (e.g. scope[]) into objects, and neither would be
+ * passed on as the client sent it.
+ * @param {object} parameters - The parsed query or body
+ * @returns {object|null} - { error, error_description } if a parameter is repeated or not a string, otherwise null
+ */
+function validateParameterValues(parameters) {
+  for (const [name, value] of Object.entries(parameters || {})) {
+    if (typeof value !== 'string') {
+      return {
+        error: 'invalid_request',
+        error_description: Array.isArray(value) ? `The ${name} parameter must not be repeated.` : `The ${name} parameter must be a string.`
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Validates a requested scope against the downstream scopes a client may use.
+ * @param {string} scope - The space-separated scope parameter, if any
+ * @param {object} tenant - The tenant configuration
+ * @param {string[]} allowedScopes - The downstream scopes the client may use (see clientRegistry.getAllowedScopes)
+ * @returns {object|null} - { error, error_description } if a scope isn't allowed, otherwise null
+ */
+function validateScope(scope, tenant, allowedScopes) {
+  if (allowedScopes.length === 0) {
+    return { error: 'invalid_scope', error_description: `The client may not use any of tenant '${tenant.id}'s scopes.` }
+  }
+
+  const requestedScopes = (scope || '').split(' ').filter(requestedScope => requestedScope && !OIDC_SCOPES.includes(requestedScope))
+
+  const unsupportedScopes = requestedScopes.filter(requestedScope => !tenant.external_scopes.includes(requestedScope))
+  if (unsupportedScopes.length > 0) {
+    return { error: 'invalid_scope', error_description: `Unsupported scope(s): ${unsupportedScopes.join(' ')}` }
+  }
+
+  const disallowedScopes = requestedScopes.filter(requestedScope => !allowedScopes.includes(requestedScope))
+  if (disallowedScopes.length > 0) {
+    return { error: 'invalid_scope', error_description: `The client may not request scope(s): ${disallowedScopes.join(' ')}` }
+  }
+
+  return null
+}
+
+/**
+ * Works out the downstream scopes to request for a client: the ones it asked for, or every scope it may use if it didn't
+ * ask for any. Only these are requested in the ID-JAG and linked at the vault connection.
+ * @param {string} scope - The space-separated scope parameter, already checked with validateScope
+ * @param {string[]} allowedScopes - The downstream scopes the client may use
+ * @returns {string[]} - The effective scopes
+ */
+function getEffectiveScopes(scope, allowedScopes) {
+  const requestedScopes = (scope || '').split(' ').filter(requestedScope => allowedScopes.includes(requestedScope))
+  return requestedScopes.length > 0 ? [...new Set(requestedScopes)] : allowedScopes
+}
+
+/**
+ * Validates the scope and RFC 8707 resource of an authorization request. Shared with the device authorization grant and token exchange.
+ * @param {URLSearchParams} parameters - The request parameters
+ * @param {object} tenant - The tenant configuration
+ * @param {object} client - The client making the request
+ * @returns {object|null} - { error, error_description } if the scope or resource isn't allowed, otherwise null
+ */
+function validateScopeAndResource(parameters, tenant, client) {
+  const scopeError = validateScope(parameters.get('scope'), tenant, clientRegistry.getAllowedScopes(client, tenant))
+  if (scopeError) {
+    return scopeError
+  }
+
+  // RFC 8707 - the client names the protected resource it wants a token for. It must be this tenant's resource.
+  const resources = parameters.getAll('resource')
+  if (resources.length > 1) {
+    return { error: 'invalid_target', error_description: 'Only one resource may be requested.' }
+  }
+  if (resources.length === 1 && !tokenIssuer.normalizeResource(resources[0], tenant.id)) {
+    return { error: 'invalid_target', error_description: `The resource must be ${tokenIssuer.getResourceUri(tenant.id)} or a URI beneath it.` }
+  }
+
+  return null
+}
+
+/**
+ * Validates an inbound authorization request.
+ *
+ * The client_id and redirect_uri are checked first. If either is bad, there is no trusted place to send the user back to,
+ * so the caller must show an error page (errorPage is true). Any other error can be redirected to the client (RFC 6749 section 4.1.2.1).
+ * @param {URLSearchParams} parameters - The inbound authorization request parameters
+ * @param {object} tenant - The tenant configuration
+ * @returns {Promise<object>} - { client, redirectUri }, plus { error, error_description, errorPage } if the request is invalid
+ */
+async function validateAuthorizationRequest(parameters, tenant) {
+  const clientId = parameters.get('client_id')
+  const client = await clientRegistry.getClient(clientId)
+  if (!client) {
+    return { errorPage: true, error: 'invalid_client', error_description: `Client '${clientId}' is not registered with this proxy.` }
+  }
+
+  // We'll eventually send the user (and an authorization code) back to this redirect_uri, so it must be one the client registered.
+  const redirectUri = parameters.get('redirect_uri')
+  if (!redirectUri || !(client.redirect_uris || []).some(registeredUri => clientRegistry.redirectUriMatches(registeredUri, redirectUri))) {
+    return { errorPage: true, error: 'invalid_request', error_description: 'The redirect_uri is missing or is not registered for this client.' }
+  }
+
+  const result = { client, redirectUri }
+
+  const responseType = parameters.get('response_type')
+  if (!responseType) {
+    return { ...result, error: 'invalid_request', error_description: 'The response_type parameter is required.' }
+  }
+  if (responseType !== 'code') {
+    return { ...result, error: 'unsupported_response_type', error_description: 'Only the code response type is supported.' }
+  }
+
+  // PKCE is required for every client.
+  const codeChallenge = parameters.get('code_challenge')
+  if (!codeChallenge) {
+    return { ...result, error: 'invalid_request', error_description: 'A PKCE code_challenge is required.' }
+  }
+  if (parameters.get('code_challenge_method') !== 'S256') {
+    return { ...result, error: 'invalid_request', error_description: 'The code_challenge_method must be S256.' }
+  }
+  if (!S256_CODE_CHALLENGE_PATTERN.test(codeChallenge)) {
+    return { ...result, error: 'invalid_request', error_description: 'The code_challenge is not a valid S256 challenge.' }
+  }
+
+  const scopeAndResourceError = validateScopeAndResource(parameters, tenant, client)
+  if (scopeAndResourceError) {
+    return { ...result, ...scopeAndResourceError }
+  }
+
+  return result
+}
+
+module.exports = {
+  OIDC_SCOPES,
+  validateParameterValues,
+  validateScope,
+  getEffectiveScopes,
+  validateScopeAndResource,
+  validateAuthorizationRequest
+}
@@ -0,0 +1,208 @@
+'use strict'
+
+const deviceAuthorizationCache = require('./device_authorization_cache')
+const metrics = require('./metrics')
+
+/**
+ * Helpers for sending the user's browser back to an MCP client at the end of (or partway through) an authorization request.
+ *
+ * A redirect_uri may only be used once it has been checked against the client's registration. Until then, errors are shown
+ * to the user on an error page instead, so the proxy can't be used as an open redirector (RFC 6749 section 4.1.2.1).
+ *
+ * Device authorization requests (RFC 8628) have no redirect_uri. Their result is stored for the polling client instead,
+ * and the user is shown a page telling them to return to their device.
+ */
+
+// Errors from Okta or Auth0 that mean the same thing to the MCP client, so they can be passed on as they are.
+// Anything else (e.g. invalid_client) is a problem with the proxy's own configuration, and is reported as a server_error.
+const PASSTHROUGH_ERRORS = ['access_denied', 'temporarily_unavailable', 'server_error', 'login_required', 'consent_required', 'interaction_required']
+
+// Logins (started by authorize.js) that ended with an authorization code (outcome success) or an error for the client (outcome is the error code).
+const authorizationCompletions = metrics.createCounter('mcp_proxy_authorization_completions_total', 'Authorization requests completed after the user\'s login, by tenant and outcome.', ['tenant', 'outcome'])
+
+/**
+ * Builds the URL to redirect the user back to the client with. Existing query parameters on the redirect_uri are kept.
+ * @param {string} redirectUri - The validated redirect_uri of the client
+ * @param {object} parameters - The parameters to add. Parameters with no value are left out
+ * @returns {string} - The redirect URL
+ */
+function buildRedirectUrl(redirectUri, parameters) {
+  const redirectUrl = new URL(redirectUri)
+
+  for (const [name, value] of Object.entries(parameters)) {
+    if (value !== undefined && value !== null) {
+      redirectUrl.searchParams.set(name, value)
+    }
+  }
+
+  return redirectUrl.toString()
+}
+
+/**
+ * Redirects the user back to the client with an RFC 6749 section 4.1.2.1 error response
+ * @param {object} res - The Express response
+ * @param {string} redirectUri - The validated redirect_uri of the client
+ * @param {string} error - The error code
+ * @param {string} errorDescription - Human-readable description of the error
+ * @param {string} state - The state from the client's authorization request, if any
+ */
+function redirectWithError(res, redirectUri, error, errorDescription, state) {
+  return res.redirect(302, buildRedirectUrl(redirectUri, {
+    error: error,
+    error_description: errorDescription,
+    state: state
+  }))
+}
+
+/**
+ * Works out the error code to give the client for an error code returned by Okta or Auth0.
+ * @param {string} upstreamError - The error code from the upstream authorization server
+ * @returns {string} - The error code to send to the client
+ */
+function getClientErrorCode(upstreamError) {
+  return PASSTHROUGH_ERRORS.includes(upstreamError) ? upstreamError : 'server_error'
+}
+
+/**
+ * Works out the error to give the client when a call to Okta or Auth0 fails partway through an authorization request.
+ * The upstream response itself is only logged- it isn't passed on to the client.
+ * @param {Error} error - The error thrown by the upstream call. Axios errors carry the upstream response
+ * @param {string} errorDescription - Human-readable description of the step that failed
+ * @returns {object} - { error, error_description }
+ */
+function getUpstreamFailure(error, errorDescription) {
+  const upstreamError = error.response?.data?.error
+
+  if (upstreamError === 'access_denied') {
+    return { error: 'access_denied', error_description: errorDescription }
+  }
+
+  // No response at all, or a 5xx, is most likely transient.
+  if ((error.request && !error.response) || error.response?.status >= 500) {
+    return { error: 'temporarily_unavailable', error_description: errorDescription }
+  }
+
+  return { error: 'server_error', error_description: errorDescription }
+}
+
+/**
+ * Escapes text for inclusion in HTML.
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+// HTTP status of the error page for an error code.
+const ERROR_PAGE_STATUS = {
+  server_error: 500,
+  temporarily_unavailable: 503
+}
+
+/**
+ * Shows the user a page.
+ * @param {object} res - The Express response
+ * @param {number} status - The HTTP status code
+ * @param {string} title - The page title
+ * @param {string} bodyHtml - The body of the page. Any text in it must already be escaped
+ */
+function sendPage(res, status, title, bodyHtml) {
+  res.header('Cache-Control', 'no-store')
+  // The consent and device confirmation forms must not be framed by another site and clicked through.
+  res.header('X-Frame-Options', 'DENY')
+  res.header('Content-Security-Policy', "frame-ancestors 'none'")
+  return res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${bodyHtml}
+</body>
+</html>
+`)
+}
+
+/**
+ * Shows the user an error page. Used when there is no trusted redirect_uri to send the error to.
+ * @param {object} res - The Express response
+ * @param {number} status - The HTTP status code
+ * @param {string} error - The error code
+ * @param {string} errorDescription - Human-readable description of the error
+ */
+function sendErrorPage(res, status, error, errorDescription) {
+  return sendPage(res, status, 'Authorization Error', `<p>The request could not be completed. Please return to your application and try again.</p>
+  <p><strong>${escapeHtml(error)}</strong>: ${escapeHtml(errorDescription)}</p>`)
+}
+
+/**
+ * Checks whether an authorization request came from the device authorization grant.
+ * Requests from /authorize always have a validated redirect_uri, so they can't pass themselves off as device requests.
+ * @param {URLSearchParams} originalParameters - The parameters of the client's authorization request
+ * @returns {boolean} - True for a device authorization request
+ */
+function isDeviceAuthorization(originalParameters) {
+  return !originalParameters.has('redirect_uri') && originalParameters.has('user_code')
+}
+
+/**
+ * Completes an authorization request with an authorization code.
+ * @param {object} res - The Express response
+ * @param {URLSearchParams} originalParameters - The parameters of the client's authorization request
+ * @param {string} originalState - The state from the client's authorization request, if any
+ * @param {string} code - The authorization code
+ * @param {string} tenantId - The tenant the authorization request is for
+ */
+async function sendAuthorizationCode(res, originalParameters, originalState, code, tenantId) {
+  authorizationCompletions.inc({ tenant: tenantId, outcome: 'success' })
+  if (!isDeviceAuthorization(originalParameters)) {
+    return res.redirect(buildRedirectUrl(originalParameters.get('redirect_uri'), { code: code, state: originalState }))
+  }
+
+  const userCode = originalParameters.get('user_code')
+  if (!await deviceAuthorizationCache.updateDeviceAuthorization(userCode, 'approved', { authorizationCode: code })) {
+    return sendErrorPage(res, 400, 'expired_token', 'The sign-in request from your device has expired. Please start again on your device.')
+  }
+
+  return sendPage(res, 200, 'Device Connected', `<p>You have signed in with code <strong>${escapeHtml(deviceAuthorizationCache.formatUserCode(userCode))}</strong>.</p>
+  <p>You can close this window and return to your device.</p>`)
+}
+
+/**
+ * Fails an authorization request once its redirect_uri has been validated, per RFC 6749 section 4.1.2.1.
+ * @param {object} res - The Express response
+ * @param {URLSearchParams} originalParameters - The parameters of the client's authorization request
+ * @param {string} originalState - The state from the client's authorization request, if any
+ * @param {string} error - The error code
+ * @param {string} errorDescription - Human-readable description of the error
+ * @param {string} tenantId - The tenant the authorization request is for
+ */
+async function sendAuthorizationError(res, originalParameters, originalState, error, errorDescription, tenantId) {
+  authorizationCompletions.inc({ tenant: tenantId, outcome: error })
+  if (!isDeviceAuthorization(originalParameters)) {
+    return redirectWithError(res, originalParameters.get('redirect_uri'), error, errorDescription, originalState)
+  }
+
+  await deviceAuthorizationCache.updateDeviceAuthorization(originalParameters.get('user_code'), 'denied', { error: error, error_description: errorDescription })
+  return sendErrorPage(res, ERROR_PAGE_STATUS[error] || 400, error, errorDescription)
+}
+
+module.exports = {
+  buildRedirectUrl,
+  redirectWithError,
+  getClientErrorCode,
+  getUpstreamFailure,
+  escapeHtml,
+  sendPage,
+  sendErrorPage,
+  sendAuthorizationCode,
+  sendAuthorizationError
+}
@@ -0,0 +1,173 @@
+'use strict'
+
+const crypto = require('crypto')
+const { createLogger } = require('./logger')
+
+const logger = createLogger('cache_crypto')
+
+/**
+ * Encryption at rest for the tokens held in the proxy's caches.
+ *
+ * Sensitive fields (agent access tokens, ID tokens, refresh tokens, Auth0 My Account tokens) are sealed with AES-256-GCM
+ * under the configured key-encryption key before they are written to a store. Each value is bound to the cache entry it
+ * belongs to, so a sealed value can't be copied into a different entry.
+ *
+ * Key rotation: set CACHE_ENCRYPTION_KEY to the new key, and CACHE_ENCRYPTION_KEY_PREVIOUS to the old one.
+ * New entries are sealed with the new key, while entries sealed under the previous key can still be read until they expire.
+ */
+
+const CIPHER = 'aes-256-gcm'
+const IV_LENGTH = 12
+const SEALED_VALUE_VERSION = 'v1'
+
+/**
+ * Parses a base64 encoded 256 bit key, and derives its key id
+ * @param {string} encodedKey - The base64 encoded key
+ * @param {string} name - The environment variable the key came from (for error messages)
+ * @returns {Object} - { id, key }
+ */
+function parseKey(encodedKey, name) {
+  const key = Buffer.from(encodedKey, 'base64')
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a base64 encoded 256 bit key.`)
+  }
+
+  return {
+    id: crypto.createHash('sha256').update(key).digest('base64url').substring(0, 8),
+    key: key
+  }
+}
+
+/**
+ * Loads the key-encryption keys from the environment.
+ * With the memory store, a throwaway key is generated if no key is configured- the cached entries don't survive a restart anyway.
+ * Stores that persist or share entries require a configured key, since entries sealed with a throwaway key can't be read by
+ * another instance or after a restart.
+ * @returns {Object} - { current, all } where all is a Map of key id to key
+ */
+function loadKeys() {
+  let current
+  if (process.env.CACHE_ENCRYPTION_KEY) {
+    current = parseKey(process.env.CACHE_ENCRYPTION_KEY, 'CACHE_ENCRYPTION_KEY')
+  }
+  else if ((process.env.CACHE_STORE || 'memory') !== 'memory') {
+    throw new Error(`CACHE_ENCRYPTION_KEY must be set when CACHE_STORE is '${process.env.CACHE_STORE}'.`)
+  }
+  else {
+    logger.warn('CACHE_ENCRYPTION_KEY is not set. Generating a temporary key- cached tokens will not be readable after a restart.')
+    current = parseKey(crypto.randomBytes(32).toString('base64'), 'CACHE_ENCRYPTION_KEY')
+  }
+
+  const all = new Map([[current.id, current.key]])
+
+  if (process.env.CACHE_ENCRYPTION_KEY_PREVIOUS) {
+    const previous = parseKey(process.env.CACHE_ENCRYPTION_KEY_PREVIOUS, 'CACHE_ENCRYPTION_KEY_PREVIOUS')
+    all.set(previous.id, previous.key)
+  }
+
+  return {
+    current: current,
+    all: all
+  }
+}
+
+const keys = loadKeys()
+
+/**
+ * Encrypts a value with the current key
+ * @param {string} plaintext - The value to encrypt
+ * @param {string} context - Identifies where the value is stored. It must be the same when the value is opened
+ * @returns {string} - The sealed value
+ */
+function seal(plaintext, context) {
+  const iv = crypto.randomBytes(IV_LENGTH)
+  const cipher = crypto.createCipheriv(CIPHER, keys.current.key, iv)
+  cipher.setAAD(Buffer.from(context))
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+
+  return [
+    SEALED_VALUE_VERSION,
+    keys.current.id,
+    iv.toString('base64url'),
+    ciphertext.toString('base64url'),
+    cipher.getAuthTag().toString('base64url')
+  ].join('.')
+}
+
+/**
+ * Decrypts a value sealed with the current or previous key
+ * @param {string} sealed - The sealed value
+ * @param {string} context - The same context the value was sealed with
+ * @returns {string} - The plaintext
+ * @throws {Error} - If the value is malformed, was sealed with an unknown key, or has been tampered with
+ */
+function open(sealed, context) {
+  const [version, keyId, iv, ciphertext, authTag] = String(sealed).split('.')
+
+  if (version !== SEALED_VALUE_VERSION || !authTag) {
+    throw new Error('Malformed sealed value.')
+  }
+
+  const key = keys.all.get(keyId)
+  if (!key) {
+    throw new Error(`Value was sealed with an unknown key (${keyId}).`)
+  }
+
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64url'))
+  decipher.setAAD(Buffer.from(context))
+  decipher.setAuthTag(Buffer.from(authTag, 'base64url'))
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8')
+}
+
+/**
+ * Returns a copy of a cache entry with the given fields sealed. Empty fields are left as they are.
+ * @param {Object} entry - The cache entry
+ * @param {string[]} fields - The names of the sensitive fields
+ * @param {string} context - Identifies the cache entry (e.g. namespace and key)
+ * @returns {Object} - The entry with its sensitive fields sealed
+ */
+function sealFields(entry, fields, context) {
+  const sealedEntry = { ...entry }
+  fields.forEach(field => {
+    if (sealedEntry[field]) {
+      sealedEntry[field] = seal(sealedEntry[field], `${context}:${field}`)
+    }
+  })
+  return sealedEntry
+}
+
+/**
+ * Returns a copy of a stored cache entry with the given fields opened.
+ * If any field can't be decrypted, the whole entry is treated as a cache miss.
+ * @param {Object|null} stored - The cache entry as read from the store
+ * @param {string[]} fields - The names of the sensitive fields
+ * @param {string} context - The same context the entry was sealed with
+ * @returns {Object|null} - The entry with its sensitive fields opened, or null
+ */
+function openFields(stored, fields, context) {
+  if (!stored) {
+    return null
+  }
+
+  try {
+    const openedEntry = { ...stored }
+    fields.forEach(field => {
+      if (openedEntry[field]) {
+        openedEntry[field] = open(openedEntry[field], `${context}:${field}`)
+      }
+    })
+    return openedEntry
+  } catch (error) {
+    logger.error('Unable to decrypt cache entry. Treating it as a cache miss.', { cache: context.split(':')[0], error: error })
+    return null
+  }
+}
+
+module.exports = {
+  seal,
+  open,
+  sealFields,
+  openFields
+}
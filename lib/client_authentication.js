@@ -0,0 +1,260 @@
+'use strict'
+
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const clientRegistry = require('./client_registry')
+const tenantConfig = require('./tenant_config')
+const tokenIssuer = require('./token_issuer')
+const jwksClient = require('./jwks_client')
+const { createStore } = require('./store')
+const { createLogger } = require('./logger')
+
+const logger = createLogger('client_authentication')
+
+/**
+ * Client authentication for the proxy's token and revocation endpoints (RFC 6749 section 2.3, RFC 7523 section 2.2).
+ *
+ * Each registered client declares one token_endpoint_auth_method:
+ * - none: public clients. They only identify themselves with client_id, and rely on PKCE.
+ * - client_secret_basic / client_secret_post: the secret is read from the environment variable named by client_secret_env.
+ * - private_key_jwt: the client signs an assertion with a key published at its jwks_uri.
+ * A client must authenticate with exactly the method it registered.
+ */
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer'
+
+// Client assertions must be short-lived, which also bounds how long we have to remember their jti.
+const MAX_CLIENT_ASSERTION_LIFETIME_SECONDS = 60 * 60
+const CLIENT_ASSERTION_CLOCK_TOLERANCE_SECONDS = 60
+
+// Client assertion ids that have already been used.
+// Key: client id and jti, Value: true
+const usedClientAssertions = createStore('client_assertion_jtis')
+
+/**
+ * Builds an authentication failure.
+ * @param {string} description - Human-readable description of the failure
+ * @param {boolean} usedBasic - Whether the client tried HTTP Basic, in which case a WWW-Authenticate challenge is returned
+ * @returns {object} - The failure
+ */
+function authenticationFailure(description, usedBasic) {
+  return {
+    status: 401,
+    error: 'invalid_client',
+    error_description: description,
+    challenge: usedBasic ? 'Basic realm="token"' : null
+  }
+}
+
+/**
+ * Reads client_secret_basic credentials from the Authorization header.
+ * @param {object} req - The Express request
+ * @returns {object|null} - { clientId, clientSecret }, or null if there are no Basic credentials
+ */
+function parseBasicCredentials(req) {
+  const authHeader = req.headers.authorization || ''
+  if (!/^basic /i.test(authHeader)) {
+    return null
+  }
+
+  const credentials = Buffer.from(authHeader.substring(6).trim(), 'base64').toString('utf8')
+  const separator = credentials.indexOf(':')
+  if (separator < 0) {
+    return { clientId: null, clientSecret: null }
+  }
+
+  // RFC 6749 section 2.3.1- the client id and secret are form-urlencoded before being placed in the header.
+  try {
+    return {
+      clientId: decodeURIComponent(credentials.substring(0, separator).replace(/\+/g, ' ')),
+      clientSecret: decodeURIComponent(credentials.substring(separator + 1).replace(/\+/g, ' '))
+    }
+  } catch (error) {
+    return { clientId: null, clientSecret: null }
+  }
+}
+
+/**
+ * Compares a presented secret with the expected secret in constant time. Both are hashed first, so their lengths aren't leaked either.
+ * @param {string} expectedSecret - The configured secret
+ * @param {string} presentedSecret - The secret the caller sent
+ * @returns {boolean} - True if the secret is correct. Always false if either is missing
+ */
+function secretsEqual(expectedSecret, presentedSecret) {
+  if (!expectedSecret || !presentedSecret) {
+    return false
+  }
+
+  const expected = crypto.createHash('sha256').update(expectedSecret).digest()
+  const presented = crypto.createHash('sha256').update(presentedSecret).digest()
+  return crypto.timingSafeEqual(expected, presented)
+}
+
+/**
+ * Compares a presented client secret with the client's configured secret in constant time.
+ * @param {object} client - The client registration
+ * @param {string} presentedSecret - The secret the client sent
+ * @returns {boolean} - True if the secret is correct
+ */
+function checkClientSecret(client, presentedSecret) {
+  return secretsEqual(client.client_secret_env ? process.env[client.client_secret_env] : null, presentedSecret)
+}
+
+/**
+ * Checks the audience of a client assertion. RFC 7523 section 3 allows either the URL of the endpoint the assertion
+ * was sent to, or the authorization server's issuer identifier- here, the issuer of any of the tenants.
+ * @param {string|string[]} audience - The aud claim of the assertion
+ * @param {string} endpointUrl - The URL of the endpoint the assertion was sent to
+ * @returns {boolean} - True if the proxy is (one of) the assertion's audience
+ */
+function isAssertionAudience(audience, endpointUrl) {
+  return [].concat(audience).some(value => value === endpointUrl || !!tenantConfig.getTenantConfig(tokenIssuer.getTenantIdFromIssuer(value)))
+}
+
+/**
+ * Verifies a private_key_jwt client assertion, including its audience and jti replay.
+ * @param {object} client - The client registration
+ * @param {string} clientAssertion - The client assertion JWT
+ * @param {string} endpointUrl - The URL of the endpoint the assertion was sent to. It, or a tenant's issuer identifier, must be the assertion's audience.
+ * @returns {Promise<string|null>} - null if the assertion is valid, otherwise the reason it was rejected
+ */
+async function checkClientAssertion(client, clientAssertion, endpointUrl) {
+  if (!client.jwks_uri) {
+    return 'No keys are registered for this client.'
+  }
+
+  let claims
+  try {
+    claims = await jwksClient.verifyJwt(clientAssertion, client.jwks_uri, {
+      issuer: client.client_id,
+      subject: client.client_id,
+      clockTolerance: CLIENT_ASSERTION_CLOCK_TOLERANCE_SECONDS
+    })
+  } catch (error) {
+    return `The client assertion is invalid: ${error.message}`
+  }
+
+  if (!isAssertionAudience(claims.aud, endpointUrl)) {
+    return `The client assertion's audience must be ${endpointUrl} or the issuer identifier.`
+  }
+
+  const now = Math.floor(Date.now() / 1000)
+  if (typeof claims.exp !== 'number' || claims.exp - now > MAX_CLIENT_ASSERTION_LIFETIME_SECONDS) {
+    return 'The client assertion must expire within an hour.'
+  }
+
+  if (!claims.jti) {
+    return 'The client assertion must include a jti.'
+  }
+
+  // Recorded atomically, so two concurrent requests (or instances) can't both accept the same assertion.
+  const replayKey = JSON.stringify([client.client_id, claims.jti])
+  if (!(await usedClientAssertions.setIfAbsent(replayKey, true, (claims.exp - now + CLIENT_ASSERTION_CLOCK_TOLERANCE_SECONDS) * 1000))) {
+    return 'The client assertion has already been used.'
+  }
+
+  return null
+}
+
+/**
+ * Authenticates the client calling the token or revocation endpoint.
+ * @param {object} req - The Express request. The body must already be parsed
+ * @param {string} endpointUrl - The URL of the endpoint being called, used as the audience of client assertions
+ * @returns {Promise<object>} - { client } if the client authenticated, otherwise { status, error, error_description, challenge }
+ */
+async function authenticateClient(req, endpointUrl) {
+  const body = req.body || {}
+  const basicCredentials = parseBasicCredentials(req)
+  const usedBasic = !!basicCredentials
+
+  // Work out which method the client used. Only one may be used per request (RFC 6749 section 2.3).
+  const presentedMethods = []
+  if (basicCredentials) {
+    presentedMethods.push('client_secret_basic')
+  }
+  if (body.client_secret) {
+    presentedMethods.push('client_secret_post')
+  }
+  if (body.client_assertion || body.client_assertion_type) {
+    presentedMethods.push('private_key_jwt')
+  }
+
+  if (presentedMethods.length > 1) {
+    return {
+      status: 400,
+      error: 'invalid_request',
+      error_description: 'Only one client authentication method may be used per request.'
+    }
+  }
+  const presentedMethod = presentedMethods[0] || 'none'
+
+  if (presentedMethod === 'private_key_jwt' && (body.client_assertion_type !== CLIENT_ASSERTION_TYPE || !body.client_assertion)) {
+    return authenticationFailure(`A client_assertion of type ${CLIENT_ASSERTION_TYPE} is required.`, usedBasic)
+  }
+
+  // The client identifies itself in the Basic credentials, the body, or the subject of its assertion.
+  let clientId = basicCredentials ? basicCredentials.clientId : body.client_id
+  if (presentedMethod === 'private_key_jwt' && !clientId) {
+    const assertionClaims = jwt.decode(body.client_assertion)
+    clientId = assertionClaims ? assertionClaims.sub : null
+  }
+
+  if (!clientId) {
+    return authenticationFailure('The client_id parameter is required.', usedBasic)
+  }
+
+  if (body.client_id && clientId !== body.client_id) {
+    return authenticationFailure('The client_id does not match the authenticated client.', usedBasic)
+  }
+
+  const client = await clientRegistry.getClient(clientId)
+  if (!client) {
+    return authenticationFailure(`Client '${clientId}' is not registered with this proxy.`, usedBasic)
+  }
+
+  const registeredMethod = client.token_endpoint_auth_method || 'none'
+  if (presentedMethod !== registeredMethod) {
+    return authenticationFailure(`Client '${clientId}' must authenticate with ${registeredMethod}.`, usedBasic)
+  }
+
+  if (presentedMethod === 'client_secret_basic' && !checkClientSecret(client, basicCredentials.clientSecret)) {
+    return authenticationFailure('Client authentication failed.', usedBasic)
+  }
+
+  if (presentedMethod === 'client_secret_post' && !checkClientSecret(client, body.client_secret)) {
+    return authenticationFailure('Client authentication failed.', usedBasic)
+  }
+
+  if (presentedMethod === 'private_key_jwt') {
+    const assertionError = await checkClientAssertion(client, body.client_assertion, endpointUrl)
+    if (assertionError) {
+      logger.info('Rejected client assertion', { client_id: clientId, reason: assertionError })
+      return authenticationFailure(assertionError, usedBasic)
+    }
+  }
+
+  return { client }
+}
+
+/**
+ * Sends an authentication failure from authenticateClient.
+ * @param {object} res - The Express response
+ * @param {object} failure - The failure returned by authenticateClient
+ */
+function sendAuthenticationFailure(res, failure) {
+  if (failure.challenge) {
+    res.set('WWW-Authenticate', failure.challenge)
+  }
+
+  return res.status(failure.status).json({
+    error: failure.error,
+    error_description: failure.error_description
+  })
+}
+
+module.exports = {
+  authenticateClient,
+  sendAuthenticationFailure,
+  parseBasicCredentials,
+  secretsEqual
+}
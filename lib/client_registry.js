@@ -0,0 +1,353 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const jwt = require('jsonwebtoken')
+const jwksClient = require('./jwks_client')
+const clientStore = require('./client_store')
+const { createLogger } = require('./logger')
+
+const logger = createLogger('client_registry')
+
+/**
+ * Registry of approved MCP clients (VS Code, Claude Desktop, Cursor, custom agents...).
+ *
+ * Clients are pre-registered in clients.json. Each entry describes the client_id handed back from /register,
+ * the redirect URIs and client metadata used to recognise the client, and the Okta OIDC client used to log its users in.
+ * If there is no clients.json, the single VSCODE_CLIENT/VSCODE_SECRET client from the environment is used.
+ *
+ * Registration requests that don't match a pre-registered client may still create a new client (see client_store.js),
+ * if the dynamic registration policy allows it:
+ * - DCR_ALLOW_LOOPBACK_REDIRECT_URIS=true allows clients whose redirect URIs are all loopback (RFC 8252 native apps).
+ * - DCR_ALLOWED_SOFTWARE_IDS allows clients presenting one of the listed software_ids.
+ * Users of dynamically registered clients log in through the DCR_OKTA_CLIENT_ID Okta OIDC client.
+ */
+
+// Loopback hosts a native app may listen on (RFC 8252 section 7.3).
+const LOOPBACK_HOSTS = ['127.0.0.1', '[::1]']
+
+// Grant and response types a client may register for.
+const SUPPORTED_GRANT_TYPES = ['authorization_code', 'refresh_token']
+const SUPPORTED_RESPONSE_TYPES = ['code']
+
+// Grant types a client may use when its registration doesn't list any. Other grants (e.g. the device authorization grant)
+// have to be listed in the client's grant_types.
+const DEFAULT_GRANT_TYPES = ['authorization_code', 'refresh_token']
+
+/**
+ * Builds the legacy single VS Code client from the environment.
+ * @returns {object} - The client registration
+ */
+function getEnvironmentClient() {
+  return {
+    client_id: process.env.VSCODE_CLIENT,
+    client_name: 'VSCode Proxy Client',
+    redirect_uris: [
+      'http://127.0.0.1:33418',
+      'https://vscode.dev/redirect'
+    ],
+    okta_client_secret_env: 'VSCODE_SECRET'
+  }
+}
+
+/**
+ * Retrieves every pre-registered client.
+ * @returns {object[]} - The client registrations
+ */
+function getClients() {
+  const configPath = process.env.CONFIG_PATH || __dirname + '/..' //Take from environment variable, or use root of project.
+
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(configPath, 'clients.json')))
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [getEnvironmentClient()]
+    }
+    logger.error('Error loading client configuration', { error: error })
+    return []
+  }
+}
+
+/**
+ * Retrieves a pre-registered or dynamically registered client by client ID.
+ * @param {string} clientId - The client identifier
+ * @returns {Promise<object|null>} - The client registration or null if not found
+ */
+async function getClient(clientId) {
+  if (!clientId) {
+    return null
+  }
+
+  const foundClient = getClients().filter(client => client.client_id === clientId)
+  if (foundClient.length > 0) {
+    return foundClient[0]
+  }
+
+  const dynamicClient = await clientStore.getClient(clientId)
+  if (!dynamicClient) {
+    return null
+  }
+
+  return {
+    ...dynamicClient,
+    okta_client_id: process.env.DCR_OKTA_CLIENT_ID,
+    okta_client_secret_env: 'DCR_OKTA_CLIENT_SECRET'
+  }
+}
+
+/**
+ * Returns the Okta OIDC client credentials used to log in users of an MCP client.
+ * @param {object} client - The client registration
+ * @returns {object} - { clientId, clientSecret }
+ */
+function getOktaCredentials(client) {
+  return {
+    clientId: client.okta_client_id || client.client_id,
+    clientSecret: process.env[client.okta_client_secret_env]
+  }
+}
+
+/**
+ * Checks whether a redirect URI is an http loopback URI, as used by native apps.
+ * @param {string} redirectUri - The redirect URI
+ * @returns {boolean} - True if the redirect URI is a loopback URI
+ */
+function isLoopbackRedirectUri(redirectUri) {
+  try {
+    const uri = new URL(redirectUri)
+    return uri.protocol === 'http:' && LOOPBACK_HOSTS.includes(uri.hostname)
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Checks whether a redirect URI matches a registered one.
+ * Per RFC 8252 section 7.3, a registered loopback redirect URI without a port matches the same URI on any port.
+ * @param {string} registeredUri - The registered redirect URI
+ * @param {string} requestedUri - The redirect URI from the request
+ * @returns {boolean} - True if the redirect URI is allowed
+ */
+function redirectUriMatches(registeredUri, requestedUri) {
+  if (registeredUri === requestedUri) {
+    return true
+  }
+
+  try {
+    const registered = new URL(registeredUri)
+    const requested = new URL(requestedUri)
+
+    return isLoopbackRedirectUri(registeredUri) &&
+      !registered.port &&
+      requested.protocol === registered.protocol &&
+      requested.hostname === registered.hostname &&
+      requested.pathname === registered.pathname &&
+      requested.search === registered.search
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Checks the software statement from a registration request for a candidate client.
+ * Clients that configure software_statement_jwks_uri require a software statement signed by one of those keys.
+ * @param {object} client - The candidate client registration
+ * @param {string} softwareStatement - The software statement JWT from the registration request, if any
+ * @returns {Promise<object|null>} - The software statement claims, or null if the statement isn't acceptable for this client
+ */
+async function getSoftwareStatementClaims(client, softwareStatement) {
+  if (!softwareStatement) {
+    return client.software_statement_jwks_uri ? null : {}
+  }
+
+  if (!client.software_statement_jwks_uri) {
+    return jwt.decode(softwareStatement) || {}
+  }
+
+  try {
+    return await jwksClient.verifyJwt(softwareStatement, client.software_statement_jwks_uri, {})
+  } catch (error) {
+    logger.info('Software statement was not accepted', { client_id: client.client_id, error: error })
+    return null
+  }
+}
+
+/**
+ * Finds the pre-registered client that matches an inbound RFC 7591 registration request.
+ * The redirect_uris must all be registered for the client, and if the client configures them,
+ * the client_name must match client_name_pattern and the software_id must match software_id.
+ * Claims from the software statement take precedence over the plain registration metadata (RFC 7591 section 2.3).
+ * @param {object} registrationRequest - The body of the /register request
+ * @returns {Promise<object|null>} - The matching client registration or null
+ */
+async function findClientForRegistration(registrationRequest) {
+  for (const client of getClients()) {
+    const statementClaims = await getSoftwareStatementClaims(client, registrationRequest.software_statement)
+    if (!statementClaims) {
+      continue
+    }
+
+    const metadata = { ...registrationRequest, ...statementClaims }
+    const requestedUris = Array.isArray(metadata.redirect_uris) ? metadata.redirect_uris : []
+
+    const redirectUrisMatch = requestedUris.length > 0 &&
+      requestedUris.every(uri => (client.redirect_uris || []).some(registeredUri => redirectUriMatches(registeredUri, uri)))
+    const clientNameMatches = !client.client_name_pattern || new RegExp(client.client_name_pattern).test(metadata.client_name || '')
+    const softwareIdMatches = !client.software_id || client.software_id === metadata.software_id
+
+    if (redirectUrisMatch && clientNameMatches && softwareIdMatches) {
+      return client
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validates the metadata of a dynamic registration request, and fills in the defaults.
+ * @param {object} registrationRequest - The body of the /register request
+ * @returns {object} - { metadata } if the request is valid, otherwise { error, error_description } per RFC 7591 section 3.2.2
+ */
+function validateClientMetadata(registrationRequest) {
+  const redirectUris = registrationRequest.redirect_uris
+  if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+    return { error: 'invalid_redirect_uri', error_description: 'At least one redirect_uri is required.' }
+  }
+
+  for (const redirectUri of redirectUris) {
+    let uri
+    try {
+      uri = new URL(redirectUri)
+    } catch (error) {
+      return { error: 'invalid_redirect_uri', error_description: `'${redirectUri}' is not a valid URI.` }
+    }
+
+    if (uri.hash) {
+      return { error: 'invalid_redirect_uri', error_description: `'${redirectUri}' must not contain a fragment.` }
+    }
+
+    if (uri.protocol === 'http:' && !isLoopbackRedirectUri(redirectUri)) {
+      return { error: 'invalid_redirect_uri', error_description: `'${redirectUri}' must use https, a loopback address or a private-use scheme.` }
+    }
+  }
+
+  const grantTypes = registrationRequest.grant_types || SUPPORTED_GRANT_TYPES
+  if (!Array.isArray(grantTypes) || !grantTypes.every(grantType => SUPPORTED_GRANT_TYPES.includes(grantType))) {
+    return { error: 'invalid_client_metadata', error_description: `Only the ${SUPPORTED_GRANT_TYPES.join(' and ')} grant types are supported.` }
+  }
+
+  const responseTypes = registrationRequest.response_types || SUPPORTED_RESPONSE_TYPES
+  if (!Array.isArray(responseTypes) || !responseTypes.every(responseType => SUPPORTED_RESPONSE_TYPES.includes(responseType))) {
+    return { error: 'invalid_client_metadata', error_description: 'Only the code response type is supported.' }
+  }
+
+  const authMethod = registrationRequest.token_endpoint_auth_method || 'none'
+  if (authMethod !== 'none') {
+    return { error: 'invalid_client_metadata', error_description: 'Dynamically registered clients must be public clients (token_endpoint_auth_method none).' }
+  }
+
+  const metadata = {
+    redirect_uris: redirectUris,
+    token_endpoint_auth_method: authMethod,
+    grant_types: grantTypes,
+    response_types: responseTypes,
+    client_name: registrationRequest.client_name || 'MCP Client'
+  }
+
+  for (const field of ['client_uri', 'logo_uri', 'software_id', 'software_version']) {
+    if (typeof registrationRequest[field] === 'string') {
+      metadata[field] = registrationRequest[field]
+    }
+  }
+
+  return { metadata }
+}
+
+/**
+ * Returns the software_ids the dynamic registration policy allows.
+ * @returns {string[]} - The allowed software_ids
+ */
+function getAllowedSoftwareIds() {
+  return (process.env.DCR_ALLOWED_SOFTWARE_IDS || '').split(',').map(softwareId => softwareId.trim()).filter(Boolean)
+}
+
+/**
+ * Checks whether the dynamic registration policy can allow any client at all.
+ * @returns {boolean} - True if dynamic registration is enabled
+ */
+function dynamicRegistrationEnabled() {
+  return !!process.env.DCR_OKTA_CLIENT_ID &&
+    (process.env.DCR_ALLOW_LOOPBACK_REDIRECT_URIS === 'true' || getAllowedSoftwareIds().length > 0)
+}
+
+/**
+ * Checks whether the dynamic registration policy allows a client to be created.
+ * @param {object} metadata - The validated client metadata
+ * @returns {boolean} - True if the client may be created
+ */
+function dynamicRegistrationAllowed(metadata) {
+  if (!dynamicRegistrationEnabled()) {
+    return false
+  }
+
+  const allowLoopback = process.env.DCR_ALLOW_LOOPBACK_REDIRECT_URIS === 'true'
+  if (allowLoopback && metadata.redirect_uris.every(isLoopbackRedirectUri)) {
+    return true
+  }
+
+  return !!metadata.software_id && getAllowedSoftwareIds().includes(metadata.software_id)
+}
+
+/**
+ * Returns the token endpoint authentication methods that registered clients may use.
+ * Dynamically registered clients are always public clients.
+ * @returns {string[]} - The authentication methods
+ */
+function getTokenEndpointAuthMethods() {
+  const methods = new Set(getClients().map(client => client.token_endpoint_auth_method || 'none'))
+  if (dynamicRegistrationEnabled()) {
+    methods.add('none')
+  }
+
+  return [...methods]
+}
+
+/**
+ * Checks whether a client may use a grant type.
+ * @param {object} client - The client registration
+ * @param {string} grantType - The grant type
+ * @returns {boolean} - True if the client may use the grant type
+ */
+function clientAllowsGrantType(client, grantType) {
+  return (client.grant_types || DEFAULT_GRANT_TYPES).includes(grantType)
+}
+
+/**
+ * Returns the downstream scopes a client may use at a tenant: the tenant's external_scopes, limited to the client's
+ * registered scope (RFC 7591 section 2) if it has one.
+ * @param {object} client - The client registration
+ * @param {object} tenant - The tenant configuration
+ * @returns {string[]} - The scopes the client may use
+ */
+function getAllowedScopes(client, tenant) {
+  if (typeof client.scope !== 'string') {
+    return tenant.external_scopes
+  }
+
+  const clientScopes = client.scope.split(' ')
+  return tenant.external_scopes.filter(scope => clientScopes.includes(scope))
+}
+
+module.exports = {
+  getClients,
+  getClient,
+  getOktaCredentials,
+  isLoopbackRedirectUri,
+  redirectUriMatches,
+  findClientForRegistration,
+  validateClientMetadata,
+  dynamicRegistrationAllowed,
+  getTokenEndpointAuthMethods,
+  clientAllowsGrantType,
+  getAllowedScopes
+}
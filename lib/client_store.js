@@ -0,0 +1,121 @@
+'use strict'
+
+const crypto = require('crypto')
+const { createStore } = require('./store')
+
+/**
+ * Client store for MCP clients created through RFC 7591 dynamic client registration.
+ *
+ * Pre-registered clients live in clients.json (see client_registry.js). Clients created by /register are persisted here instead,
+ * along with a hash of the registration access token that lets the client manage its registration (RFC 7592).
+ * A client that isn't used for DCR_CLIENT_IDLE_TTL_SECONDS expires.
+ */
+
+// Store for dynamically registered clients.
+// Key: client id, Value: { client_id, client_id_issued_at, client metadata..., registrationAccessTokenHash, lastUsedAt }
+const clientStore = createStore('registered_clients')
+
+// Idle lifetime in milliseconds. Every use of the client pushes the expiry back out.
+const CLIENT_IDLE_TTL_MS = (parseInt(process.env.DCR_CLIENT_IDLE_TTL_SECONDS) || 30 * 24 * 60 * 60) * 1000
+
+// Don't rewrite the client on every request- only extend its lifetime once this much of it has passed.
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000
+
+/**
+ * Hashes a registration access token. Only the hash is stored.
+ * @param {string} registrationAccessToken - The registration access token
+ * @returns {string} - The hash
+ */
+function hashRegistrationAccessToken(registrationAccessToken) {
+  return crypto.createHash('sha256').update(registrationAccessToken).digest('base64url')
+}
+
+/**
+ * Creates a new client
+ * @param {object} metadata - The validated client metadata
+ * @returns {Promise<object>} - { client, registrationAccessToken }
+ */
+async function createClient(metadata) {
+  const registrationAccessToken = crypto.randomBytes(32).toString('base64url')
+
+  const client = {
+    ...metadata,
+    client_id: crypto.randomUUID(),
+    client_id_issued_at: Math.floor(Date.now() / 1000),
+    registrationAccessTokenHash: hashRegistrationAccessToken(registrationAccessToken),
+    lastUsedAt: Date.now()
+  }
+
+  await clientStore.set(client.client_id, client, CLIENT_IDLE_TTL_MS)
+  return { client, registrationAccessToken }
+}
+
+/**
+ * Retrieves a client, and extends its idle lifetime
+ * @param {string} clientId - The client identifier
+ * @returns {Promise<object|null>} - The client or null if not found/expired
+ */
+async function getClient(clientId) {
+  const client = await clientStore.get(clientId)
+  if (!client) {
+    return null
+  }
+
+  if (Date.now() - client.lastUsedAt > TOUCH_INTERVAL_MS) {
+    client.lastUsedAt = Date.now()
+    await clientStore.set(clientId, client, CLIENT_IDLE_TTL_MS)
+  }
+
+  return client
+}
+
+/**
+ * Replaces the metadata of an existing client. The client id and registration access token are kept.
+ * @param {object} client - The existing client
+ * @param {object} metadata - The validated client metadata
+ * @returns {Promise<object>} - The updated client
+ */
+async function updateClient(client, metadata) {
+  const updatedClient = {
+    ...metadata,
+    client_id: client.client_id,
+    client_id_issued_at: client.client_id_issued_at,
+    registrationAccessTokenHash: client.registrationAccessTokenHash,
+    lastUsedAt: Date.now()
+  }
+
+  await clientStore.set(client.client_id, updatedClient, CLIENT_IDLE_TTL_MS)
+  return updatedClient
+}
+
+/**
+ * Removes a client
+ * @param {string} clientId - The client identifier
+ */
+async function deleteClient(clientId) {
+  await clientStore.delete(clientId)
+}
+
+/**
+ * Checks a registration access token against the one issued to the client
+ * @param {object} client - The client
+ * @param {string} registrationAccessToken - The presented registration access token
+ * @returns {boolean} - True if the token was issued to this client
+ */
+function checkRegistrationAccessToken(client, registrationAccessToken) {
+  if (!client || !registrationAccessToken) {
+    return false
+  }
+
+  const expected = Buffer.from(client.registrationAccessTokenHash)
+  const presented = Buffer.from(hashRegistrationAccessToken(registrationAccessToken))
+  return expected.length === presented.length && crypto.timingSafeEqual(expected, presented)
+}
+
+module.exports = {
+  createClient,
+  getClient,
+  updateClient,
+  deleteClient,
+  checkRegistrationAccessToken
+}
@@ -1,66 +1,64 @@
 'use strict'
 
+const { createStore } = require('./store')
+const cacheCrypto = require('./cache_crypto')
+
 /**
- * In-memory session cache for Connected Accounts flow
- * 
- * This module provides a simple in-memory cache for storing auth_session and state
+ * Session cache for Connected Accounts flow
+ *
+ * This module provides a cache for storing auth_session and state
  * values during the Connected Accounts OAuth flow. The state value is used as the
  * lookup key for subsequent callback requests.
  */
 
-// In-memory cache for storing auth_session and state values during Connected Accounts flow
-// Key: state value, Value: { authSession, state, createdAt }
-const connectedAccountsCache = new Map()
+// Cache for storing auth_session and state values during Connected Accounts flow
+// Key: state value, Value: { authSession, state, oidcState, userToken, createdAt }
+const connectedAccountsCache = createStore('connected_accounts')
 
 // Cache TTL in milliseconds (15 minutes - typical OAuth flow timeout)
 const CACHE_TTL_MS = 15 * 60 * 1000
 
+// Fields that are encrypted before they are written to the store.
+const SENSITIVE_FIELDS = ['userToken']
+
 /**
  * Stores auth session data in the cache using state as the key
  * @param {string} state - The state value used as the cache key
+ * @param {string} oidcState - The outbound OIDC state of the login this account linking belongs to
  * @param {string} authSession - The auth_session value from Auth0
  * @param {string} userToken - The user's Auth0 token for subsequent API calls
  */
-function cacheAuthSession(state, oidcState, authSession, userToken) {
-  connectedAccountsCache.set(state, {
+async function cacheAuthSession(state, oidcState, authSession, userToken) {
+  const cacheEntry = {
     authSession: authSession,
     state: state,
     oidcState: oidcState,
     userToken: userToken,
     createdAt: Date.now()
-  })
+  }
+
+  await connectedAccountsCache.set(state, cacheCrypto.sealFields(cacheEntry, SENSITIVE_FIELDS, `connected_accounts:${state}`), CACHE_TTL_MS)
 }
 
 /**
- * Retrieves cached auth session data by state value
+ * Retrieves and removes cached auth session data by state value, so each state can only be used once
  * @param {string} state - The state value used as the cache key
- * @returns {Object|null} - The cached data or null if not found/expired
+ * @returns {Promise<Object|null>} - The cached data or null if not found/expired
  */
-function getCachedAuthSession(state) {
-  const cached = connectedAccountsCache.get(state)
-  if (!cached) {
-    return null
-  }
-  
-  // Check if the cache entry has expired
-  if (Date.now() - cached.createdAt > CACHE_TTL_MS) {
-    connectedAccountsCache.delete(state)
-    return null
-  }
-  
-  return cached
+async function takeCachedAuthSession(state) {
+  return cacheCrypto.openFields(await connectedAccountsCache.take(state), SENSITIVE_FIELDS, `connected_accounts:${state}`)
 }
 
 /**
  * Clears a cached auth session entry
  * @param {string} state - The state value used as the cache key
  */
-function clearCachedAuthSession(state) {
-  connectedAccountsCache.delete(state)
+async function clearCachedAuthSession(state) {
+  await connectedAccountsCache.delete(state)
 }
 
 module.exports = {
   cacheAuthSession,
-  getCachedAuthSession,
+  takeCachedAuthSession,
   clearCachedAuthSession
 }
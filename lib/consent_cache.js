@@ -0,0 +1,121 @@
+'use strict'
+
+const { createStore } = require('./store')
+
+/**
+ * Cache of the consents users have given to MCP clients.
+ *
+ * Before the proxy links a user's account or hands an authorization code to a client, the user is shown what the client
+ * will be able to do downstream (see consent.js). An approval is remembered per user, client and tenant, so the user is only
+ * asked again once it has been revoked or expires, or if the client asks for scopes beyond what they approved.
+ */
+
+// Consents users have given.
+// Key: subject, client id and tenant id, Value: { subject, clientId, tenantId, scopes, grantedAt }
+const consents = createStore('consents')
+
+// Index from users to the consents they've given, so they can be listed.
+// Key: subject, Value: array of [clientId, tenantId]
+const subjectConsents = createStore('consent_subjects')
+
+// How long a consent is remembered for.
+const CONSENT_TTL_MS = (parseInt(process.env.CONSENT_TTL_SECONDS) || 180 * 24 * 60 * 60) * 1000
+
+/**
+ * Builds the cache key of a consent
+ * @param {string} subject - The user
+ * @param {string} clientId - The client
+ * @param {string} tenantId - The tenant
+ * @returns {string} - The cache key
+ */
+function buildConsentKey(subject, clientId, tenantId) {
+  return JSON.stringify([subject, clientId, tenantId])
+}
+
+/**
+ * Retrieves a consent
+ * @param {string} subject - The user
+ * @param {string} clientId - The client
+ * @param {string} tenantId - The tenant
+ * @returns {Promise<Object|null>} - The consent, or null if the user hasn't consented (or the consent was revoked or has expired)
+ */
+async function getConsent(subject, clientId, tenantId) {
+  return consents.get(buildConsentKey(subject, clientId, tenantId))
+}
+
+/**
+ * Checks whether a user has consented to a client using a set of scopes at a tenant
+ * @param {string} subject - The user
+ * @param {string} clientId - The client
+ * @param {string} tenantId - The tenant
+ * @param {string[]} scopes - The downstream scopes the client would get
+ * @returns {Promise<boolean>} - True if the user has already approved all of the scopes
+ */
+async function hasConsent(subject, clientId, tenantId, scopes) {
+  const consent = await getConsent(subject, clientId, tenantId)
+  return !!consent && scopes.every(scope => consent.scopes.includes(scope))
+}
+
+/**
+ * Remembers that a user has consented to a client using a set of scopes at a tenant.
+ * The scopes are added to any the user approved for the client before.
+ * @param {string} subject - The user
+ * @param {string} clientId - The client
+ * @param {string} tenantId - The tenant
+ * @param {string[]} scopes - The downstream scopes the user approved
+ */
+async function saveConsent(subject, clientId, tenantId, scopes) {
+  const existing = await getConsent(subject, clientId, tenantId)
+
+  await consents.set(buildConsentKey(subject, clientId, tenantId), {
+    subject: subject,
+    clientId: clientId,
+    tenantId: tenantId,
+    scopes: [...new Set([...(existing ? existing.scopes : []), ...scopes])],
+    grantedAt: Date.now()
+  }, CONSENT_TTL_MS)
+
+  const index = (await subjectConsents.get(subject) || []).filter(([indexedClientId, indexedTenantId]) => indexedClientId !== clientId || indexedTenantId !== tenantId)
+  index.push([clientId, tenantId])
+  await subjectConsents.set(subject, index, CONSENT_TTL_MS)
+}
+
+/**
+ * Lists the consents a user has given
+ * @param {string} subject - The user
+ * @returns {Promise<Object[]>} - The user's consents
+ */
+async function listConsents(subject) {
+  const index = await subjectConsents.get(subject) || []
+  const found = await Promise.all(index.map(([clientId, tenantId]) => getConsent(subject, clientId, tenantId)))
+  return found.filter(consent => consent)
+}
+
+/**
+ * Revokes a consent. The user will be asked again the next time the client logs them in to the tenant.
+ * @param {string} subject - The user
+ * @param {string} clientId - The client
+ * @param {string} tenantId - The tenant
+ * @returns {Promise<boolean>} - False if there was no such consent
+ */
+async function revokeConsent(subject, clientId, tenantId) {
+  const consent = await getConsent(subject, clientId, tenantId)
+  await consents.delete(buildConsentKey(subject, clientId, tenantId))
+
+  const index = (await subjectConsents.get(subject) || []).filter(([indexedClientId, indexedTenantId]) => indexedClientId !== clientId || indexedTenantId !== tenantId)
+  if (index.length > 0) {
+    await subjectConsents.set(subject, index, CONSENT_TTL_MS)
+  } else {
+    await subjectConsents.delete(subject)
+  }
+
+  return !!consent
+}
+
+module.exports = {
+  getConsent,
+  hasConsent,
+  saveConsent,
+  listConsents,
+  revokeConsent
+}
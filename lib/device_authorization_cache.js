@@ -0,0 +1,220 @@
+'use strict'
+
+const crypto = require('crypto')
+const { createStore } = require('./store')
+
+/**
+ * Cache for device authorization requests (RFC 8628).
+ *
+ * A headless client starts at /device_authorization and gets a device_code to poll /token with, and a short user_code.
+ * The user enters the user_code on the verification page in any browser, which runs the same Okta login -> ID-JAG -> vault
+ * (-> connected accounts) chain as a browser-based client. At the end of that chain, the authorization code that would
+ * normally be redirected to the client is stored here instead, until the client's next poll picks it up.
+ */
+
+// The grant type clients poll /token with.
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code'
+
+// Device authorization requests.
+// Key: user code, Value: { tenantId, clientId, deviceCode, parameters, status, interval, lastPolledAt, authorizationCode, error, error_description, expiresAt }
+const deviceAuthorizations = createStore('device_authorizations')
+
+// Index from device codes to their user code.
+// Key: device code, Value: user code
+const deviceCodes = createStore('device_codes')
+
+// Wrong user codes entered at the verification page, so the short user codes can't be guessed by brute force (RFC 8628 section 5.1).
+// Key: client address, Value: { failures, windowStartedAt }
+const userCodeFailures = createStore('device_user_code_failures')
+
+// How long the user has to complete the verification, and how often the client may poll.
+const DEVICE_CODE_TTL_SECONDS = parseInt(process.env.DEVICE_CODE_TTL_SECONDS) || 600
+const POLLING_INTERVAL_SECONDS = 5
+
+// How many wrong user codes a client address may enter before it has to wait for the window to end.
+const MAX_USER_CODE_FAILURES = 10
+const USER_CODE_FAILURE_WINDOW_SECONDS = 15 * 60
+
+// User codes use consonants only, so they're easy to type and can't spell words (RFC 8628 section 6.1).
+const USER_CODE_CHARACTERS = 'BCDFGHJKLMNPQRSTVWXZ'
+const USER_CODE_LENGTH = 8
+
+/**
+ * Generates a random user code
+ * @returns {string} - The user code, without formatting
+ */
+function generateUserCode() {
+  let userCode = ''
+  for (let i = 0; i < USER_CODE_LENGTH; i++) {
+    userCode += USER_CODE_CHARACTERS[crypto.randomInt(USER_CODE_CHARACTERS.length)]
+  }
+  return userCode
+}
+
+/**
+ * Formats a user code for display, e.g. WDJB-MJHT
+ * @param {string} userCode - The user code
+ * @returns {string} - The formatted user code
+ */
+function formatUserCode(userCode) {
+  return `${userCode.substring(0, 4)}-${userCode.substring(4)}`
+}
+
+/**
+ * Normalizes a user code as typed by the user- case and separators are ignored.
+ * @param {string} input - The user code the user entered
+ * @returns {string} - The normalized user code
+ */
+function normalizeUserCode(input) {
+  return String(input || '').toUpperCase().replace(/[^A-Z]/g, '')
+}
+
+/**
+ * Writes a device authorization back to the cache. It still expires at its original time.
+ * @param {string} userCode - The user code
+ * @param {object} deviceAuthorization - The device authorization
+ */
+async function saveDeviceAuthorization(userCode, deviceAuthorization) {
+  const remainingTtlMs = deviceAuthorization.expiresAt - Date.now()
+  if (remainingTtlMs > 0) {
+    await deviceAuthorizations.set(userCode, deviceAuthorization, remainingTtlMs)
+  }
+}
+
+/**
+ * Starts a device authorization request
+ * @param {string} tenantId - The tenant the request is for
+ * @param {string} clientId - The authenticated client that made the request
+ * @param {URLSearchParams} parameters - The authorization request parameters (client_id, scope and resource)
+ * @returns {Promise<Object>} - { deviceCode, userCode, expiresIn, interval }. The user code is formatted for display
+ */
+async function createDeviceAuthorization(tenantId, clientId, parameters) {
+  const deviceCode = crypto.randomBytes(32).toString('base64url')
+
+  let userCode = generateUserCode()
+  while (await deviceAuthorizations.get(userCode)) {
+    userCode = generateUserCode()
+  }
+
+  const expiresAt = Date.now() + DEVICE_CODE_TTL_SECONDS * 1000
+  await saveDeviceAuthorization(userCode, {
+    tenantId: tenantId,
+    clientId: clientId,
+    deviceCode: deviceCode,
+    parameters: parameters.toString(),
+    status: 'pending',
+    interval: POLLING_INTERVAL_SECONDS,
+    lastPolledAt: null,
+    expiresAt: expiresAt
+  })
+  await deviceCodes.set(deviceCode, userCode, DEVICE_CODE_TTL_SECONDS * 1000)
+
+  return {
+    deviceCode: deviceCode,
+    userCode: formatUserCode(userCode),
+    expiresIn: DEVICE_CODE_TTL_SECONDS,
+    interval: POLLING_INTERVAL_SECONDS
+  }
+}
+
+/**
+ * Retrieves a device authorization by the user code the user entered
+ * @param {string} input - The user code, as entered by the user
+ * @returns {Promise<Object|null>} - The device authorization, with its parameters and normalized userCode, or null if not found/expired
+ */
+async function getDeviceAuthorization(input) {
+  const userCode = normalizeUserCode(input)
+  const deviceAuthorization = userCode ? await deviceAuthorizations.get(userCode) : null
+  if (!deviceAuthorization) {
+    return null
+  }
+
+  return {
+    ...deviceAuthorization,
+    userCode: userCode,
+    parameters: new URLSearchParams(deviceAuthorization.parameters)
+  }
+}
+
+/**
+ * Moves a device authorization on from pending, once the user has confirmed it (status authorizing),
+ * or once the login has finished (status approved or denied).
+ * @param {string} userCode - The normalized user code
+ * @param {string} status - The new status
+ * @param {object} fields - Fields to store with the new status, e.g. the authorizationCode or the error
+ * @returns {Promise<boolean>} - False if the device authorization has expired
+ */
+async function updateDeviceAuthorization(userCode, status, fields) {
+  const deviceAuthorization = await deviceAuthorizations.get(userCode)
+  if (!deviceAuthorization) {
+    return false
+  }
+
+  await saveDeviceAuthorization(userCode, { ...deviceAuthorization, ...fields, status: status })
+  return true
+}
+
+/**
+ * Polls a device authorization with its device code.
+ * Once the user has approved or denied the request, the result is only returned once.
+ * @param {string} deviceCode - The device code the client is polling with
+ * @returns {Promise<Object|null>} - { deviceAuthorization, slowDown }, or null if the device code is unknown or expired
+ */
+async function pollDeviceAuthorization(deviceCode) {
+  const userCode = deviceCode ? await deviceCodes.get(deviceCode) : null
+  const deviceAuthorization = userCode ? await deviceAuthorizations.get(userCode) : null
+  if (!deviceAuthorization || deviceAuthorization.deviceCode !== deviceCode) {
+    return null
+  }
+
+  if (deviceAuthorization.status === 'approved' || deviceAuthorization.status === 'denied') {
+    await deviceAuthorizations.delete(userCode)
+    await deviceCodes.delete(deviceCode)
+    return { deviceAuthorization: deviceAuthorization, slowDown: false }
+  }
+
+  // A client polling faster than the interval is told to slow down, and has to wait 5 seconds longer from then on (RFC 8628 section 3.5).
+  const now = Date.now()
+  const slowDown = deviceAuthorization.lastPolledAt !== null && now - deviceAuthorization.lastPolledAt < deviceAuthorization.interval * 1000
+  await saveDeviceAuthorization(userCode, {
+    ...deviceAuthorization,
+    interval: slowDown ? deviceAuthorization.interval + 5 : deviceAuthorization.interval,
+    lastPolledAt: now
+  })
+
+  return { deviceAuthorization: deviceAuthorization, slowDown: slowDown }
+}
+
+/**
+ * Checks whether a client address has entered too many wrong user codes.
+ * @param {string} address - The client address
+ * @returns {Promise<boolean>} - True if the address has to wait before entering another code
+ */
+async function isUserCodeEntryBlocked(address) {
+  const record = await userCodeFailures.get(address)
+  return !!record && record.failures >= MAX_USER_CODE_FAILURES
+}
+
+/**
+ * Counts a wrong user code against a client address. The count resets once the window since the first failure ends.
+ * @param {string} address - The client address
+ */
+async function recordUserCodeFailure(address) {
+  const record = await userCodeFailures.get(address)
+  const windowStartedAt = record ? record.windowStartedAt : Date.now()
+  const remainingTtlMs = windowStartedAt + USER_CODE_FAILURE_WINDOW_SECONDS * 1000 - Date.now()
+  if (remainingTtlMs > 0) {
+    await userCodeFailures.set(address, { failures: (record ? record.failures : 0) + 1, windowStartedAt: windowStartedAt }, remainingTtlMs)
+  }
+}
+
+module.exports = {
+  DEVICE_CODE_GRANT_TYPE,
+  formatUserCode,
+  createDeviceAuthorization,
+  getDeviceAuthorization,
+  updateDeviceAuthorization,
+  pollDeviceAuthorization,
+  isUserCodeEntryBlocked,
+  recordUserCodeFailure
+}
@@ -0,0 +1,239 @@
+'use strict'
+
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { createStore } = require('./store')
+
+/**
+ * DPoP - Demonstrating Proof of Possession (RFC 9449).
+ *
+ * A client that sends a DPoP proof to /token gets access tokens bound to its key: the token carries the key's thumbprint
+ * in cnf.jkt, and is only accepted with a fresh proof signed by the same key on every request. A leaked token is useless
+ * without the client's private key.
+ *
+ * Each proof is only accepted once, and only for the method and URL it was made for. When DPOP_REQUIRE_NONCE=true, proofs must
+ * also carry a nonce the proxy handed out (in the DPoP-Nonce header of a use_dpop_nonce error), which limits how far ahead
+ * proofs can be made.
+ */
+
+// Algorithms we accept DPoP proofs signed with. Symmetric algorithms can't prove possession of a key.
+const DPOP_SIGNING_ALGORITHMS = ['RS256', 'PS256', 'ES256']
+
+// How old a proof may be, and how far its iat may be in the future.
+const PROOF_MAX_AGE_SECONDS = 5 * 60
+const PROOF_CLOCK_TOLERANCE_SECONDS = 60
+
+// How long a nonce we hand out stays valid. A new one is handed out after half that time.
+const NONCE_TTL_MS = 10 * 60 * 1000
+
+// Proof ids that have already been used.
+// Key: key thumbprint and jti, Value: true
+const usedProofs = createStore('dpop_proof_jtis')
+
+// Nonces we've handed out, shared so every proxy instance accepts them.
+// Key: nonce, Value: true
+const nonces = createStore('dpop_nonces')
+
+// The nonce this instance is currently handing out.
+let currentNonce = null
+
+/**
+ * Checks whether proofs must carry a nonce from the proxy
+ * @returns {boolean} - True if nonces are required
+ */
+function isNonceRequired() {
+  return process.env.DPOP_REQUIRE_NONCE === 'true'
+}
+
+/**
+ * Returns the nonce clients should put in their next proofs
+ * @returns {Promise<string>} - The nonce
+ */
+async function getNonce() {
+  if (!currentNonce || Date.now() >= currentNonce.rotateAt) {
+    const value = crypto.randomBytes(16).toString('base64url')
+    await nonces.set(value, true, NONCE_TTL_MS)
+    currentNonce = { value: value, rotateAt: Date.now() + NONCE_TTL_MS / 2 }
+  }
+  return currentNonce.value
+}
+
+/**
+ * Computes the RFC 7638 thumbprint of a public JWK
+ * @param {object} jwk - The public key
+ * @returns {string} - The base64url-encoded SHA-256 thumbprint
+ */
+function getJwkThumbprint(jwk) {
+  const members = jwk.kty === 'EC' ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y } : { e: jwk.e, kty: jwk.kty, n: jwk.n }
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url')
+}
+
+/**
+ * Computes the ath claim a proof must carry when it's sent with an access token
+ * @param {string} accessToken - The access token
+ * @returns {string} - The base64url-encoded SHA-256 hash of the access token
+ */
+function getAccessTokenHash(accessToken) {
+  return crypto.createHash('sha256').update(accessToken).digest('base64url')
+}
+
+/**
+ * Strips the query and fragment from a URL, as the htu claim is compared without them
+ * @param {string} url - The URL
+ * @returns {string|null} - The normalized URL, or null if it isn't a valid URL
+ */
+function normalizeHtu(url) {
+  try {
+    const parsed = new URL(url)
+    return `${parsed.origin}${parsed.pathname}`
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Builds a failed proof check.
+ * @param {string} error - invalid_dpop_proof, use_dpop_nonce or invalid_token
+ * @param {string} description - Human-readable description of the failure
+ * @param {string} nonce - (optional) The nonce the client should use
+ * @returns {object} - The failure
+ */
+function proofFailure(error, description, nonce) {
+  return {
+    error: error,
+    error_description: description,
+    nonce: nonce || null
+  }
+}
+
+/**
+ * Verifies the DPoP proof sent with a request, if there is one.
+ * @param {object} headers - The request headers
+ * @param {string} method - The HTTP method of the request
+ * @param {string} url - The URL of the request, without its query
+ * @param {string} accessToken - (optional) The access token sent with the proof. The proof must be bound to it (ath)
+ * @returns {Promise<object|null>} - null if there's no proof, { jkt } if the proof is valid,
+ *   otherwise { error, error_description, nonce } where nonce is the one the client should retry with, if any
+ */
+async function verifyProof(headers, method, url, accessToken) {
+  const proof = headers.dpop
+  if (proof === undefined) {
+    return null
+  }
+
+  // Node joins repeated headers with a comma, which can't appear in a JWT.
+  if (typeof proof !== 'string' || proof.includes(',')) {
+    return proofFailure('invalid_dpop_proof', 'Exactly one DPoP proof must be sent.')
+  }
+
+  const decoded = jwt.decode(proof, { complete: true })
+  if (!decoded || typeof decoded.payload !== 'object') {
+    return proofFailure('invalid_dpop_proof', 'The DPoP proof is not a valid JWT.')
+  }
+
+  const { typ, alg, jwk } = decoded.header
+  if (typ !== 'dpop+jwt' || !DPOP_SIGNING_ALGORITHMS.includes(alg) || !jwk || typeof jwk !== 'object' || jwk.d) {
+    return proofFailure('invalid_dpop_proof', `The DPoP proof must have typ dpop+jwt, be signed with one of ${DPOP_SIGNING_ALGORITHMS.join(', ')} and carry the public jwk.`)
+  }
+
+  let claims
+  try {
+    claims = jwt.verify(proof, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: [alg] })
+  } catch (error) {
+    return proofFailure('invalid_dpop_proof', `The DPoP proof is invalid: ${error.message}`)
+  }
+
+  if (typeof claims.jti !== 'string' || !claims.jti) {
+    return proofFailure('invalid_dpop_proof', 'The DPoP proof must include a jti.')
+  }
+
+  if (claims.htm !== method || typeof claims.htu !== 'string' || normalizeHtu(claims.htu) !== normalizeHtu(url)) {
+    return proofFailure('invalid_dpop_proof', `The DPoP proof was not made for ${method} ${url}.`)
+  }
+
+  const now = Math.floor(Date.now() / 1000)
+  if (typeof claims.iat !== 'number' || claims.iat > now + PROOF_CLOCK_TOLERANCE_SECONDS || now - claims.iat > PROOF_MAX_AGE_SECONDS) {
+    return proofFailure('invalid_dpop_proof', 'The DPoP proof has expired or its iat is invalid.')
+  }
+
+  if (accessToken && claims.ath !== getAccessTokenHash(accessToken)) {
+    return proofFailure('invalid_dpop_proof', 'The DPoP proof was not made for this access token.')
+  }
+
+  if (isNonceRequired() && (typeof claims.nonce !== 'string' || !(await nonces.get(claims.nonce)))) {
+    return proofFailure('use_dpop_nonce', 'The DPoP proof must include the nonce from the DPoP-Nonce header.', await getNonce())
+  }
+
+  const jkt = getJwkThumbprint(jwk)
+  // Recorded atomically, so the same proof can't be used by two concurrent requests.
+  const replayKey = JSON.stringify([jkt, claims.jti])
+  if (!(await usedProofs.setIfAbsent(replayKey, true, (PROOF_MAX_AGE_SECONDS + PROOF_CLOCK_TOLERANCE_SECONDS) * 1000))) {
+    return proofFailure('invalid_dpop_proof', 'The DPoP proof has already been used.')
+  }
+
+  return { jkt: jkt }
+}
+
+/**
+ * Checks that a proxy access token presented to a protected resource is used the way it's bound (RFC 9449 section 7).
+ * DPoP-bound tokens must be sent with the DPoP scheme and a proof from the key they're bound to. Other tokens must be sent as Bearer tokens.
+ * @param {object} claims - The verified claims of the access token
+ * @param {string} scheme - The authorization scheme the token was sent with, in lower case (bearer or dpop)
+ * @param {object} headers - The request headers
+ * @param {string} method - The HTTP method of the request
+ * @param {string} url - The URL of the request, without its query
+ * @param {string} accessToken - The access token
+ * @returns {Promise<object|null>} - null if the token may be used, otherwise { error, error_description, nonce }
+ */
+async function checkTokenBinding(claims, scheme, headers, method, url, accessToken) {
+  const boundJkt = claims.cnf ? claims.cnf.jkt : null
+  if (!boundJkt && scheme !== 'dpop') {
+    return null
+  }
+
+  if (!boundJkt) {
+    return proofFailure('invalid_token', 'This access token is not DPoP-bound.')
+  }
+
+  if (scheme !== 'dpop') {
+    return proofFailure('invalid_token', 'This access token is DPoP-bound and must be sent with the DPoP scheme.')
+  }
+
+  const proof = await verifyProof(headers, method, url, accessToken)
+  if (!proof) {
+    return proofFailure('invalid_dpop_proof', 'A DPoP proof is required.')
+  }
+
+  if (proof.error) {
+    return proof
+  }
+
+  if (proof.jkt !== boundJkt) {
+    return proofFailure('invalid_dpop_proof', 'The DPoP proof was not signed with the key this access token is bound to.')
+  }
+
+  return null
+}
+
+/**
+ * Sends a failed proof check from the token endpoint (RFC 9449 section 5).
+ * @param {object} res - The Express response
+ * @param {object} failure - The failure returned by verifyProof
+ */
+function sendProofFailure(res, failure) {
+  if (failure.nonce) {
+    res.set('DPoP-Nonce', failure.nonce)
+  }
+
+  return res.status(400).json({
+    error: failure.error,
+    error_description: failure.error_description
+  })
+}
+
+module.exports = {
+  DPOP_SIGNING_ALGORITHMS,
+  verifyProof,
+  checkTokenBinding,
+  sendProofFailure
+}
@@ -0,0 +1,127 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { createLogger } = require('./logger')
+
+const logger = createLogger('file_store')
+
+/**
+ * File-backed store implementation.
+ *
+ * Keeps everything in memory like the memory store, but also writes each namespace to a JSON file so a single proxy
+ * instance can be restarted mid-login without losing flow state. Not suitable for multiple instances- use the Redis store for that.
+ */
+
+/**
+ * Creates a file-backed store
+ * @param {string} namespace - The name of the cache using this store. Used as the file name
+ * @returns {Object} - The store
+ */
+function createFileStore(namespace) {
+  const storeDirectory = process.env.FILE_STORE_PATH || path.resolve(__dirname, '..', 'data')
+  const storeFile = path.resolve(storeDirectory, `${namespace}.json`)
+
+  // Key: cache key, Value: { value (serialized), expiresAt }
+  const entries = new Map()
+
+  fs.mkdirSync(storeDirectory, { recursive: true, mode: 0o700 })
+  try {
+    const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8'))
+    Object.keys(saved).forEach(key => entries.set(key, saved[key]))
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Unable to load file store', { file: storeFile, error: error })
+    }
+  }
+
+  // Writes are chained so they land on disk in order, and each one replaces the file atomically.
+  let pendingWrite = Promise.resolve()
+
+  function persist() {
+    const now = Date.now()
+    const snapshot = {}
+    entries.forEach((entry, key) => {
+      if (now > entry.expiresAt) {
+        entries.delete(key)
+      }
+      else {
+        snapshot[key] = entry
+      }
+    })
+
+    pendingWrite = pendingWrite.then(async () => {
+      const tempFile = `${storeFile}.${process.pid}.tmp`
+      await fs.promises.writeFile(tempFile, JSON.stringify(snapshot), { mode: 0o600 })
+      await fs.promises.rename(tempFile, storeFile)
+    }).catch(error => {
+      logger.error('Unable to write file store', { file: storeFile, error: error })
+    })
+    return pendingWrite
+  }
+
+  function readEntry(key) {
+    const entry = entries.get(key)
+    if (!entry) {
+      return null
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      entries.delete(key)
+      return null
+    }
+
+    return JSON.parse(entry.value)
+  }
+
+  return {
+    namespace: namespace,
+
+    async get(key) {
+      return readEntry(key)
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: Date.now() + ttlMs
+      })
+      await persist()
+    },
+
+    async take(key) {
+      const value = readEntry(key)
+      if (entries.delete(key)) {
+        await persist()
+      }
+      return value
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      if (readEntry(key) !== null) {
+        return false
+      }
+      entries.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: Date.now() + ttlMs
+      })
+      await persist()
+      return true
+    },
+
+    async delete(key) {
+      if (entries.delete(key)) {
+        await persist()
+      }
+    },
+
+    async size() {
+      const now = Date.now()
+      return [...entries.values()].filter(entry => now <= entry.expiresAt).length
+    }
+  }
+}
+
+module.exports = {
+  createFileStore
+}
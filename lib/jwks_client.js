@@ -0,0 +1,73 @@
+'use strict'
+
+const axios = require('axios')
+const jwt = require('jsonwebtoken')
+const jwk2pem = require('pem-jwk').jwk2pem
+const { createLogger } = require('./logger')
+
+const logger = createLogger('jwks_client')
+
+// Cache for signing keys to avoid repeated fetches
+const keyCache = new Map()
+const KEY_CACHE_TTL = 3600000 // 1 hour in milliseconds
+
+/**
+ * Fetches the signing key from the JWKS endpoint.
+ * @param {string} keysUrl - The URL of the JWKS endpoint
+ * @param {string} kid - The key ID from the token header
+ * @returns {object} - The signing key
+ */
+async function getSigningKey(keysUrl, kid) {
+  const cacheKey = `${keysUrl}:${kid}`
+  const cached = keyCache.get(cacheKey)
+
+  if (cached && Date.now() - cached.timestamp < KEY_CACHE_TTL) {
+    return cached.key
+  }
+
+  try {
+    const keysResponse = await axios.request({
+      url: keysUrl,
+      method: 'get',
+      timeout: 5000
+    })
+
+    const keyByKid = keysResponse.data.keys.filter((key) => key.kid === kid)
+
+    if (keyByKid.length === 1) {
+      keyCache.set(cacheKey, { key: keyByKid[0], timestamp: Date.now() })
+      return keyByKid[0]
+    }
+
+    throw new Error(`Unable to locate signing key with kid: ${kid}`)
+  } catch (error) {
+    logger.error('Error fetching signing keys', { error: error })
+    throw new Error('Error retrieving signing keys from authorization server')
+  }
+}
+
+/**
+ * Verifies a JWT against the keys published on a JWKS endpoint.
+ * @param {string} token - The JWT
+ * @param {string} keysUrl - The URL of the JWKS endpoint
+ * @param {object} options - jsonwebtoken verify options (issuer, audience, etc.)
+ * @returns {Promise<object>} - The verified claims
+ * @throws {Error} - If the token can't be verified
+ */
+async function verifyJwt(token, keysUrl, options) {
+  const decoded = jwt.decode(token, { complete: true })
+  if (!decoded) {
+    throw new Error('Unable to parse token')
+  }
+
+  const key = await getSigningKey(keysUrl, decoded.header.kid)
+  return jwt.verify(token, jwk2pem(key), {
+    algorithms: ['RS256'],
+    ...options
+  })
+}
+
+module.exports = {
+  getSigningKey,
+  verifyJwt
+}
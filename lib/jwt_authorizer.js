@@ -1,162 +1,201 @@
 'use strict'
 
-const njwt = require('njwt')
-const axios = require('axios')
-const jwk2pem = require('pem-jwk').jwk2pem
+const tokenIssuer = require('./token_issuer')
+const agentSessionCache = require('./agent_session_cache')
+const dpop = require('./dpop')
+const { createLogger } = require('./logger')
 
-// Cache for signing keys to avoid repeated fetches
-const keyCache = new Map()
-const KEY_CACHE_TTL = 3600000 // 1 hour in milliseconds
+const logger = createLogger('jwt_authorizer')
 
-/**
- * Fetches the signing key from the JWKS endpoint.
- * @param {string} keysUrl - The URL of the JWKS endpoint
- * @param {string} kid - The key ID from the token header
- * @returns {object} - The signing key
- */
-async function getSigningKey(keysUrl, kid) {
-  const cacheKey = `${keysUrl}:${kid}`
-  const cached = keyCache.get(cacheKey)
-  
-  if (cached && Date.now() - cached.timestamp < KEY_CACHE_TTL) {
-    return cached.key
-  }
-
-  try {
-    const keysResponse = await axios.request({
-      url: keysUrl,
-      method: 'get',
-      timeout: 5000
-    })
-
-    const keyByKid = keysResponse.data.keys.filter((key) => key.kid === kid)
-    
-    if (keyByKid.length === 1) {
-      keyCache.set(cacheKey, { key: keyByKid[0], timestamp: Date.now() })
-      return keyByKid[0]
-    }
-    
-    throw new Error(`Unable to locate signing key with kid: ${kid}`)
-  } catch (error) {
-    console.error('Error fetching signing keys:', error.message)
-    throw new Error('Error retrieving signing keys from authorization server')
-  }
-}
+// Proxy access tokens are sent with the Bearer scheme, or the DPoP scheme if they're DPoP-bound.
+const AUTHORIZATION_HEADER_PATTERN = /^\s*(bearer|dpop)\s+(.+)$/i
 
 /**
- * Extracts the kid (key ID) from a JWT token header.
- * @param {string} accessToken - The JWT access token
- * @returns {string} - The key ID
+ * Reads the proxy access token from the Authorization header.
+ * @param {object} headers - The request headers
+ * @returns {object|null} - { scheme (bearer or dpop), accessToken }, or null if there's no Bearer or DPoP token
  */
-function getTokenKid(accessToken) {
-  try {
-    return JSON.parse(Buffer.from(accessToken.split('.')[0], 'base64').toString('utf-8')).kid
-  } catch (error) {
-    throw new Error('Unable to parse token header')
+function parseAuthorizationHeader(headers) {
+  const authHeader = headers.authorization || headers.Authorization || ''
+  const parsedHeader = authHeader.match(AUTHORIZATION_HEADER_PATTERN)
+  if (!parsedHeader) {
+    return null
   }
-}
 
-/**
- * Extracts the issuer from a JWT token body.
- * @param {string} accessToken - The JWT access token
- * @returns {string} - The issuer
- */
-function getTokenIssuer(accessToken) {
-  try {
-    return JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64').toString('utf-8')).iss
-  } catch (error) {
-    throw new Error('Unable to parse token body')
+  return {
+    scheme: parsedHeader[1].toLowerCase(),
+    accessToken: parsedHeader[2]
   }
 }
 
 /**
- * Validates that the token issuer matches the tenant configuration.
- * @param {string} issuer - The issuer from the token
+ * Main authorization function - validates the proxy-issued JWT and authorizes the request.
+ * The access token must have been minted by this proxy for this tenant, with an audience covering the requested URL,
+ * and must be bound to a live agent session.
+ * DPoP-bound tokens (RFC 9449) must be sent with the DPoP scheme and a valid proof from the key they're bound to. Tenants with
+ * dpop_bound_access_tokens_required only accept DPoP-bound tokens.
  * @param {object} tenantConfig - The tenant configuration
- * @returns {boolean} - True if the issuer is valid
- */
-function validateIssuer(issuer, tenantConfig) {
-  console.log(`Validating token issuer: ${issuer}`)
-  return issuer === tenantConfig.issuer
-}
-
-/**
- * Main authorization function - validates JWT and authorizes the request.
- * @param {object} tenantConfig - The tenant configuration
- * @param {string} httpMethod - The HTTP method of the request
  * @param {object} headers - The request headers
- * @returns {object} - Authorization result with success status and verified JWT
+ * @param {string} requestUrl - The URL of the proxied request, without its query
+ * @param {string} method - The HTTP method of the proxied request
+ * @returns {object} - Authorization result with success status, the agent access token behind the session and the verified claims.
+ *   Failures may carry an error code, whether the client should be challenged for DPoP, and a DPoP nonce to retry with
  */
-module.exports.authorizeRequest = async function(tenantConfig, headers) {
-  const authHeaderPattern = /^\s*bearer\s+(.+)$/i
-  let verifiedJWT = null
+module.exports.authorizeRequest = async function(tenantConfig, headers, requestUrl, method) {
+  const dpopRequired = tenantConfig.dpop_bound_access_tokens_required === true
+  let verifiedClaims = null
   let accessToken = null
-  
+  let scheme = null
+
   try {
     // Extract the authorization header
-    const authHeader = headers.authorization || headers.Authorization || ''
-    const parsedHeader = authHeader.match(authHeaderPattern)
+    const parsedHeader = parseAuthorizationHeader(headers)
 
-    if (!parsedHeader || parsedHeader.length !== 2) {
+    if (!parsedHeader) {
       return {
         success: false,
         statusCode: 401,
-        message: 'Missing or invalid authorization header. Bearer token required.',
-        token: null
+        message: `Missing or invalid authorization header. ${dpopRequired ? 'DPoP' : 'Bearer'} token required.`,
+        token: null,
+        dpop: dpopRequired
       }
     }
 
-    accessToken = parsedHeader[1]
-    
-    // Validate the issuer
-    const issuer = getTokenIssuer(accessToken)
-    if (!validateIssuer(issuer, tenantConfig)) {
-      return {
-        success: false,
-        statusCode: 403,
-        message: 'Access token was not issued by a trusted issuer for this tenant.',
-        token: null
-      }
-    }
+    scheme = parsedHeader.scheme
+    accessToken = parsedHeader.accessToken
 
-    // Get the signing key and verify the token
-    const key = await getSigningKey(tenantConfig.keys_endpoint, getTokenKid(accessToken))
-    const signingKeyPem = jwk2pem(key)
-    verifiedJWT = njwt.verify(accessToken, signingKeyPem, 'RS256')
+    // Verify the signature, issuer, audience and expiry of the token.
+    verifiedClaims = tokenIssuer.verifyAccessToken(accessToken, tenantConfig.id, requestUrl)
 
   } catch (err) {
-    console.error('JWT verification error:', err.message)
+    logger.info('JWT verification error', { error: err })
     return {
       success: false,
       statusCode: 401,
       message: 'Invalid or expired access token.',
+      token: null,
+      dpop: dpopRequired || scheme === 'dpop'
+    }
+  }
+
+  // A DPoP-bound token is only accepted with a proof that this request was made by the holder of the key it's bound to.
+  const dpopFailure = await dpop.checkTokenBinding(verifiedClaims, scheme, headers, method, requestUrl, accessToken)
+  if (dpopFailure) {
+    return {
+      success: false,
+      statusCode: 401,
+      error: dpopFailure.error,
+      message: dpopFailure.error_description,
+      token: null,
+      dpop: true,
+      dpopNonce: dpopFailure.nonce
+    }
+  }
+
+  if (dpopRequired && !verifiedClaims.cnf) {
+    return {
+      success: false,
+      statusCode: 401,
+      message: `Tenant '${tenantConfig.id}' only accepts DPoP-bound access tokens.`,
+      token: null,
+      dpop: true
+    }
+  }
+
+  // Look up the agent session the token is bound to.
+  let session = null
+  try {
+    session = await agentSessionCache.getSession(verifiedClaims.sid)
+  } catch (err) {
+    logger.error('Agent session lookup error', { error: err })
+    return {
+      success: false,
+      statusCode: 503,
+      message: 'Unable to look up the session for this access token.',
       token: null
     }
   }
 
-  // Validate audience
-  const expectedAudience = `${process.env.PROXY_BASE_URL}/${tenantConfig.id}`
-  
-  if (verifiedJWT.body.aud) {
-    const tokenAud = verifiedJWT.body.aud
-    const validAudience = Array.isArray(tokenAud) 
-      ? tokenAud.includes(expectedAudience) 
-      : tokenAud === expectedAudience
-    
-    if (!validAudience) {
-      console.log(`Audience mismatch - Expected: ${expectedAudience}, Actual: ${tokenAud}`)
-      return {
-        success: false,
-        statusCode: 403,
-        message: 'Access token has incorrect audience for this tenant.',
-        token: null
-      }
+  // Revoking a token (see token_revocation.js) deletes its session, so tokens bound to a revoked session stop working here.
+  if (!session || session.tenantId !== tenantConfig.id) {
+    return {
+      success: false,
+      statusCode: 401,
+      message: 'The session for this access token has been revoked or no longer exists.',
+      token: null
+    }
+  }
+
+  if (Date.now() >= session.agentAccessTokenExpiresAt) {
+    return {
+      success: false,
+      statusCode: 401,
+      message: 'The agent access token for this session has expired.',
+      token: null
     }
   }
 
   return {
     success: true,
     message: '',
-    token: accessToken
+    token: session.agentAccessToken,
+    claims: verifiedClaims
   }
 }
+
+/**
+ * Authenticates a request to one of the proxy's own endpoints (e.g. /userinfo, /consents) made with a proxy access token issued for any tenant.
+ * The token's signature, issuer and expiry, its DPoP binding and its agent session are checked the same way as on proxied requests,
+ * so revoked tokens stop working here too. Errors looking up the session are thrown.
+ * @param {object} headers - The request headers
+ * @param {string} method - The HTTP method of the request
+ * @param {string} url - The URL of the endpoint, without its query
+ * @returns {Promise<object>} - { claims, tenantId, session } if the token is valid, otherwise { error, error_description, dpop, nonce } for sendInvalidToken
+ */
+module.exports.authenticateAccessToken = async function(headers, method, url) {
+  const parsedHeader = parseAuthorizationHeader(headers)
+  if (!parsedHeader) {
+    return { error: 'invalid_token', error_description: 'An access token is required.' }
+  }
+
+  let claims
+  let tenantId
+  try {
+    tenantId = tokenIssuer.getTenantIdFromIssuer(tokenIssuer.verifyOwnAccessToken(parsedHeader.accessToken).iss)
+    claims = tokenIssuer.verifyAccessToken(parsedHeader.accessToken, tenantId)
+  } catch (error) {
+    return { error: 'invalid_token', error_description: 'The access token is invalid, expired or has been revoked.', dpop: parsedHeader.scheme === 'dpop' }
+  }
+
+  const dpopFailure = await dpop.checkTokenBinding(claims, parsedHeader.scheme, headers, method, url, parsedHeader.accessToken)
+  if (dpopFailure) {
+    return { ...dpopFailure, dpop: true }
+  }
+
+  const session = await agentSessionCache.getSession(claims.sid)
+  if (!session || session.tenantId !== tenantId || Date.now() >= session.agentAccessTokenExpiresAt) {
+    return { error: 'invalid_token', error_description: 'The access token is invalid, expired or has been revoked.', dpop: !!claims.cnf }
+  }
+
+  return { claims, tenantId, session }
+}
+
+/**
+ * Rejects a request without a valid access token (RFC 6750 section 3), or with a DPoP-bound token that wasn't sent with a valid proof (RFC 9449 section 7.1).
+ * @param {object} res - The Express response
+ * @param {object} failure - { error, error_description, dpop, nonce }, e.g. as returned by authenticateAccessToken
+ */
+module.exports.sendInvalidToken = function(res, failure) {
+  if (failure.nonce) {
+    res.set('DPoP-Nonce', failure.nonce)
+  }
+
+  const challenge = failure.dpop
+    ? `DPoP error="${failure.error}", error_description="${failure.error_description}", algs="${dpop.DPOP_SIGNING_ALGORITHMS.join(' ')}"`
+    : `Bearer error="${failure.error}", error_description="${failure.error_description}"`
+  res.set('WWW-Authenticate', challenge)
+  return res.status(401).json({
+    error: failure.error,
+    error_description: failure.error_description
+  })
+}
@@ -0,0 +1,193 @@
+'use strict'
+
+const crypto = require('crypto')
+const { AsyncLocalStorage } = require('async_hooks')
+
+/**
+ * Structured logging for the proxy.
+ *
+ * Every entry is written to stdout as one JSON object: the structured fields, plus time, level, module, msg, request_id and login_id.
+ * - request_id identifies the HTTP request the entry was logged for. It's taken from an inbound X-Request-Id header
+ *   if there is a sane one, otherwise generated, and is returned in the X-Request-Id response header.
+ * - login_id identifies a login transaction, from /authorize through the callbacks to the /token request that redeems it.
+ *
+ * Tokens, secrets and assertions never reach the log. Fields whose names look sensitive are redacted, and so is anything
+ * in a message or field value that looks like a JWT, a bearer credential or a secret in a query string.
+ *
+ * Levels are debug, info, warn and error. LOG_LEVEL sets the level for every module (default info), and LOG_LEVELS
+ * overrides it per module, e.g. LOG_LEVELS=token=debug,proxy_routes=warn.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+// Shown instead of a redacted value.
+const REDACTED = '[REDACTED]'
+
+// Field names (lower case, without _ or -) whose values are always redacted.
+const SENSITIVE_FIELD_SUFFIXES = ['token', 'secret', 'assertion', 'password', 'authorization', 'cookie', 'codeverifier', 'ticket', 'dpop', 'jag', 'authsession']
+const SENSITIVE_FIELDS = ['code', 'devicecode', 'usercode', 'connectcode', 'state', 'nonce']
+
+// Credentials that can turn up inside strings- in messages, URLs and request bodies.
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g
+const AUTHORIZATION_PATTERN = /\b(Bearer|DPoP|Basic)\s+[A-Za-z0-9._~+/=-]+/gi
+const QUERY_SECRET_PATTERN = /\b(access_token|refresh_token|id_token|subject_token|client_secret|client_assertion|assertion|code|code_verifier|device_code|user_code|ticket|state|nonce)=([^&\s"']+)/g
+
+// How deep objects are logged. Anything deeper is left out.
+const MAX_DEPTH = 5
+
+// The request (and login) the code that's running is working for.
+const context = new AsyncLocalStorage()
+
+// Request ids we accept from upstream proxies and load balancers.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/
+
+/**
+ * Looks up the level a module logs at
+ * @param {string} module - The module name
+ * @returns {number} - The minimum level that's written
+ */
+function getModuleLevel(module) {
+  const override = (process.env.LOG_LEVELS || '').split(',')
+    .map(entry => entry.trim().split('='))
+    .find(([name]) => name === module)
+
+  const level = override ? override[1] : process.env.LOG_LEVEL
+  return LEVELS[level] || LEVELS.info
+}
+
+/**
+ * Checks whether a field's value must never be logged
+ * @param {string} key - The field name
+ * @returns {boolean} - True if the field is sensitive
+ */
+function isSensitiveField(key) {
+  const normalized = key.toLowerCase().replace(/[_-]/g, '')
+  return SENSITIVE_FIELDS.includes(normalized) || SENSITIVE_FIELD_SUFFIXES.some(suffix => normalized.endsWith(suffix))
+}
+
+/**
+ * Redacts credentials from a string
+ * @param {string} text - The string
+ * @returns {string} - The string, with anything that looks like a credential replaced
+ */
+function redactString(text) {
+  return text
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(AUTHORIZATION_PATTERN, `$1 ${REDACTED}`)
+    .replace(QUERY_SECRET_PATTERN, `$1=${REDACTED}`)
+}
+
+/**
+ * Makes a value safe to log: sensitive fields and credentials in strings are redacted, errors are reduced to their message.
+ * @param {*} value - The value
+ * @param {number} depth - How deep in the logged object the value is
+ * @returns {*} - The redacted, JSON-serializable value
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value)
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]'
+  }
+
+  if (value instanceof Error) {
+    // Upstream errors (axios) carry the response body, which is usually what explains the failure.
+    // The error code (e.g. ECONNREFUSED) is logged as error_code, as code is a sensitive field name.
+    const responseData = value.response && value.response.data
+    return redact({ name: value.name, message: value.message, error_code: value.code, response: responseData }, depth + 1)
+  }
+
+  if (value instanceof URLSearchParams) {
+    return redact(Object.fromEntries(value), depth)
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1))
+  }
+
+  const redacted = {}
+  for (const [key, fieldValue] of Object.entries(value)) {
+    if (fieldValue === undefined) {
+      continue
+    }
+    redacted[key] = isSensitiveField(key) && fieldValue !== null && typeof fieldValue !== 'boolean' ? REDACTED : redact(fieldValue, depth + 1)
+  }
+  return redacted
+}
+
+/**
+ * Writes a log entry
+ * @param {string} module - The module that logged it
+ * @param {string} level - The level
+ * @param {string} message - The message
+ * @param {object} fields - (optional) Structured fields to log with the message
+ */
+function write(module, level, message, fields) {
+  if (LEVELS[level] < getModuleLevel(module)) {
+    return
+  }
+
+  // The fields come first, so they can't overwrite the time, level, message or correlation ids.
+  const correlation = context.getStore() || {}
+  const entry = {
+    ...redact(fields || {}),
+    time: new Date().toISOString(),
+    level: level,
+    module: module,
+    msg: redactString(String(message)),
+    request_id: correlation.requestId,
+    login_id: correlation.loginId
+  }
+
+  process.stdout.write(`${JSON.stringify(entry)}\n`)
+}
+
+/**
+ * Creates the logger for a module
+ * @param {string} module - The module name, used in every entry and to configure the module's level with LOG_LEVELS
+ * @returns {object} - { debug, info, warn, error }, each taking a message and optional structured fields
+ */
+function createLogger(module) {
+  return {
+    debug: (message, fields) => write(module, 'debug', message, fields),
+    info: (message, fields) => write(module, 'info', message, fields),
+    warn: (message, fields) => write(module, 'warn', message, fields),
+    error: (message, fields) => write(module, 'error', message, fields)
+  }
+}
+
+/**
+ * Express middleware that gives each request a request id, and runs the rest of the request with it.
+ * Must be added after the body parsers, which don't keep the async context.
+ */
+function requestContext(req, res, next) {
+  const inboundRequestId = req.headers['x-request-id']
+  const requestId = REQUEST_ID_PATTERN.test(inboundRequestId || '') ? inboundRequestId : crypto.randomUUID()
+  res.set('X-Request-Id', requestId)
+
+  context.run({ requestId: requestId, loginId: undefined }, next)
+}
+
+/**
+ * Ties the rest of the current request to a login transaction, so its entries carry the login_id.
+ * @param {string} loginId - The login transaction id (see authorize.js), if known
+ */
+function setLoginId(loginId) {
+  const correlation = context.getStore()
+  if (correlation && loginId) {
+    correlation.loginId = loginId
+  }
+}
+
+module.exports = {
+  createLogger,
+  requestContext,
+  setLoginId,
+  redact
+}
@@ -0,0 +1,93 @@
+'use strict'
+
+/**
+ * In-memory store implementation.
+ *
+ * This is the default store. It keeps everything in a process-local Map, so it is only suitable for a single proxy instance,
+ * and everything is lost on restart. Values are stored serialized, so they behave exactly like they would in a shared store.
+ */
+
+// How often expired entries are swept out of memory.
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+/**
+ * Creates an in-memory store
+ * @param {string} namespace - The name of the cache using this store
+ * @returns {Object} - The store
+ */
+function createMemoryStore(namespace) {
+  // Key: cache key, Value: { value (serialized), expiresAt }
+  const entries = new Map()
+
+  function readEntry(key) {
+    const entry = entries.get(key)
+    if (!entry) {
+      return null
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      entries.delete(key)
+      return null
+    }
+
+    return JSON.parse(entry.value)
+  }
+
+  // Entries that are never read again (e.g. abandoned logins) would otherwise stay in memory forever.
+  const sweeper = setInterval(() => {
+    const now = Date.now()
+    entries.forEach((entry, key) => {
+      if (now > entry.expiresAt) {
+        entries.delete(key)
+      }
+    })
+  }, SWEEP_INTERVAL_MS)
+  sweeper.unref()
+
+  return {
+    namespace: namespace,
+
+    async get(key) {
+      return readEntry(key)
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: Date.now() + ttlMs
+      })
+    },
+
+    // Single-threaded, so a read followed by a delete is already atomic.
+    async take(key) {
+      const value = readEntry(key)
+      entries.delete(key)
+      return value
+    },
+
+    // Also atomic- nothing can run between the read and the write.
+    async setIfAbsent(key, value, ttlMs) {
+      if (readEntry(key) !== null) {
+        return false
+      }
+      entries.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: Date.now() + ttlMs
+      })
+      return true
+    },
+
+    async delete(key) {
+      entries.delete(key)
+    },
+
+    async size() {
+      const now = Date.now()
+      return [...entries.values()].filter(entry => now <= entry.expiresAt).length
+    }
+  }
+}
+
+module.exports = {
+  createMemoryStore
+}
@@ -0,0 +1,182 @@
+'use strict'
+
+/**
+ * Prometheus metrics for the proxy.
+ *
+ * Modules create the metrics they record with createCounter, createHistogram and createGauge, and /metrics renders every
+ * metric in the Prometheus text exposition format (see routes/metrics.js). Metric names are prefixed with mcp_proxy_.
+ *
+ * Counters and histograms live in process memory, so each proxy instance reports its own. Gauges are collected when
+ * /metrics is scraped.
+ *
+ * Label values must come from a small, known set (tenant ids, outcomes, status codes)- never from user input.
+ */
+
+// Histogram buckets, in seconds. Covers everything from a cached lookup to a slow upstream.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+
+// Every metric, in the order they were created.
+// Key: metric name, Value: { name, help, type, render }
+const registry = new Map()
+
+/**
+ * Escapes a label value for the text exposition format
+ * @param {*} value - The label value
+ * @returns {string} - The escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+/**
+ * Formats a set of labels
+ * @param {string[]} labelNames - The label names, in order
+ * @param {string[]} labelValues - The label values, in the same order
+ * @returns {string} - e.g. {tenant="github",outcome="success"}, or an empty string if there are no labels
+ */
+function formatLabels(labelNames, labelValues) {
+  if (labelNames.length === 0) {
+    return ''
+  }
+  return `{${labelNames.map((labelName, index) => `${labelName}="${escapeLabelValue(labelValues[index])}"`).join(',')}}`
+}
+
+/**
+ * Registers a metric
+ * @param {string} name - The metric name
+ * @param {string} help - What the metric measures
+ * @param {string} type - counter, histogram or gauge
+ * @param {Function} render - Returns the metric's sample lines (may be async)
+ */
+function register(name, help, type, render) {
+  if (registry.has(name)) {
+    throw new Error(`Metric ${name} is already registered.`)
+  }
+  registry.set(name, { name, help, type, render })
+}
+
+/**
+ * Creates the series store of a labelled metric
+ * @param {string[]} labelNames - The label names
+ * @param {Function} createSeries - Creates the state of a new series
+ * @returns {object} - { get(labels), entries() }
+ */
+function createSeriesStore(labelNames, createSeries) {
+  // Key: label values (JSON), Value: { labelValues, state }
+  const series = new Map()
+
+  return {
+    get(labels) {
+      const labelValues = labelNames.map(labelName => (labels && labels[labelName] !== undefined && labels[labelName] !== null) ? String(labels[labelName]) : '')
+      const key = JSON.stringify(labelValues)
+      if (!series.has(key)) {
+        series.set(key, { labelValues: labelValues, state: createSeries() })
+      }
+      return series.get(key).state
+    },
+
+    entries() {
+      return [...series.values()]
+    }
+  }
+}
+
+/**
+ * Creates a counter
+ * @param {string} name - The metric name, ending in _total
+ * @param {string} help - What the counter counts
+ * @param {string[]} labelNames - (optional) The label names
+ * @returns {object} - { inc(labels, value) }
+ */
+function createCounter(name, help, labelNames = []) {
+  const series = createSeriesStore(labelNames, () => ({ value: 0 }))
+
+  register(name, help, 'counter', () => series.entries().map(({ labelValues, state }) => `${name}${formatLabels(labelNames, labelValues)} ${state.value}`))
+
+  return {
+    inc(labels, value = 1) {
+      series.get(labels).value += value
+    }
+  }
+}
+
+/**
+ * Creates a histogram
+ * @param {string} name - The metric name, ending in the unit (e.g. _seconds)
+ * @param {string} help - What the histogram measures
+ * @param {string[]} labelNames - (optional) The label names
+ * @param {number[]} buckets - (optional) The bucket upper bounds, in ascending order
+ * @returns {object} - { observe(labels, value), startTimer(labels) }. The function startTimer returns observes the
+ *   seconds elapsed since the timer was started, with the labels it was started with plus any it's called with.
+ */
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = createSeriesStore(labelNames, () => ({ bucketCounts: buckets.map(() => 0), sum: 0, count: 0 }))
+
+  register(name, help, 'histogram', () => {
+    const lines = []
+    series.entries().forEach(({ labelValues, state }) => {
+      buckets.forEach((bucket, index) => {
+        lines.push(`${name}_bucket${formatLabels([...labelNames, 'le'], [...labelValues, bucket])} ${state.bucketCounts[index]}`)
+      })
+      lines.push(`${name}_bucket${formatLabels([...labelNames, 'le'], [...labelValues, '+Inf'])} ${state.count}`)
+      lines.push(`${name}_sum${formatLabels(labelNames, labelValues)} ${state.sum}`)
+      lines.push(`${name}_count${formatLabels(labelNames, labelValues)} ${state.count}`)
+    })
+    return lines
+  })
+
+  function observe(labels, value) {
+    const state = series.get(labels)
+    buckets.forEach((bucket, index) => {
+      if (value <= bucket) {
+        state.bucketCounts[index] += 1
+      }
+    })
+    state.sum += value
+    state.count += 1
+  }
+
+  return {
+    observe: observe,
+
+    startTimer(labels) {
+      const start = process.hrtime.bigint()
+      return (endLabels) => observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9)
+    }
+  }
+}
+
+/**
+ * Creates a gauge whose values are collected when the metrics are scraped
+ * @param {string} name - The metric name
+ * @param {string} help - What the gauge measures
+ * @param {string[]} labelNames - The label names
+ * @param {Function} collect - Async function returning the current values, as [{ labels, value }]
+ */
+function createGauge(name, help, labelNames, collect) {
+  register(name, help, 'gauge', async () => {
+    const samples = await collect()
+    return samples.map(({ labels, value }) => `${name}${formatLabels(labelNames, labelNames.map(labelName => labels[labelName]))} ${value}`)
+  })
+}
+
+/**
+ * Renders every metric in the Prometheus text exposition format (version 0.0.4)
+ * @returns {Promise<string>} - The metrics
+ */
+async function renderMetrics() {
+  const output = []
+  for (const metric of registry.values()) {
+    output.push(`# HELP ${metric.name} ${metric.help}`)
+    output.push(`# TYPE ${metric.name} ${metric.type}`)
+    output.push(...await metric.render())
+  }
+  return `${output.join('\n')}\n`
+}
+
+module.exports = {
+  createCounter,
+  createHistogram,
+  createGauge,
+  renderMetrics
+}
@@ -1,27 +1,35 @@
 'use strict'
 
+const { createStore } = require('./store')
+const cacheCrypto = require('./cache_crypto')
+
 /**
- * In-memory outbound request cache for caching the proxy's outbound /authorize requests.
- * 
- * This module provides a simple in-memory cache for storing outbound authorize requests
+ * Outbound request cache for caching the proxy's outbound /authorize requests.
+ *
+ * This module provides a cache for storing outbound authorize requests
  * that are sent to the upstream authorization server.
  */
 
-// In-memory cache for storing outbound auth requests.
+// Cache for storing outbound auth requests.
 // Key: outbound state value, Value: object containing all outbound request parameters.
-const oidcCache = new Map()
+const oidcCache = createStore('oidc')
 
 // Cache TTL in milliseconds (15 minutes - typical OAuth flow timeout)
 const CACHE_TTL_MS = 15 * 60 * 1000
 
+// Fields that are encrypted before they are written to the store.
+const SENSITIVE_FIELDS = ['accessToken', 'idToken', 'oktaRefreshToken']
+
 /**
  * Stores an outbound OAuth2 /authorize request in the cache using the outbound state as the key
  * @param {string} outboundState - The generated outbound state value
  * @param {string} tenantId - The tenant identifier
  * @param {URLSearchParams} parameters - The outbound request parameters
- * @returns {Object} - The cached request object
+ * @param {string} idToken - The user's Okta ID token, once the Okta login has completed
+ * @param {string} oktaRefreshToken - The user's Okta refresh token, if offline_access was granted
+ * @returns {Promise<Object>} - The cached request object
  */
-function cacheOidcRequest(outboundState, parameters, originalState, originalParameters, accessToken, accessTokenScope, accessTokenExpiresIn, tenantId) {
+async function cacheOidcRequest(outboundState, parameters, originalState, originalParameters, accessToken, accessTokenScope, accessTokenExpiresIn, tenantId, idToken, oktaRefreshToken) {
   const cacheEntry = {
     tenantId: tenantId,
     parameters: parameters,
@@ -30,43 +38,69 @@ function cacheOidcRequest(outboundState, parameters, originalState, originalPara
     accessToken: accessToken,
     accessTokenScope: accessTokenScope,
     accessTokenExpiresIn: accessTokenExpiresIn,
+    idToken: idToken,
+    oktaRefreshToken: oktaRefreshToken,
     createdAt: Date.now()
   }
-  
-  oidcCache.set(outboundState, cacheEntry)
+
+  // The request parameters are stored as query strings so they survive serialization.
+  const storedEntry = {
+    ...cacheEntry,
+    parameters: parameters.toString(),
+    originalParameters: originalParameters.toString()
+  }
+  await oidcCache.set(outboundState, cacheCrypto.sealFields(storedEntry, SENSITIVE_FIELDS, `oidc:${outboundState}`), CACHE_TTL_MS)
   return cacheEntry
 }
 
 /**
- * Retrieves a cached outbound OAuth2 authorize request by state value
+ * Turns a stored entry back into a cached request object
+ * @param {Object} stored - The entry as it was read from the store
  * @param {string} state - The outbound state value used as the cache key
- * @returns {Object|null} - The cached request object or null if not found/expired
+ * @returns {Object|null} - The cached request object, or null if it couldn't be decrypted
  */
-function getOidcRequest(state) {
-  const cached = oidcCache.get(state)
-  if (!cached) {
+function hydrateOidcRequest(stored, state) {
+  stored = cacheCrypto.openFields(stored, SENSITIVE_FIELDS, `oidc:${state}`)
+  if (!stored) {
     return null
   }
-  
-  // Check if the cache entry has expired
-  if (Date.now() - cached.createdAt > CACHE_TTL_MS) {
-    oidcCache.delete(state)
-    return null
+
+  return {
+    ...stored,
+    parameters: new URLSearchParams(stored.parameters),
+    originalParameters: new URLSearchParams(stored.originalParameters)
   }
-  
-  return cached
+}
+
+/**
+ * Retrieves a cached outbound OAuth2 authorize request by state value
+ * @param {string} state - The outbound state value used as the cache key
+ * @returns {Promise<Object|null>} - The cached request object or null if not found/expired
+ */
+async function getOidcRequest(state) {
+  return hydrateOidcRequest(await oidcCache.get(state), state)
+}
+
+/**
+ * Retrieves and removes a cached outbound OAuth2 authorize request by state value, so each state can only be used once
+ * @param {string} state - The outbound state value used as the cache key
+ * @returns {Promise<Object|null>} - The cached request object or null if not found/expired
+ */
+async function takeOidcRequest(state) {
+  return hydrateOidcRequest(await oidcCache.take(state), state)
 }
 
 /**
  * Clears a cached outbound request entry
  * @param {string} state - The outbound state value used as the cache key
  */
-function clearOidcRequest(state) {
-  oidcCache.delete(state)
+async function clearOidcRequest(state) {
+  await oidcCache.delete(state)
 }
 
 module.exports = {
   cacheOidcRequest,
   getOidcRequest,
+  takeOidcRequest,
   clearOidcRequest
 }
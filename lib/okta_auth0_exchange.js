@@ -2,6 +2,17 @@ const axios = require('axios');
 const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const crypto = require('crypto');
+const jwksClient = require('./jwks_client');
+const { createLogger } = require('./logger');
+const metrics = require('./metrics');
+
+const logger = createLogger('okta_auth0_exchange');
+
+// Latency of the XAA exchanges with Okta: the ID token for an ID-JAG, and the ID-JAG for the agent access token.
+const xaaExchangeDuration = metrics.createHistogram('mcp_proxy_xaa_exchange_duration_seconds', 'Duration of the ID-JAG and agent access token exchanges with Okta, by outcome.', ['tenant', 'exchange', 'outcome']);
+
+// Allowed clock skew between the proxy and Okta when checking ID token timestamps.
+const ID_TOKEN_CLOCK_TOLERANCE_SECONDS = 60;
 
 /**
  * Generates a client assertion JWT for private_key_jwt authentication
@@ -84,9 +95,75 @@ async function getAuth0ConnectedAcctClientCredentialsToken(auth0Domain, clientId
     return response.data.access_token
 }
 
+/**
+ * Verifies an ID token issued by the Okta org authorization server.
+ * The signature is checked against the org JWKS, along with iss, aud, exp, iat and (for a login) the nonce we sent.
+ * @param {string} idToken - The ID token
+ * @param {string} clientId - The Okta OIDC client the ID token was issued to
+ * @param {string} nonce - The nonce from our /authorize request, or undefined if none was sent (e.g. on refresh)
+ * @returns {Promise<object>} - The verified ID token claims
+ * @throws {Error} - If the ID token isn't valid
+ */
+async function verifyOktaIdToken(idToken, clientId, nonce) {
+    if (!idToken) {
+        throw new Error('No ID token was returned by Okta.')
+    }
+
+    let claims
+    try {
+        claims = await jwksClient.verifyJwt(idToken, `${process.env.OKTA_DOMAIN}/oauth2/v1/keys`, {
+            issuer: process.env.OKTA_DOMAIN,
+            audience: clientId,
+            nonce: nonce,
+            clockTolerance: ID_TOKEN_CLOCK_TOLERANCE_SECONDS
+        })
+    } catch (error) {
+        throw new Error(`ID token verification failed: ${error.message}`)
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    if (typeof claims.exp !== 'number' || typeof claims.iat !== 'number' || claims.iat > now + ID_TOKEN_CLOCK_TOLERANCE_SECONDS) {
+        throw new Error('ID token verification failed: missing or invalid exp/iat')
+    }
+
+    return claims
+}
+
+/**
+ * Verifies an ID-JAG (Identity Assertion JWT Authorization Grant) issued by the Okta org authorization server.
+ * The ID-JAG must be for the tenant's authorization server, and issued to our agent- it's the agent that presents it.
+ * @param {string} idJag - The ID-JAG
+ * @param {object} tenantConfig - The configuration of the tenant the ID-JAG should be for
+ * @param {string} clientId - The client id of our workload principal/agent
+ * @returns {Promise<object>} - The verified ID-JAG claims
+ * @throws {Error} - If the ID-JAG isn't valid
+ */
+async function verifyOktaIdJag(idJag, tenantConfig, clientId) {
+    let claims
+    try {
+        claims = await jwksClient.verifyJwt(idJag, `${process.env.OKTA_DOMAIN}/oauth2/v1/keys`, {
+            issuer: process.env.OKTA_DOMAIN,
+            audience: tenantConfig.issuer,
+            clockTolerance: ID_TOKEN_CLOCK_TOLERANCE_SECONDS
+        })
+    } catch (error) {
+        throw new Error(`ID-JAG verification failed: ${error.message}`)
+    }
+
+    if (typeof claims.exp !== 'number' || !claims.sub) {
+        throw new Error('ID-JAG verification failed: missing or invalid exp/sub')
+    }
+
+    if (claims.client_id !== clientId) {
+        throw new Error('ID-JAG verification failed: the ID-JAG was not issued to this agent')
+    }
+
+    return claims
+}
+
 //This is the method that will simply complete the Okta login and get ID token for the user.
-//We'll then use that ID token to get a JAG.
-async function completeOktaOIDCLogin(tokenEndpoint, code, redirectUri, scope, client_id, client_secret) {
+//The ID token is verified (including the nonce from our /authorize request) before we use it to get a JAG.
+async function completeOktaOIDCLogin(tokenEndpoint, code, redirectUri, scope, client_id, client_secret, nonce) {
     
     // Build the token request body
     const tokenRequestBody = new URLSearchParams()
@@ -97,15 +174,54 @@ async function completeOktaOIDCLogin(tokenEndpoint, code, redirectUri, scope, cl
     tokenRequestBody.set('client_secret', client_secret)
     tokenRequestBody.set('scope', scope)
 
-    console.log(`Exchanging authorization code for tokens at: ${tokenEndpoint}`)
+    logger.debug('Exchanging authorization code for tokens', { token_endpoint: tokenEndpoint })
+
+    const response = await axios.post(tokenEndpoint, tokenRequestBody.toString(), {
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        }
+    })
+    logger.debug('Token exchange successful')
+    const idTokenClaims = await verifyOktaIdToken(response.data.id_token, client_id, nonce)
+    return {
+        idToken: response.data.id_token,
+        idTokenClaims: idTokenClaims,
+        refreshToken: response.data.refresh_token
+    }
+}
+
+//Uses the Okta refresh token we obtained during the original login to get a brand new ID token for the user.
+//This lets us re-run XAA when the MCP client redeems one of our refresh tokens, without sending the user back through the browser.
+async function refreshOktaOIDCLogin(tokenEndpoint, refreshToken, scope, client_id, client_secret) {
+
+    const tokenRequestBody = new URLSearchParams()
+    tokenRequestBody.set('grant_type', 'refresh_token')
+    tokenRequestBody.set('refresh_token', refreshToken)
+    tokenRequestBody.set('client_id', client_id)
+    tokenRequestBody.set('client_secret', client_secret)
+    tokenRequestBody.set('scope', scope)
+
+    logger.debug('Refreshing Okta login', { token_endpoint: tokenEndpoint })
 
     const response = await axios.post(tokenEndpoint, tokenRequestBody.toString(), {
         headers: {
             'Content-Type': 'application/x-www-form-urlencoded'
         }
     })
-    console.log('Token exchange successful')
-    return response.data.id_token
+    logger.debug('Okta refresh successful')
+    const idTokenClaims = await verifyOktaIdToken(response.data.id_token, client_id)
+    return {
+        idToken: response.data.id_token,
+        idTokenClaims: idTokenClaims,
+        //Okta may or may not rotate the refresh token depending on the app configuration.
+        refreshToken: response.data.refresh_token || refreshToken
+    }
+}
+
+//The scope we request for the user's Okta login. This is just a normal login- it's not what the agent is getting.
+//offline_access is only requested when enabled, because the Okta app must also allow the refresh_token grant.
+function getOktaLoginScope() {
+    return process.env.OKTA_OFFLINE_ACCESS === 'true' ? 'openid profile offline_access' : 'openid profile'
 }
 
 /**
@@ -114,9 +230,10 @@ async function completeOktaOIDCLogin(tokenEndpoint, code, redirectUri, scope, cl
  * @param {string} idToken - The Okta id token we're exchanging for a JAG.
  * @param {string} clientId - The client id of our workload principal/agent.
  * @param {string} clientSecretKeyFile - The private keyfile path of our workload principal/agent.
+ * @param {string[]} scopes - The downstream scopes to request (see authorization_request.getEffectiveScopes). Defaults to all of the tenant's external_scopes.
  * @returns {Promise<object>} - The ID JAG from Okta as a response.
  */
-async function getIdJagFromOkta(tokenEndpoint, tenantConfig, idToken, clientId, clientSecretKeyFile, kid) {
+async function getIdJagFromOkta(tokenEndpoint, tenantConfig, idToken, clientId, clientSecretKeyFile, kid, scopes) {
   // Validate required parameters
   if (!tenantConfig) {
     throw new Error('tenantConfig is required')
@@ -131,7 +248,7 @@ async function getIdJagFromOkta(tokenEndpoint, tenantConfig, idToken, clientId,
     grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
     requested_token_type: 'urn:ietf:params:oauth:token-type:id-jag',
     audience: tenantConfig.issuer,
-    scope: tenantConfig.external_scopes.join(" "), //We're requesting all scopes that are in the external_scopes list.
+    scope: (scopes || tenantConfig.external_scopes).join(" "), //Only the scopes the client gets- never more than the external_scopes list.
     subject_token_type: 'urn:ietf:params:oauth:token-type:id_token',
     subject_token: idToken
   })
@@ -150,29 +267,36 @@ async function getIdJagFromOkta(tokenEndpoint, tenantConfig, idToken, clientId,
   requestBody.append('client_assertion', clientAssertion)
 
 
-  console.log(`ID-JAG Exchange: Requesting access token from ${tokenEndpoint}`)
-  console.log(`Request: ${requestBody.toString()}`)
+  logger.debug('ID-JAG Exchange: Requesting an ID-JAG', { token_endpoint: tokenEndpoint, request: requestBody })
+  const endTimer = xaaExchangeDuration.startTimer({ tenant: tenantConfig.id, exchange: 'id_jag' })
 
   try {
     const response = await axios.post(tokenEndpoint, requestBody.toString(), {
       headers
     })
 
-    console.log('ID-JAG Exchange: Successfully obtained ID JAG token')
-    console.log(response.data)
+    endTimer({ outcome: 'success' })
+    logger.debug('ID-JAG Exchange: Successfully obtained ID JAG token', { response: response.data })
     return response.data.access_token
   } catch (error) {
+    endTimer({ outcome: 'failure' })
     // Handle OAuth error responses
     if (error.response && error.response.data) {
       const errorData = error.response.data
-      console.error('ID-JAG Exchange failed:', errorData)
+      logger.error('ID-JAG Exchange failed', { token_endpoint: tokenEndpoint, status: error.response.status, response: errorData })
       
       const errorMessage = errorData.error_description || errorData.error || 'Unknown error'
-      throw new Error(`ID-JAG exchange failed: ${errorMessage}`)
+      const exchangeError = new Error(`ID-JAG exchange failed: ${errorMessage}`)
+      // Keep the upstream response, so callers can tell a rejected grant from an outage.
+      exchangeError.response = error.response
+      throw exchangeError
     }
     
-    console.error('ID-JAG Exchange request failed:', error.message)
-    throw new Error(`ID-JAG exchange request failed: ${error.message}`)
+    logger.error('ID-JAG Exchange request failed', { token_endpoint: tokenEndpoint, error: error })
+    const requestError = new Error(`ID-JAG exchange request failed: ${error.message}`)
+    requestError.request = error.request
+    requestError.code = error.code
+    throw requestError
   }
 }
 
@@ -211,16 +335,16 @@ async function getAccessTokenFromIDJag(tenantConfig, idJagToken, clientId, clien
     'Accept': 'application/json'
   }
 
-  console.log(`ID-JAG Access Exchange: Requesting access token from ${tokenEndpoint}`)
-  console.log(`Request: ${requestBody.toString()}`)
+  logger.debug('ID-JAG Access Exchange: Requesting access token', { token_endpoint: tokenEndpoint, request: requestBody })
+  const endTimer = xaaExchangeDuration.startTimer({ tenant: tenantConfig.id, exchange: 'agent_token' })
 
   try {
     const response = await axios.post(tokenEndpoint, requestBody.toString(), {
       headers
     })
 
-    console.log('ID-JAG Access Exchange: Successfully obtained access token')
-    console.log(response.data)
+    endTimer({ outcome: 'success' })
+    logger.debug('ID-JAG Access Exchange: Successfully obtained access token', { response: response.data })
 
     return {
       "accessToken": response.data.access_token,
@@ -229,25 +353,65 @@ async function getAccessTokenFromIDJag(tenantConfig, idJagToken, clientId, clien
     }
 
   } catch (error) {
+    endTimer({ outcome: 'failure' })
     // Handle OAuth error responses
     if (error.response && error.response.data) {
       const errorData = error.response.data
-      console.error('ID-JAG Access Exchange failed:', errorData)
+      logger.error('ID-JAG Access Exchange failed', { token_endpoint: tokenEndpoint, status: error.response.status, response: errorData })
       
       const errorMessage = errorData.error_description || errorData.error || 'Unknown error'
-      throw new Error(`ID-JAG Access exchange failed: ${errorMessage}`)
+      const exchangeError = new Error(`ID-JAG Access exchange failed: ${errorMessage}`)
+      // Keep the upstream response, so callers can tell a rejected grant from an outage.
+      exchangeError.response = error.response
+      throw exchangeError
     }
     
-    console.error('ID-JAG Access Exchange request failed:', error.message)
-    throw new Error(`ID-JAG Access exchange request failed: ${error.message}`)
+    logger.error('ID-JAG Access Exchange request failed', { token_endpoint: tokenEndpoint, error: error })
+    const requestError = new Error(`ID-JAG Access exchange request failed: ${error.message}`)
+    requestError.request = error.request
+    requestError.code = error.code
+    throw requestError
   }
 }
 
+/**
+ * Revokes an agent access token at the tenant's Okta authorization server (RFC 7009).
+ * @param {string} tenantConfig - The configuration of the tenant the agent token was issued for.
+ * @param {string} agentAccessToken - The Okta agent access token to revoke.
+ * @param {string} clientId - The client id of our workload principal/agent.
+ * @returns {Promise<void>}
+ */
+async function revokeAgentAccessToken(tenantConfig, agentAccessToken, clientId, clientSecretKeyFile, kid) {
+  const revokeEndpoint = `${tenantConfig.issuer}/v1/revoke`
+  const clientAssertion = generateClientAssertion(clientId, revokeEndpoint, clientSecretKeyFile, kid)
+
+  const requestBody = new URLSearchParams({
+    token: agentAccessToken,
+    token_type_hint: 'access_token',
+    client_id: clientId,
+    client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+    client_assertion: clientAssertion
+  })
+
+  logger.debug('Revoking agent access token', { revoke_endpoint: revokeEndpoint })
+
+  await axios.post(revokeEndpoint, requestBody.toString(), {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  })
+}
+
 module.exports = {
     getAuth0VaultTokenFromOktaToken,
     getAuth0ConnectedAcctTokenFromOktaToken,
     getAuth0ConnectedAcctClientCredentialsToken,
     completeOktaOIDCLogin,
+    refreshOktaOIDCLogin,
+    verifyOktaIdToken,
+    verifyOktaIdJag,
+    getOktaLoginScope,
     getIdJagFromOkta,
-    getAccessTokenFromIDJag
+    getAccessTokenFromIDJag,
+    revokeAgentAccessToken
 };
@@ -0,0 +1,69 @@
+'use strict'
+
+const crypto = require('crypto')
+const { createStore } = require('./store')
+
+/**
+ * Cache for pushed authorization requests (RFC 9126).
+ *
+ * The full authorization request is pushed to /par and kept here. The client then only sends the returned request_uri
+ * (and its client_id) through the browser to /authorize, which takes the request back out of the cache.
+ */
+
+// Cache for storing pushed authorization requests.
+// Key: request_uri, Value: { tenantId, clientId, parameters, createdAt }
+const parCache = createStore('pushed_authorization_requests')
+
+// Pushed requests only need to live long enough for the browser to be redirected to /authorize.
+const REQUEST_URI_TTL_SECONDS = 90
+
+const REQUEST_URI_PREFIX = 'urn:ietf:params:oauth:request_uri:'
+
+/**
+ * Stores a pushed authorization request
+ * @param {string} tenantId - The tenant the request was pushed for
+ * @param {string} clientId - The authenticated client that pushed the request
+ * @param {URLSearchParams} parameters - The authorization request parameters
+ * @returns {Promise<Object>} - { requestUri, expiresIn }
+ */
+async function pushAuthorizationRequest(tenantId, clientId, parameters) {
+  const requestUri = `${REQUEST_URI_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+
+  await parCache.set(requestUri, {
+    tenantId: tenantId,
+    clientId: clientId,
+    parameters: parameters.toString(),
+    createdAt: Date.now()
+  }, REQUEST_URI_TTL_SECONDS * 1000)
+
+  return {
+    requestUri: requestUri,
+    expiresIn: REQUEST_URI_TTL_SECONDS
+  }
+}
+
+/**
+ * Retrieves and removes a pushed authorization request, so each request_uri can only be used once
+ * @param {string} requestUri - The request_uri returned from /par
+ * @returns {Promise<Object|null>} - The pushed request or null if not found/expired
+ */
+async function takePushedAuthorizationRequest(requestUri) {
+  if (!requestUri || !requestUri.startsWith(REQUEST_URI_PREFIX)) {
+    return null
+  }
+
+  const cached = await parCache.take(requestUri)
+  if (!cached) {
+    return null
+  }
+
+  return {
+    ...cached,
+    parameters: new URLSearchParams(cached.parameters)
+  }
+}
+
+module.exports = {
+  pushAuthorizationRequest,
+  takePushedAuthorizationRequest
+}
@@ -0,0 +1,88 @@
+'use strict'
+
+const { createClient } = require('redis')
+const { createLogger } = require('./logger')
+
+const logger = createLogger('redis_store')
+
+/**
+ * Redis store implementation.
+ *
+ * Shares flow state between proxy instances behind a load balancer, and survives proxy restarts.
+ * Works with anything that speaks the Redis protocol (Redis 6.2+, Valkey, etc.)- GETDEL is used for atomic single-use reads,
+ * and SET NX for atomic replay checks.
+ */
+
+// One client shared by every store. Connected on first use.
+let clientPromise = null
+
+function getClient() {
+  if (!clientPromise) {
+    const client = createClient({ url: process.env.REDIS_URL })
+    client.on('error', (error) => {
+      logger.error('Redis store error', { error: error })
+    })
+    clientPromise = client.connect().then(() => client)
+    clientPromise.catch(() => {
+      // Try again on the next call instead of caching the failure forever.
+      clientPromise = null
+    })
+  }
+  return clientPromise
+}
+
+/**
+ * Creates a Redis-backed store
+ * @param {string} namespace - The name of the cache using this store. Used as the key prefix
+ * @returns {Object} - The store
+ */
+function createRedisStore(namespace) {
+  const prefix = `${process.env.REDIS_KEY_PREFIX || 'mcp-proxy'}:${namespace}:`
+
+  return {
+    namespace: namespace,
+
+    async get(key) {
+      const client = await getClient()
+      const value = await client.get(prefix + key)
+      return value ? JSON.parse(value) : null
+    },
+
+    async set(key, value, ttlMs) {
+      const client = await getClient()
+      await client.set(prefix + key, JSON.stringify(value), { PX: Math.max(1, Math.ceil(ttlMs)) })
+    },
+
+    async take(key) {
+      const client = await getClient()
+      const value = await client.getDel(prefix + key)
+      return value ? JSON.parse(value) : null
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      const client = await getClient()
+      const result = await client.set(prefix + key, JSON.stringify(value), { PX: Math.max(1, Math.ceil(ttlMs)), NX: true })
+      return result === 'OK'
+    },
+
+    async delete(key) {
+      const client = await getClient()
+      await client.del(prefix + key)
+    },
+
+    // Walks the namespace's keys with SCAN, so it doesn't block the server. Only used for metrics.
+    async size() {
+      const client = await getClient()
+      const pattern = `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`
+      let count = 0
+      for await (const _key of client.scanIterator({ MATCH: pattern, COUNT: 1000 })) {
+        count += 1
+      }
+      return count
+    }
+  }
+}
+
+module.exports = {
+  createRedisStore
+}
@@ -0,0 +1,169 @@
+'use strict'
+
+const crypto = require('crypto')
+const { createStore } = require('./store')
+const cacheCrypto = require('./cache_crypto')
+const { createLogger } = require('./logger')
+
+const logger = createLogger('refresh_token_cache')
+
+/**
+ * Refresh token cache for the refresh tokens the proxy hands to MCP clients.
+ *
+ * Each refresh token belongs to a "family" that starts with the original login. The family id is also the agent session id. Every time a refresh token
+ * is redeemed it is rotated- the old token is retired and a new one is issued into the same family.
+ * If a retired token is ever presented again, we assume it was stolen and revoke the entire family.
+ */
+
+// Cache for storing refresh tokens. The tokens themselves are never stored- only their hashes.
+// Key: refresh token hash, Value: { familyId, tenantId, clientId, scope, resource, jkt, idToken, oktaRefreshToken, createdAt }
+const refreshTokenCache = createStore('refresh_tokens')
+
+// Cache for storing refresh token families.
+// Key: family id, Value: { tokens (refresh token hashes), createdAt }
+const refreshTokenFamilies = createStore('refresh_token_families')
+
+// The one refresh token in each family that may currently be redeemed. Taken atomically on redemption.
+// Key: family id, Value: refresh token hash
+const activeRefreshTokens = createStore('active_refresh_tokens')
+
+// Family lifetime in milliseconds. Once the family expires, the user must log in again through the browser.
+const FAMILY_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 24 * 60 * 60) * 1000
+
+// Fields that are encrypted before they are written to the store.
+const SENSITIVE_FIELDS = ['idToken', 'oktaRefreshToken']
+
+/**
+ * Hashes a refresh token for the caches. The token itself is never used as a key or stored.
+ * @param {string} refreshToken - The refresh token
+ * @returns {string} - The hash
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('base64url')
+}
+
+/**
+ * Issues a new refresh token. The new token becomes the active token of its family.
+ * @param {string} familyId - The family to issue the token into. The family is created if it doesn't exist yet
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} clientId - The client the refresh token was issued to
+ * @param {string} scope - The scope of the agent access token
+ * @param {string} idToken - The user's Okta ID token
+ * @param {string} oktaRefreshToken - The user's Okta refresh token, if offline_access was granted
+ * @param {string} resource - The resource (RFC 8707) the grant was authorized for
+ * @param {string} jkt - (optional) Thumbprint of the DPoP key the refresh token is bound to (RFC 9449)
+ * @returns {Promise<string>} - The new refresh token
+ */
+async function issueRefreshToken(familyId, tenantId, clientId, scope, idToken, oktaRefreshToken, resource, jkt) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url')
+  const refreshTokenHash = hashRefreshToken(refreshToken)
+
+  const family = await refreshTokenFamilies.get(familyId) || {
+    tokens: [],
+    createdAt: Date.now()
+  }
+  family.tokens.push(refreshTokenHash)
+
+  // Everything in the family expires together.
+  const remainingTtlMs = FAMILY_TTL_MS - (Date.now() - family.createdAt)
+
+  const cacheEntry = {
+    familyId: familyId,
+    tenantId: tenantId,
+    clientId: clientId,
+    scope: scope,
+    resource: resource,
+    jkt: jkt || null,
+    idToken: idToken,
+    oktaRefreshToken: oktaRefreshToken,
+    createdAt: Date.now()
+  }
+
+  await refreshTokenCache.set(refreshTokenHash, cacheCrypto.sealFields(cacheEntry, SENSITIVE_FIELDS, `refresh_tokens:${refreshTokenHash}`), remainingTtlMs)
+  await refreshTokenFamilies.set(familyId, family, remainingTtlMs)
+  await activeRefreshTokens.set(familyId, refreshTokenHash, remainingTtlMs)
+
+  return refreshToken
+}
+
+/**
+ * Redeems a refresh token. The token is retired immediately, so it can only be redeemed once.
+ * Presenting a token that has already been redeemed revokes the entire family.
+ * @param {string} refreshToken - The refresh token presented by the client
+ * @returns {Promise<Object|null>} - { reused, entry } or null if the token is unknown/expired
+ */
+async function redeemRefreshToken(refreshToken) {
+  const refreshTokenHash = hashRefreshToken(refreshToken)
+  const cached = cacheCrypto.openFields(await refreshTokenCache.get(refreshTokenHash), SENSITIVE_FIELDS, `refresh_tokens:${refreshTokenHash}`)
+  if (!cached) {
+    return null
+  }
+
+  // Retire the token. A new one will be issued into the family once the refresh succeeds.
+  // Taking the active token atomically means two concurrent redemptions can't both succeed.
+  const activeToken = await activeRefreshTokens.take(cached.familyId)
+
+  if (activeToken !== refreshTokenHash) {
+    logger.warn('Refresh token reuse detected. Revoking all tokens in the family.', { family_id: cached.familyId })
+    await revokeFamily(cached.familyId)
+    return {
+      reused: true,
+      entry: cached
+    }
+  }
+
+  return {
+    reused: false,
+    entry: cached
+  }
+}
+
+/**
+ * Makes a redeemed refresh token redeemable again, when the refresh failed for a reason that wasn't the client's (e.g. an upstream outage).
+ * Nothing is restored if the family has been revoked or another token has been issued into it since.
+ * @param {string} refreshToken - The refresh token that was redeemed
+ * @param {string} familyId - The family the token belongs to
+ */
+async function restoreRefreshToken(refreshToken, familyId) {
+  const refreshTokenHash = hashRefreshToken(refreshToken)
+  const family = await refreshTokenFamilies.get(familyId)
+  if (!family || family.tokens[family.tokens.length - 1] !== refreshTokenHash) {
+    return
+  }
+
+  const remainingTtlMs = FAMILY_TTL_MS - (Date.now() - family.createdAt)
+  await activeRefreshTokens.set(familyId, refreshTokenHash, remainingTtlMs)
+}
+
+/**
+ * Looks up the family a refresh token belongs to, without redeeming it. Retired tokens are still found until their family is revoked.
+ * @param {string} refreshToken - The refresh token
+ * @returns {Promise<string|null>} - The family id or null if the token is unknown/expired
+ */
+async function findFamilyId(refreshToken) {
+  const cached = await refreshTokenCache.get(hashRefreshToken(refreshToken))
+  return cached ? cached.familyId : null
+}
+
+/**
+ * Revokes every refresh token in a family
+ * @param {string} familyId - The family id
+ */
+async function revokeFamily(familyId) {
+  await activeRefreshTokens.delete(familyId)
+
+  const family = await refreshTokenFamilies.take(familyId)
+  if (!family) {
+    return
+  }
+
+  await Promise.all(family.tokens.map(tokenHash => refreshTokenCache.delete(tokenHash)))
+}
+
+module.exports = {
+  issueRefreshToken,
+  redeemRefreshToken,
+  restoreRefreshToken,
+  findFamilyId,
+  revokeFamily
+}
@@ -1,24 +1,30 @@
 'use strict'
+
+const { createStore } = require('./store')
+const cacheCrypto = require('./cache_crypto')
+
 /**
- * In-memory client request cache for caching the returning authz code along with original state and access token.
- * 
- * This module provides a simple in-memory cache for storing this stuff.
+ * Client request cache for caching the returning authz code along with original state and access token.
+ *
+ * This module provides a cache for storing this stuff.
  */
 
-// In-memory cache for storing auth requests.
-// Key: state value, Value: object containing all querystring parameters.
-const returningAuthorizationCache = new Map()
+// Cache for storing auth requests.
+// Key: authorization code, Value: object containing the tokens and the original request parameters.
+const returningAuthorizationCache = createStore('authorization_codes')
 
 // Cache TTL in milliseconds (15 minutes - typical OAuth flow timeout)
 const CACHE_TTL_MS = 15 * 60 * 1000
 
+// Fields that are encrypted before they are written to the store.
+const SENSITIVE_FIELDS = ['accessToken', 'idToken', 'oktaRefreshToken']
+
 /**
- * Stores an OAuth2 /authorize request in the cache using state as the key
+ * Stores an OAuth2 /authorize request in the cache using the authorization code we're returning as the key
  * @param {string} parameters - The querystring from the /authorize request
- * @returns {Object} - The parsed and cached request object
- * @throws {Error} - If the querystring does not contain a state parameter
+ * @returns {Promise<Object>} - The parsed and cached request object
  */
-function addToCache(returnAuthzCode, accessToken, accessTokenScope, accessTokenExpires, idToken, originalState, tenantId, originalParameters) {
+async function addToCache(returnAuthzCode, accessToken, accessTokenScope, accessTokenExpires, idToken, originalState, tenantId, originalParameters, oktaRefreshToken) {
   const cacheEntry = {
     originalState: originalState,
     tenantId: tenantId,
@@ -27,43 +33,37 @@ function addToCache(returnAuthzCode, accessToken, accessTokenScope, accessTokenE
     scope: accessTokenScope,
     expires: accessTokenExpires,
     idToken: idToken,
+    oktaRefreshToken: oktaRefreshToken,
     createdAt: Date.now()
   }
-  
-  returningAuthorizationCache.set(returnAuthzCode, cacheEntry)
+
+  // The original parameters are stored as a query string so they survive serialization.
+  const storedEntry = {
+    ...cacheEntry,
+    originalParameters: originalParameters.toString()
+  }
+  await returningAuthorizationCache.set(returnAuthzCode, cacheCrypto.sealFields(storedEntry, SENSITIVE_FIELDS, `authorization_codes:${returnAuthzCode}`), CACHE_TTL_MS)
   return cacheEntry
 }
 
 /**
- * Retrieves a cached OAuth2 authorize request by state value
- * @param {string} state - The state value used as the cache key
- * @returns {Object|null} - The cached request object or null if not found/expired
+ * Retrieves and removes a cached authorization by authorization code, so each code can only be redeemed once
+ * @param {string} returnAuthzCode - The authorization code used as the cache key
+ * @returns {Promise<Object|null>} - The cached request object or null if not found/expired
  */
-function getCacheItem(returnAuthzCode) {
-  const cached = returningAuthorizationCache.get(returnAuthzCode)
+async function takeCacheItem(returnAuthzCode) {
+  const cached = cacheCrypto.openFields(await returningAuthorizationCache.take(returnAuthzCode), SENSITIVE_FIELDS, `authorization_codes:${returnAuthzCode}`)
   if (!cached) {
     return null
   }
-  
-  // Check if the cache entry has expired
-  if (Date.now() - cached.createdAt > CACHE_TTL_MS) {
-    returningAuthorizationCache.delete(returnAuthzCode)
-    return null
-  }
-  
-  return cached
-}
 
-/**
- * Clears a cached client request entry
- * @param {string} state - The state value used as the cache key
- */
-function clearCacheItem(returnAuthzCode) {
-  returningAuthorizationCache.delete(returnAuthzCode)
+  return {
+    ...cached,
+    originalParameters: new URLSearchParams(cached.originalParameters)
+  }
 }
 
 module.exports = {
   addToCache,
-  getCacheItem,
-  clearCacheItem
+  takeCacheItem
 }
@@ -0,0 +1,97 @@
+'use strict'
+
+const { createStore } = require('./store')
+
+/**
+ * Cache of the scope upgrades users' linked accounts need.
+ *
+ * A user may have linked their downstream account with fewer scopes than a client now needs. The vault still hands out
+ * their token, but the backend rejects it with 403 insufficient_scope. When that happens, the proxy records the scopes the
+ * token should have had here (see proxy_routes.js) and challenges the MCP client to re-authorize. The next login for the
+ * user and tenant then links the account again with those scopes, even though the vault already has a token for it.
+ */
+
+// Scope upgrades waiting for the user's next login.
+// Key: subject, tenant id and vault connection, Value: { scopes, requestedAt }
+const scopeUpgrades = createStore('scope_upgrades')
+
+// How long a scope upgrade waits for the user to log in again.
+const SCOPE_UPGRADE_TTL_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Builds the cache key of a scope upgrade
+ * @param {string} subject - The user
+ * @param {string} tenantId - The tenant
+ * @param {string} connection - The tenant's vault connection
+ * @returns {string} - The cache key
+ */
+function buildScopeUpgradeKey(subject, tenantId, connection) {
+  return JSON.stringify([subject, tenantId, connection])
+}
+
+/**
+ * Records that a user's linked account needs more scopes. The scopes are added to any upgrade already waiting.
+ * @param {string} subject - The user
+ * @param {string} tenantId - The tenant
+ * @param {string} connection - The tenant's vault connection
+ * @param {string[]} scopes - Every scope the linked account should have: the ones it was used with, plus the ones it was missing
+ */
+async function requireScopeUpgrade(subject, tenantId, connection, scopes) {
+  const key = buildScopeUpgradeKey(subject, tenantId, connection)
+  const existing = await scopeUpgrades.get(key)
+
+  await scopeUpgrades.set(key, {
+    scopes: [...new Set([...(existing ? existing.scopes : []), ...scopes])],
+    requestedAt: Date.now()
+  }, SCOPE_UPGRADE_TTL_MS)
+}
+
+/**
+ * Retrieves the scope upgrade waiting for a user's linked account
+ * @param {string} subject - The user
+ * @param {string} tenantId - The tenant
+ * @param {string} connection - The tenant's vault connection
+ * @returns {Promise<Object|null>} - { scopes, requestedAt }, or null if the linked account doesn't need an upgrade
+ */
+async function getScopeUpgrade(subject, tenantId, connection) {
+  return scopeUpgrades.get(buildScopeUpgradeKey(subject, tenantId, connection))
+}
+
+/**
+ * Works out the scopes to link a user's account with for a login: the login's scopes, plus the scopes of any upgrade waiting for the account
+ * that the login may add.
+ * @param {string} subject - The user
+ * @param {string} tenantId - The tenant
+ * @param {string} connection - The tenant's vault connection
+ * @param {string[]} scopes - The scopes of the login
+ * @param {string[]} upgradeableScopes - The scopes the upgrade may add, e.g. the ones the client may use
+ * @returns {Promise<Object>} - { scopeUpgrade, scopes }. scopeUpgrade is null if the linked account doesn't need an upgrade
+ */
+async function getScopesToLink(subject, tenantId, connection, scopes, upgradeableScopes) {
+  const scopeUpgrade = await getScopeUpgrade(subject, tenantId, connection)
+  if (!scopeUpgrade) {
+    return { scopeUpgrade: null, scopes: scopes }
+  }
+
+  return {
+    scopeUpgrade: scopeUpgrade,
+    scopes: [...new Set([...scopes, ...scopeUpgrade.scopes.filter(scope => upgradeableScopes.includes(scope))])]
+  }
+}
+
+/**
+ * Clears a scope upgrade, once the user has been sent to link their account again
+ * @param {string} subject - The user
+ * @param {string} tenantId - The tenant
+ * @param {string} connection - The tenant's vault connection
+ */
+async function clearScopeUpgrade(subject, tenantId, connection) {
+  await scopeUpgrades.delete(buildScopeUpgradeKey(subject, tenantId, connection))
+}
+
+module.exports = {
+  requireScopeUpgrade,
+  getScopeUpgrade,
+  getScopesToLink,
+  clearScopeUpgrade
+}
@@ -0,0 +1,64 @@
+'use strict'
+
+const { createMemoryStore } = require('./memory_store')
+const { createRedisStore } = require('./redis_store')
+const { createFileStore } = require('./file_store')
+
+/**
+ * Store factory for the proxy's caches.
+ *
+ * Every cache (OIDC requests, authorization codes, connected account sessions, refresh tokens, agent sessions) talks to
+ * a store with the same async interface, so the backend can be chosen by configuration (CACHE_STORE):
+ * - memory (default): process-local, lost on restart.
+ * - file: process-local, persisted to disk for single-node durability.
+ * - redis: shared between proxy instances.
+ *
+ * Store interface (all methods return promises):
+ * - get(key): Returns the value, or null if not found/expired.
+ * - set(key, value, ttlMs): Stores a JSON-serializable value for ttlMs milliseconds.
+ * - take(key): Atomically returns and deletes the value, so single-use values (codes, states) stay single-use across instances.
+ * - setIfAbsent(key, value, ttlMs): Atomically stores the value unless the key already has one. Returns true if it was stored,
+ *   so replay checks (assertion and proof ids) hold across concurrent requests and instances.
+ * - delete(key): Removes the value.
+ * - size(): Returns the number of values in the store. Used for metrics.
+ */
+
+const STORE_FACTORIES = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  redis: createRedisStore
+}
+
+// Every store created, so their sizes can be reported (see routes/metrics.js).
+const stores = []
+
+/**
+ * Creates the configured store for a cache
+ * @param {string} namespace - The name of the cache. Keeps keys from different caches apart
+ * @returns {Object} - The store
+ */
+function createStore(namespace) {
+  const storeType = process.env.CACHE_STORE || 'memory'
+  const factory = STORE_FACTORIES[storeType]
+
+  if (!factory) {
+    throw new Error(`Unknown CACHE_STORE '${storeType}'. Expected one of: ${Object.keys(STORE_FACTORIES).join(', ')}`)
+  }
+
+  const store = factory(namespace)
+  stores.push(store)
+  return store
+}
+
+/**
+ * Lists the stores created so far
+ * @returns {Object[]} - The stores. Each has its namespace
+ */
+function listStores() {
+  return stores
+}
+
+module.exports = {
+  createStore,
+  listStores
+}
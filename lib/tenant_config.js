@@ -2,6 +2,9 @@
 
 const fs = require('fs')
 const path = require('path')
+const { createLogger } = require('./logger')
+
+const logger = createLogger('tenant_config')
 
 /**
  * Retrieves tenant configuration by tenant ID.
@@ -21,7 +24,7 @@ module.exports.getTenantConfig = (tenantId) => {
     
     return null
   } catch (error) {
-    console.error('Error loading tenant configuration:', error.message)
+    logger.error('Error loading tenant configuration', { error: error })
     return null
   }
 }
\ No newline at end of file
@@ -0,0 +1,243 @@
+'use strict'
+
+const fs = require('fs')
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { createLogger } = require('./logger')
+
+const logger = createLogger('token_issuer')
+
+/**
+ * Proxy Token Issuer
+ *
+ * The proxy acts as a real authorization server towards MCP clients. Instead of handing out the Okta agent access token,
+ * it mints its own short-lived, audience-bound JWTs, signed with a local key and published on the proxy's JWKS endpoint.
+ * The Okta agent access token stays server-side, in the agent session cache.
+ */
+
+const SIGNING_ALGORITHM = 'RS256'
+
+// Lifetime of the access tokens we mint. They're never valid longer than the agent token behind them.
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.PROXY_ACCESS_TOKEN_TTL_SECONDS) || 600
+
+/**
+ * Loads the proxy signing key from PROXY_SIGNING_KEY_PATH.
+ * If no key is configured, a throwaway key is generated- tokens will not survive a restart.
+ * @returns {Object} - { privateKey, publicKey, kid }
+ */
+function loadSigningKey() {
+  let privateKey
+  if (process.env.PROXY_SIGNING_KEY_PATH) {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(process.env.PROXY_SIGNING_KEY_PATH, 'utf8'))
+  }
+  else {
+    logger.warn('PROXY_SIGNING_KEY_PATH is not set. Generating a temporary signing key- issued tokens will not survive a restart.')
+    privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey)
+  const jwk = publicKey.export({ format: 'jwk' })
+
+  // Default the key id to the RFC 7638 thumbprint of the public key.
+  const kid = process.env.PROXY_SIGNING_KEY_ID || crypto.createHash('sha256')
+    .update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n }))
+    .digest('base64url')
+
+  return {
+    privateKey: privateKey,
+    publicKey: publicKey,
+    kid: kid
+  }
+}
+
+const signingKey = loadSigningKey()
+
+/**
+ * Returns the issuer identifier the proxy uses for a tenant
+ * @param {string} tenantId - The tenant identifier
+ * @returns {string} - The issuer
+ */
+function getIssuer(tenantId) {
+  return `${process.env.PROXY_BASE_URL}/${tenantId}`
+}
+
+/**
+ * Returns the protected resource URI of a tenant (RFC 8707). Every resource a client may request for the tenant is this URI,
+ * or a path beneath it (e.g. the MCP server URL advertised in the protected resource metadata).
+ * @param {string} tenantId - The tenant identifier
+ * @returns {string} - The tenant's protected resource URI
+ */
+function getResourceUri(tenantId) {
+  return `${process.env.PROXY_BASE_URL}/${tenantId}`
+}
+
+/**
+ * Checks that a URI is the same as, or beneath, a resource URI
+ * @param {string} resource - The resource URI
+ * @param {string} uri - The URI to check
+ * @returns {boolean} - True if the resource covers the URI
+ */
+function resourceCovers(resource, uri) {
+  return uri === resource || uri.startsWith(`${resource}/`)
+}
+
+/**
+ * Validates a requested resource indicator against a tenant's protected resource URI.
+ * Resource indicators must be absolute URIs without a query or fragment (RFC 8707 section 2). A trailing slash is ignored.
+ * @param {string} resource - The resource parameter sent by the client
+ * @param {string} tenantId - The tenant identifier
+ * @returns {string|null} - The normalized resource URI, or null if it isn't a resource of this tenant
+ */
+function normalizeResource(resource, tenantId) {
+  let url
+  try {
+    url = new URL(resource)
+  } catch (error) {
+    return null
+  }
+
+  if (url.search || url.hash || resource.includes('#')) {
+    return null
+  }
+
+  const normalized = `${url.origin}${url.pathname}`.replace(/\/+$/, '')
+  return resourceCovers(getResourceUri(tenantId), normalized) ? normalized : null
+}
+
+/**
+ * Returns the tenant an issuer identifier belongs to
+ * @param {string} issuer - The issuer from a proxy access token
+ * @returns {string|null} - The tenant identifier, or null if the issuer isn't one of ours
+ */
+function getTenantIdFromIssuer(issuer) {
+  const issuerPrefix = `${process.env.PROXY_BASE_URL}/`
+  if (typeof issuer !== 'string' || !issuer.startsWith(issuerPrefix)) {
+    return null
+  }
+
+  return issuer.substring(issuerPrefix.length)
+}
+
+/**
+ * Returns the tenant a resource indicator (RFC 8707) belongs to
+ * @param {string} resource - The resource, e.g. ${PROXY_BASE_URL}/github or a URI beneath it
+ * @returns {string|null} - The tenant identifier, or null if the resource isn't a valid resource of one of our tenants
+ */
+function getTenantIdFromResource(resource) {
+  const resourcePrefix = `${process.env.PROXY_BASE_URL}/`
+  if (typeof resource !== 'string' || !resource.startsWith(resourcePrefix)) {
+    return null
+  }
+
+  const tenantId = resource.substring(resourcePrefix.length).split(/[/?#]/)[0]
+  return tenantId && normalizeResource(resource, tenantId) ? tenantId : null
+}
+
+/**
+ * Returns the JWK Set containing the proxy's public signing key
+ * @returns {Object} - The JWK Set
+ */
+function getJwks() {
+  return {
+    keys: [{
+      ...signingKey.publicKey.export({ format: 'jwk' }),
+      kid: signingKey.kid,
+      use: 'sig',
+      alg: SIGNING_ALGORITHM
+    }]
+  }
+}
+
+/**
+ * Mints a proxy access token for an agent session
+ * @param {string} tenantId - The tenant identifier- used for the issuer, and the audience unless a resource is given
+ * @param {string} subject - The user the token represents
+ * @param {string} clientId - The client the token is issued to
+ * @param {string} scope - The granted scope
+ * @param {string} sessionId - The agent session the token is bound to
+ * @param {number} agentTokenExpiresIn - Seconds until the agent token behind the session expires
+ * @param {string} resource - (optional) The normalized resource the token is for. Defaults to the tenant's protected resource URI
+ * @param {string} jkt - (optional) Thumbprint of the client's DPoP key (RFC 9449). The token is only accepted with a proof signed by that key
+ * @returns {Object} - { accessToken, expiresIn }
+ */
+function issueAccessToken(tenantId, subject, clientId, scope, sessionId, agentTokenExpiresIn, resource, jkt) {
+  const expiresIn = agentTokenExpiresIn ? Math.min(ACCESS_TOKEN_TTL_SECONDS, agentTokenExpiresIn) : ACCESS_TOKEN_TTL_SECONDS
+
+  const payload = {
+    client_id: clientId,
+    scope: scope,
+    sid: sessionId
+  }
+  if (jkt) {
+    payload.cnf = { jkt: jkt }
+  }
+
+  const accessToken = jwt.sign(payload, signingKey.privateKey, {
+    algorithm: SIGNING_ALGORITHM,
+    keyid: signingKey.kid,
+    issuer: getIssuer(tenantId),
+    audience: resource || getResourceUri(tenantId),
+    subject: subject,
+    expiresIn: expiresIn,
+    jwtid: crypto.randomUUID()
+  })
+
+  return {
+    accessToken: accessToken,
+    expiresIn: expiresIn
+  }
+}
+
+/**
+ * Verifies a proxy access token for a tenant.
+ * The audience must be one of the tenant's resources and, when a request URL is given, must cover that URL.
+ * Tokens without an audience are rejected.
+ * @param {string} accessToken - The access token
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} requestUrl - (optional) The URL the token was presented to
+ * @returns {Object} - The verified claims
+ * @throws {Error} - If the token is invalid, expired, or was not issued for this tenant or resource
+ */
+function verifyAccessToken(accessToken, tenantId, requestUrl) {
+  const claims = jwt.verify(accessToken, signingKey.publicKey, {
+    algorithms: [SIGNING_ALGORITHM],
+    issuer: getIssuer(tenantId)
+  })
+
+  if (typeof claims.aud !== 'string' || normalizeResource(claims.aud, tenantId) !== claims.aud) {
+    throw new Error('jwt audience invalid. The token was not issued for this tenant.')
+  }
+
+  if (requestUrl && !resourceCovers(claims.aud, requestUrl.replace(/\/+$/, ''))) {
+    throw new Error(`jwt audience invalid. The token was issued for ${claims.aud}.`)
+  }
+
+  return claims
+}
+
+/**
+ * Verifies that an access token was minted by this proxy, for any tenant. Expired tokens are accepted,
+ * so a client can still end the session behind an expired token.
+ * @param {string} accessToken - The access token
+ * @returns {object} - The verified claims
+ * @throws {Error} - If the token wasn't signed by this proxy
+ */
+function verifyOwnAccessToken(accessToken) {
+  return jwt.verify(accessToken, signingKey.publicKey, {
+    algorithms: [SIGNING_ALGORITHM],
+    ignoreExpiration: true
+  })
+}
+
+module.exports = {
+  getIssuer,
+  getResourceUri,
+  normalizeResource,
+  resourceCovers,
+  getTenantIdFromIssuer,
+  getTenantIdFromResource,
+  getJwks,
+  issueAccessToken,
+  verifyAccessToken,
+  verifyOwnAccessToken
+}
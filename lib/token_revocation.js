@@ -0,0 +1,91 @@
+'use strict'
+
+const tokenIssuer = require('./token_issuer')
+const refreshTokenCache = require('./refresh_token_cache')
+const agentSessionCache = require('./agent_session_cache')
+const vaultTokenCache = require('./vault_token_cache')
+const tenantConfig = require('./tenant_config')
+const oktaAuth0Exchange = require('./okta_auth0_exchange')
+const { createLogger } = require('./logger')
+
+const logger = createLogger('token_revocation')
+
+/**
+ * Token revocation (RFC 7009).
+ *
+ * Every token the proxy knows about belongs to an agent session: proxy access tokens carry the session id in their "sid" claim,
+ * refresh tokens belong to the refresh token family that shares the session id, and agent access tokens are indexed by session.
+ * Revoking any of them ends the whole session- the refresh token family, the agent token (optionally upstream at Okta too)
+ * and any vaulted downstream token cached for the user.
+ */
+
+/**
+ * Finds the agent session a token belongs to.
+ * @param {string} token - A proxy access token, a proxy refresh token, or an agent access token
+ * @param {string} tokenTypeHint - The token_type_hint from the revocation request, if any
+ * @returns {Promise<string|null>} - The session id or null if the token is unknown
+ */
+async function findSessionId(token, tokenTypeHint) {
+  const findByAccessToken = async () => {
+    try {
+      return tokenIssuer.verifyOwnAccessToken(token).sid || null
+    } catch (error) {
+      // Not one of our access tokens. It may be the agent token behind one of our sessions.
+      return await agentSessionCache.findSessionIdByAgentToken(token)
+    }
+  }
+
+  const findByRefreshToken = () => refreshTokenCache.findFamilyId(token)
+
+  // The hint only decides which lookup goes first (RFC 7009 section 2.1).
+  const lookups = tokenTypeHint === 'refresh_token' ? [findByRefreshToken, findByAccessToken] : [findByAccessToken, findByRefreshToken]
+
+  for (const lookup of lookups) {
+    const sessionId = await lookup()
+    if (sessionId) {
+      return sessionId
+    }
+  }
+
+  return null
+}
+
+/**
+ * Ends an agent session and everything that hangs off it.
+ * If OKTA_REVOKE_AGENT_TOKENS is enabled, the agent access token is also revoked at the tenant's Okta authorization server.
+ * @param {string} sessionId - The agent session id (which is also the refresh token family id)
+ * @param {object} session - The session, if the caller already has it
+ */
+async function revokeSession(sessionId, session) {
+  session = session || await agentSessionCache.getSession(sessionId)
+
+  await refreshTokenCache.revokeFamily(sessionId)
+  await agentSessionCache.deleteSession(sessionId)
+
+  if (!session) {
+    return
+  }
+
+  const tenant = tenantConfig.getTenantConfig(session.tenantId)
+  if (!tenant) {
+    return
+  }
+
+  vaultTokenCache.invalidateVaultedToken(vaultTokenCache.buildCacheKey(session.subject, session.tenantId, tenant.vault_connection))
+
+  if (process.env.OKTA_REVOKE_AGENT_TOKENS === 'true') {
+    try {
+      await oktaAuth0Exchange.revokeAgentAccessToken(tenant, session.agentAccessToken, process.env.AGENT_CLIENT_ID, process.env.AGENT_PRIVATE_KEY_PATH, process.env.AGENT_PRIVATE_KEY_ID)
+    } catch (error) {
+      // The session is already gone from the proxy, which is what matters to the client.
+      logger.error('Unable to revoke the agent access token upstream', { session_id: sessionId, error: error })
+    }
+  }
+
+  logger.info('Revoked session', { session_id: sessionId, tenant: session.tenantId })
+}
+
+module.exports = {
+  findSessionId,
+  revokeSession
+}
@@ -14,6 +14,14 @@ const axios = require('axios')
 const oktaAuth0 = require('./okta_auth0_exchange')
 const crypto = require('crypto')
 const sessionCache = require('./connected_account_session_cache')
+const vaultTokenCache = require('./vault_token_cache')
+const { createLogger } = require('./logger')
+const metrics = require('./metrics')
+
+const logger = createLogger('token_vault')
+
+// Outcomes of asking the vault for a user's downstream token: success, needs_linking or error.
+const vaultExchanges = metrics.createCounter('mcp_proxy_vault_exchanges_total', 'Token vault exchanges, by vault connection and outcome.', ['connection', 'outcome'])
 
 // Constants for the token exchange
 
@@ -31,12 +39,13 @@ async function exchangeOktaAccessToken(domain, subjectToken, cteClientId, cteCli
     auth0Token = await oktaAuth0.getAuth0VaultTokenFromOktaToken(domain, subjectToken, cteClientId, cteClientSecret, vaultScope, vaultAudience, connection)
   }
   catch(err) {
-    console.log('Unable to obtain an Auth0 token for this user. Please check your configuration within Auth0.')
-    console.log(err)
+    logger.error('Unable to obtain an Auth0 token for this user. Please check your configuration within Auth0.', { connection: connection, error: err })
+    vaultExchanges.inc({ connection: connection, outcome: 'error' })
     throw new Error(`Token exchange request failed: ${err.message}`)
   }
   
   if(!auth0Token) {
+    vaultExchanges.inc({ connection: connection, outcome: 'error' })
     return null
   }
 
@@ -51,8 +60,7 @@ async function exchangeOktaAccessToken(domain, subjectToken, cteClientId, cteCli
     requested_token_type: REQUESTED_TOKEN_TYPE,
     connection: connection
   }
-  console.log("Making vault request:")
-  console.log(requestBody)
+  logger.debug('Making vault request', { connection: connection, request: requestBody })
   // Add optional login_hint if provided
   // Use login_hint when the user has multiple accounts from the same connection
   // (e.g., work and personal Google accounts)
@@ -68,23 +76,26 @@ async function exchangeOktaAccessToken(domain, subjectToken, cteClientId, cteCli
         'Content-Type': 'application/json'
       }
     })
-    console.log("Response from Vault:")
-    console.log(response.data)
+    logger.debug('Vault returned a token', { connection: connection, response: response.data })
+    vaultExchanges.inc({ connection: connection, outcome: 'success' })
 
     return {
       success: true,
       needsLinking: false,
       message: 'Token retrieved successfully!',
-      accessToken: response.data.access_token
+      accessToken: response.data.access_token,
+      expiresIn: response.data.expires_in
     }
 
   } catch (error) {
     if (error.response) {
       // Auth0 returned an error response
       const errorData = error.response.data
+      logger.info('Vault did not return a token', { connection: connection, status: error.response.status, response: errorData })
       
       // Check for federated_connection_refresh_token_not_found error
       if (error.response.status === 401 && errorData.error === 'federated_connection_refresh_token_not_found') {
+        vaultExchanges.inc({ connection: connection, outcome: 'needs_linking' })
         return {
           success: false,
           needsLinking: true,
@@ -94,6 +105,7 @@ async function exchangeOktaAccessToken(domain, subjectToken, cteClientId, cteCli
       }
       
       //Some other auth0 error.
+      vaultExchanges.inc({ connection: connection, outcome: 'error' })
       return {
           success: false,
           needsLinking: false,
@@ -102,6 +114,7 @@ async function exchangeOktaAccessToken(domain, subjectToken, cteClientId, cteCli
       }
     } else if (error.request) {
       // Request was made but no response received
+      vaultExchanges.inc({ connection: connection, outcome: 'error' })
       return {
           success: false,
           needsLinking: false,
@@ -110,6 +123,7 @@ async function exchangeOktaAccessToken(domain, subjectToken, cteClientId, cteCli
     }
     } else {
       // Error setting up the request
+      vaultExchanges.inc({ connection: connection, outcome: 'error' })
             return {
           success: false,
           needsLinking: false,
@@ -121,6 +135,27 @@ async function exchangeOktaAccessToken(domain, subjectToken, cteClientId, cteCli
 }
 
 
+/**
+ * Retrieves a user's vaulted token for a tenant's vault connection, going through the downstream token cache.
+ * @param {string} subject - The user the agent access token was issued for
+ * @param {object} tenantConfig - The tenant configuration
+ * @param {string} agentAccessToken - The Okta agent access token for the user and tenant
+ * @returns {Promise<object>} - The result of exchangeOktaAccessToken
+ */
+async function getVaultedTokenForUser(subject, tenantConfig, agentAccessToken) {
+  const cacheKey = vaultTokenCache.buildCacheKey(subject, tenantConfig.id, tenantConfig.vault_connection)
+  return vaultTokenCache.getVaultedToken(cacheKey, () => exchangeOktaAccessToken(process.env.AUTH0_DOMAIN, agentAccessToken, process.env.AUTH0_CTE_CLIENT_ID, process.env.AUTH0_CTE_CLIENT_SECRET, process.env.AUTH0_VAULT_CLIENT_ID, process.env.AUTH0_VAULT_CLIENT_SECRET, process.env.AUTH0_VAULT_AUDIENCE, process.env.AUTH0_VAULT_SCOPE, tenantConfig.vault_connection))
+}
+
+/**
+ * Checks whether a user's vaulted token for a tenant is already cached, without asking the vault.
+ * @param {string} subject - The subject (user) of the inbound access token
+ * @param {object} tenantConfig - The tenant configuration
+ * @returns {boolean} - True if an unexpired vaulted token is cached
+ */
+function hasCachedVaultedToken(subject, tenantConfig) {
+  return vaultTokenCache.hasVaultedToken(vaultTokenCache.buildCacheKey(subject, tenantConfig.id, tenantConfig.vault_connection))
+}
 
 /**
  * Initiates a Connected Accounts flow to link an external provider account.
@@ -147,14 +182,12 @@ async function beginConnectedAccountFlow(domain, subjectToken, cteClientId, cteC
   let auth0Token = ''
   //First we need to perform a token exchange on the inbound token to get an Auth0 token!
   try {
-    console.log("Obtaining an account linking token from Auth0!")
+    logger.debug('Obtaining an account linking token from Auth0', { connection: connection })
     auth0Token = await oktaAuth0.getAuth0ConnectedAcctTokenFromOktaToken(domain, subjectToken, cteClientId, cteClientSecret, connection)
-    console.log(`Token from Auth0 for account linking: ${auth0Token}`)
 
   }
   catch(err) {
-    console.log('Unable to obtain an Auth0 token for this user. Please check your configuration within Auth0.')
-    console.log(err)
+    logger.error('Unable to obtain an Auth0 token for this user. Please check your configuration within Auth0.', { connection: connection, error: err })
     throw new Error(`Token exchange request failed: ${err.message}`)
   }
   
@@ -170,8 +203,7 @@ async function beginConnectedAccountFlow(domain, subjectToken, cteClientId, cteC
     state: state,
     scopes: finalScopes
   }
-  console.log("Connected accounts request")
-  console.log(requestBody)
+  logger.debug('Connected accounts request', { request: requestBody })
   const connectUrl = `https://${domain}/me/v1/connected-accounts/connect`
 
   try {
@@ -182,8 +214,7 @@ async function beginConnectedAccountFlow(domain, subjectToken, cteClientId, cteC
       }
     })
 
-    console.log("Response from Connected Accounts connect endpoint:")
-    console.log(response.data)
+    logger.debug('Response from Connected Accounts connect endpoint', { response: response.data })
 
     // Extract the connect_uri and ticket from the response
     const { auth_session, connect_uri, connect_params } = response.data
@@ -192,7 +223,7 @@ async function beginConnectedAccountFlow(domain, subjectToken, cteClientId, cteC
     const fullConnectUrl = `${connect_uri}?ticket=${connect_params.ticket}`
 
     // Cache the auth_session and state for the subsequent callback request
-    sessionCache.cacheAuthSession(state, oidcState, auth_session, auth0Token)
+    await sessionCache.cacheAuthSession(state, oidcState, auth_session, auth0Token)
 
     return {
       success: true,
@@ -206,7 +237,7 @@ async function beginConnectedAccountFlow(domain, subjectToken, cteClientId, cteC
     if (error.response) {
       // Auth0 returned an error response
       const errorData = error.response.data
-      console.log('Error from Connected Accounts connect endpoint:', errorData)
+      logger.error('Error from Connected Accounts connect endpoint', { connection: connection, status: error.response.status, response: errorData })
       
       return {
         success: false,
@@ -246,7 +277,7 @@ async function completeConnectedAccountFlow(auth0Domain, proxyBaseUrl, authSessi
       redirect_uri: redirectUri
   }
 
-  console.log('Completing Connected Accounts request:')
+  logger.debug('Completing Connected Accounts request')
   const response = await axios.post(completeUrl, requestBody, {
       headers: {
           'Content-Type': 'application/json',
@@ -266,8 +297,10 @@ async function completeConnectedAccountFlow(auth0Domain, proxyBaseUrl, authSessi
 // Export the module functions
 module.exports = {
   exchangeOktaAccessToken,
+  getVaultedTokenForUser,
+  hasCachedVaultedToken,
   beginConnectedAccountFlow,
   completeConnectedAccountFlow,
-  getCachedAuthSession: sessionCache.getCachedAuthSession,
+  takeCachedAuthSession: sessionCache.takeCachedAuthSession,
   clearCachedAuthSession: sessionCache.clearCachedAuthSession
 }
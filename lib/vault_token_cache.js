@@ -0,0 +1,125 @@
+'use strict'
+
+/**
+ * In-memory cache for downstream tokens retrieved from the Auth0 token vault.
+ *
+ * Without this cache, every proxied request performs two Auth0 round-trips (custom token exchange + federated connection exchange).
+ * Entries are keyed by subject, tenant and connection, and live for as long as the vault said the token is valid.
+ * Concurrent requests for the same key share a single in-flight exchange.
+ */
+
+// In-memory cache for storing vaulted downstream tokens.
+// Key: subject/tenant/connection, Value: { accessToken, expiresAt }
+const vaultTokenCache = new Map()
+
+// Exchanges that are currently in progress.
+// Key: subject/tenant/connection, Value: Promise resolving to the vault exchange result
+const inFlightExchanges = new Map()
+
+// Treat tokens as expired slightly early so we don't forward a token that expires mid-request.
+const EXPIRY_SKEW_MS = 30 * 1000
+
+// How often expired tokens are swept out of memory.
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+// Tokens that are never looked up again (e.g. users who've gone away) would otherwise stay in memory forever.
+const sweeper = setInterval(() => {
+  const now = Date.now()
+  vaultTokenCache.forEach((cached, cacheKey) => {
+    if (now >= cached.expiresAt - EXPIRY_SKEW_MS) {
+      vaultTokenCache.delete(cacheKey)
+    }
+  })
+}, SWEEP_INTERVAL_MS)
+sweeper.unref()
+
+/**
+ * Builds the cache key for a vaulted token
+ * @param {string} subject - The subject (user) of the inbound access token
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} connection - The vault connection name
+ * @returns {string} - The cache key
+ */
+function buildCacheKey(subject, tenantId, connection) {
+  return JSON.stringify([subject, tenantId, connection])
+}
+
+/**
+ * Returns a vaulted token from the cache, or performs the exchange if we don't have a valid one.
+ * Only successful exchanges that include an expires_in are cached.
+ * @param {string} cacheKey - The cache key from buildCacheKey
+ * @param {Function} exchange - Performs the vault exchange. Must resolve to the result of token_vault.exchangeOktaAccessToken
+ * @returns {Promise<Object>} - The vault exchange result
+ */
+async function getVaultedToken(cacheKey, exchange) {
+  const cached = vaultTokenCache.get(cacheKey)
+  if (cached) {
+    if (Date.now() < cached.expiresAt - EXPIRY_SKEW_MS) {
+      return {
+        success: true,
+        needsLinking: false,
+        message: 'Token retrieved from cache.',
+        accessToken: cached.accessToken
+      }
+    }
+    vaultTokenCache.delete(cacheKey)
+  }
+
+  // Someone else is already asking the vault for this token- wait for them instead of asking again.
+  const inFlight = inFlightExchanges.get(cacheKey)
+  if (inFlight) {
+    return inFlight
+  }
+
+  const exchangePromise = (async () => {
+    const result = await exchange()
+    if (result.success && result.expiresIn) {
+      vaultTokenCache.set(cacheKey, {
+        accessToken: result.accessToken,
+        expiresAt: Date.now() + result.expiresIn * 1000
+      })
+    }
+    return result
+  })()
+
+  inFlightExchanges.set(cacheKey, exchangePromise)
+  try {
+    return await exchangePromise
+  } finally {
+    inFlightExchanges.delete(cacheKey)
+  }
+}
+
+/**
+ * Checks whether an unexpired vaulted token is cached, without performing the exchange.
+ * @param {string} cacheKey - The cache key from buildCacheKey
+ * @returns {boolean} - True if the token is cached
+ */
+function hasVaultedToken(cacheKey) {
+  const cached = vaultTokenCache.get(cacheKey)
+  return !!cached && Date.now() < cached.expiresAt - EXPIRY_SKEW_MS
+}
+
+/**
+ * Removes a vaulted token from the cache- e.g. when the backend rejects it.
+ * @param {string} cacheKey - The cache key from buildCacheKey
+ */
+function invalidateVaultedToken(cacheKey) {
+  vaultTokenCache.delete(cacheKey)
+}
+
+/**
+ * Counts the vaulted tokens held in memory. Tokens that expired since the last sweep are included. Used for metrics.
+ * @returns {number} - The number of cached tokens
+ */
+function getCacheSize() {
+  return vaultTokenCache.size
+}
+
+module.exports = {
+  buildCacheKey,
+  getVaultedToken,
+  hasVaultedToken,
+  invalidateVaultedToken,
+  getCacheSize
+}
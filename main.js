@@ -3,6 +3,7 @@
 require('dotenv').config()
 
 const express = require('express')
+const { createLogger, requestContext } = require('./lib/logger')
 
 // Import middleware
 const am = require('./middleware/auth_middleware')
@@ -13,23 +14,39 @@ const proxyRoutes = require('./routes/proxy_routes')
 const oidcCallback = require('./routes/oidc_callback')
 const protectedResourceMetadata = require('./routes/protected_resource_metadata')
 const authorizationServerMetadata = require('./routes/authorization_server_metadata')
+const openidConfiguration = require('./routes/openid_configuration')
 const dynamicClientRegistration = require('./routes/dynamic_client_registration')
 const authorize = require('./routes/authorize')
 const token = require('./routes/token')
 const connectedAccountCallback = require('./routes/connected_accounts_callback')
+const jwks = require('./routes/jwks')
+const revoke = require('./routes/revoke')
+const introspect = require('./routes/introspect')
+const par = require('./routes/par')
+const userinfo = require('./routes/userinfo')
+const deviceAuthorization = require('./routes/device_authorization')
+const consent = require('./routes/consent')
+const metrics = require('./routes/metrics')
+
+const logger = createLogger('main')
 
 const app = express()
 const PORT = process.env.PORT || 3000
 
+// Only the OAuth endpoints have their request bodies parsed.
+// Proxied MCP traffic must reach the proxy route untouched so it can be streamed to the backend.
+const OAUTH_BODY_PATHS = ['/token', '/register', '/revoke', '/introspect', '/par', '/device_authorization', '/device', '/consent']
+
 // Parse JSON request bodies
-app.use(express.json())
+app.use(OAUTH_BODY_PATHS, express.json())
 
 // Parse URL-encoded request bodies (for OAuth token endpoint)
-app.use(express.urlencoded({ extended: true }))
+app.use(OAUTH_BODY_PATHS, express.urlencoded({ extended: true }))
 
-// Log all incoming requests
+// Give every request a request id, so its log entries can be correlated, and log it
+app.use(requestContext)
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`)
+  logger.info('Request received', { method: req.method, path: req.path })
   next()
 })
 
@@ -40,26 +57,64 @@ protectedResourceMetadata.connect(app)
 // Authorization server metadata is a public endpoint (RFC 8414)
 authorizationServerMetadata.connect(app)
 
+// OpenID Connect discovery is a public endpoint
+openidConfiguration.connect(app)
+
+// The proxy's token signing keys are a public endpoint (RFC 7517)
+jwks.connect(app)
+
 // Dynamic client registration is a public endpoint (RFC 7591)
 dynamicClientRegistration.connect(app)
 
+// Pushed authorization requests are stored server-side before the browser goes to /authorize (RFC 9126)
+par.connect(app)
+
 // Authorize endpoint proxy redirects to real authorization server
 authorize.connect(app)
 
+// Device authorization grant for clients that can't receive a browser redirect (RFC 8628)
+deviceAuthorization.connect(app)
+
 // Token endpoint for exchanging authorization codes for tokens
 token.connect(app)
 
+// Token revocation endpoint, used by clients to sign out (RFC 7009)
+revoke.connect(app)
+
+// Token introspection endpoint for other internal services (RFC 7662)
+introspect.connect(app)
+
+// OpenID Connect userinfo endpoint
+userinfo.connect(app)
+
 // OIDC Callback
 oidcCallback.connect(app)
 
+// Consent page shown after login, and the endpoints users manage their consents with
+consent.connect(app)
+
 //Connected Accounts Callback
 connectedAccountCallback.connect(app)
 
+// Prometheus metrics. With METRICS_PORT, they're only served on that port (see below)
+if (!process.env.METRICS_PORT) {
+  metrics.connect(app)
+}
+
 //Regular route for actually doing stuff.
 proxyRoutes.connect(app, tm.tenantMiddleware, am.authMiddleware)
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`AI proxy server listening on port ${PORT}`)
-  console.log(`Proxy endpoint: http://localhost:${PORT}/:tenantId/*`)
+  logger.info(`AI proxy server listening on port ${PORT}`, { proxy_endpoint: `http://localhost:${PORT}/:tenantId/*` })
 })
+
+// Serve the metrics on their own port, so they can be kept off the public network
+if (process.env.METRICS_PORT) {
+  const metricsApp = express()
+  metricsApp.use(requestContext)
+  metrics.connect(metricsApp)
+  metricsApp.listen(process.env.METRICS_PORT, () => {
+    logger.info(`Metrics listening on port ${process.env.METRICS_PORT}`, { metrics_endpoint: `http://localhost:${process.env.METRICS_PORT}/metrics` })
+  })
+}
@@ -1,6 +1,11 @@
 'use strict'
 
 const jwtAuthorizer = require('../lib/jwt_authorizer')
+const dpop = require('../lib/dpop')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('auth_middleware')
+
 /**
  * Middleware to validate JWT authorization.
  * Must be used after the tenant middleware.
@@ -17,13 +22,23 @@ module.exports.authMiddleware = async function(req, res, next) {
 
   const authResult = await jwtAuthorizer.authorizeRequest(
     tenantConfig,
-    req.headers
+    req.headers,
+    `${process.env.PROXY_BASE_URL}/${tenantConfig.id}/${req.proxyPath}`,
+    req.method
   )
-  console.log("Auth result")
-  console.log(authResult)
   if (!authResult.success) {
-    const resourceMetadataUrl = `${process.env.PROXY_BASE_URL}/.well-known/oauth-protected-resource/${req.tenantConfig.id}/${req.params[0]}`
-    const wwwAuthValue = `Bearer error="invalid_or_misssing_jwt", error_description="${authResult.message}", resource_metadata="${resourceMetadataUrl}"`
+    logger.info('Rejected proxy request', { tenant: tenantConfig.id, status: authResult.statusCode, reason: authResult.message })
+
+    const resourceMetadataUrl = `${process.env.PROXY_BASE_URL}/.well-known/oauth-protected-resource/${req.tenantConfig.id}/${req.proxyPath}`
+    let wwwAuthValue = `Bearer error="invalid_or_misssing_jwt", error_description="${authResult.message}", resource_metadata="${resourceMetadataUrl}"`
+
+    // Clients using (or required to use) DPoP are challenged with the DPoP scheme instead (RFC 9449 section 7.1).
+    if (authResult.dpop) {
+      wwwAuthValue = `DPoP error="${authResult.error || 'invalid_token'}", error_description="${authResult.message}", algs="${dpop.DPOP_SIGNING_ALGORITHMS.join(' ')}", resource_metadata="${resourceMetadataUrl}"`
+    }
+    if (authResult.dpopNonce) {
+      res.set('DPoP-Nonce', authResult.dpopNonce)
+    }
     
     res.set('WWW-Authenticate', wwwAuthValue)
     return res.status(authResult.statusCode).json({
@@ -34,10 +49,12 @@ module.exports.authMiddleware = async function(req, res, next) {
   }
 
   // Attach authorization context to request for use in handlers
+  // accessToken is the Okta agent access token behind the session- it is never sent back to the client.
   req.authContext = {
-    accessToken: authResult.token
+    accessToken: authResult.token,
+    claims: authResult.claims
   }
-  
-  console.log(req.authContext)
+
+  logger.debug('Authorized proxy request', { tenant: tenantConfig.id, sub: authResult.claims.sub, client_id: authResult.claims.client_id })
   next()
 }
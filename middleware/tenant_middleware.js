@@ -1,8 +1,37 @@
 'use strict'
 
 const TenantConfig = require('../lib/tenant_config')
+
+// Characters that may appear unencoded in a path segment (RFC 3986 section 3.3), but that encodeURIComponent encodes.
+const PATH_SEGMENT_CHARACTERS = /%(21|24|26|27|28|29|2A|2B|2C|3A|3B|3D|40)/gi
+
+/**
+ * Normalizes the path being proxied (everything after /:tenantId/), so the path the access token's audience is checked against
+ * is exactly the path the backend receives. Each segment is decoded and re-encoded.
+ * @param {string} rawPath - The request path, still percent-encoded
+ * @returns {string|null} - The normalized path below the tenant, or null if it contains dot segments, encoded slashes or invalid encoding
+ */
+function normalizeProxyPath(rawPath) {
+  const segments = []
+  for (const rawSegment of rawPath.split('/').slice(2)) {
+    let segment
+    try {
+      segment = decodeURIComponent(rawSegment)
+    } catch (error) {
+      return null
+    }
+
+    // Decoded slashes or dot segments would let the backend resolve the path somewhere the token wasn't issued for.
+    if (segment === '.' || segment === '..' || segment.includes('/') || segment.includes('\\')) {
+      return null
+    }
+    segments.push(encodeURIComponent(segment).replace(PATH_SEGMENT_CHARACTERS, decodeURIComponent))
+  }
+  return segments.join('/')
+}
+
 /**
- * Middleware to extract and validate tenant from the request.
+ * Middleware to extract and validate tenant from the request, and the path to proxy to its backend.
  * Must be used before the auth middleware.
  */
 module.exports.tenantMiddleware = function(req, res, next) {
@@ -24,7 +53,16 @@ module.exports.tenantMiddleware = function(req, res, next) {
     })
   }
 
-  // Attach tenant config to request for use in subsequent middleware/handlers
+  const proxyPath = normalizeProxyPath(req.path)
+  if (proxyPath === null) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'The request path must not contain dot segments or encoded slashes.'
+    })
+  }
+
+  // Attach tenant config and the normalized path to request for use in subsequent middleware/handlers
   req.tenantConfig = tenantConfig
+  req.proxyPath = proxyPath
   next()
 }
\ No newline at end of file
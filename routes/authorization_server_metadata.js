@@ -1,6 +1,12 @@
 'use strict'
 
 const tenantConfig = require('../lib/tenant_config')
+const tokenIssuer = require('../lib/token_issuer')
+const clientRegistry = require('../lib/client_registry')
+const dpop = require('../lib/dpop')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('authorization_server_metadata')
 
 /**
  * RFC 8414 - OAuth 2.0 Authorization Server Metadata
@@ -9,6 +15,100 @@ const tenantConfig = require('../lib/tenant_config')
  * This endpoint advertises metadata about the authorization server,
  * including endpoints, supported features, and capabilities.
  */
+
+/**
+ * Builds the authorization server metadata for a tenant.
+ * Shared with the OpenID Connect discovery document (see openid_configuration.js).
+ * @param {object} tenant - The tenant configuration
+ * @param {string} proxyPath - The path of the protected resource, below the tenant
+ * @returns {object} - The RFC 8414 metadata
+ */
+function buildAuthorizationServerMetadata(tenant, proxyPath) {
+    const tenantId = tenant.id
+    const authMethods = clientRegistry.getTokenEndpointAuthMethods()
+
+    // Build the authorization server metadata response per RFC 8414
+    const metadata = {
+        // The authorization server's issuer identifier
+        //The proxy issues its own access tokens, so it's the issuer- not Okta.
+        issuer: tokenIssuer.getIssuer(tenantId),
+        
+        // URL of the authorization endpoint
+        //This will actually point to our internal proxy.
+        authorization_endpoint: `${process.env.PROXY_BASE_URL}/authorize/${tenantId}`,
+        
+        // URL of the pushed authorization request endpoint (RFC 9126)
+        //See par.js
+        pushed_authorization_request_endpoint: `${process.env.PROXY_BASE_URL}/par/${tenantId}`,
+        
+        // Whether this tenant only accepts authorization requests pushed to the PAR endpoint
+        require_pushed_authorization_requests: tenant.require_pushed_authorization_requests === true,
+        
+        // URL of the device authorization endpoint (RFC 8628)
+        //See device_authorization.js
+        device_authorization_endpoint: `${process.env.PROXY_BASE_URL}/device_authorization/${tenantId}`,
+        
+        // URL of the token endpoint
+        //This will also point to our internal proxy.
+        token_endpoint: `${process.env.PROXY_BASE_URL}/token`,
+        
+        // URL of the JWK Set document
+        //These are the proxy's own signing keys. See jwks.js
+        jwks_uri: `${process.env.PROXY_BASE_URL}/jwks`,
+        
+        // URL of the revocation endpoint (RFC 7009)
+        //Revoking any token ends the whole session behind it. See revoke.js
+        revocation_endpoint: `${process.env.PROXY_BASE_URL}/revoke`,
+        
+        // JSON array of client authentication methods supported by the revocation endpoint
+        revocation_endpoint_auth_methods_supported: authMethods,
+        
+        // URL of the introspection endpoint (RFC 7662)
+        //Only for our own internal services- callers authenticate with the introspection credentials. See introspect.js
+        introspection_endpoint: `${process.env.PROXY_BASE_URL}/introspect`,
+        
+        // JSON array of client authentication methods supported by the introspection endpoint
+        introspection_endpoint_auth_methods_supported: ['client_secret_basic'],
+        
+        // We're going to give them a local register endpoint that will return hard-coded data.
+        //See dyanmic_client_registration.js
+        registration_endpoint: `${process.env.PROXY_BASE_URL}/register`,
+        
+        // JSON array of scopes supported
+        scopes_supported: tenant.external_scopes,
+        
+        // JSON array of response types supported
+        response_types_supported: ['code'],
+        
+        // JSON array of response modes supported
+        response_modes_supported: ['query'],
+        
+        // JSON array of grant types supported
+        grant_types_supported: ['authorization_code', 'refresh_token', 'urn:ietf:params:oauth:grant-type:device_code', 'urn:ietf:params:oauth:grant-type:token-exchange'],
+        
+        // JSON array of client authentication methods supported
+        //Exactly the methods our registered clients are allowed to use. See client_authentication.js
+        token_endpoint_auth_methods_supported: authMethods,
+        
+        // JSON array of PKCE code challenge methods supported (right now we're saying we REQUIRE PKCE as we should)
+        code_challenge_methods_supported: ['S256'],
+        
+        // JSON array of algorithms accepted for DPoP proofs (RFC 9449). See dpop.js
+        dpop_signing_alg_values_supported: dpop.DPOP_SIGNING_ALGORITHMS,
+        
+        // URL of the protected resource metadata endpoint (RFC 9728)
+        protected_resources: [`${process.env.PROXY_BASE_URL}/.well-known/oauth-protected-resource/${tenantId}/${proxyPath}`]
+    }
+    
+    // private_key_jwt client assertions must be signed with RS256.
+    if (authMethods.includes('private_key_jwt')) {
+        metadata.token_endpoint_auth_signing_alg_values_supported = ['RS256']
+        metadata.revocation_endpoint_auth_signing_alg_values_supported = ['RS256']
+    }
+
+    return metadata
+}
+
 module.exports.connect = function (app) {
 
     // RFC 8414 Authorization Server Metadata endpoint
@@ -26,52 +126,12 @@ module.exports.connect = function (app) {
                 })
             }
 
-            // Build the authorization server metadata response per RFC 8414
-            const metadata = {
-                // The authorization server's issuer identifier
-                issuer: tenant.issuer,
-                
-                // URL of the authorization endpoint
-                //This will actually point to our internal proxy.
-                authorization_endpoint: `${process.env.PROXY_BASE_URL}/authorize/${tenantId}`,
-                
-                // URL of the token endpoint
-                //This will also point to our internal proxy.
-                token_endpoint: `${process.env.PROXY_BASE_URL}/token`,
-                
-                // URL of the JWK Set document
-                jwks_uri: tenant.keys_endpoint,
-                
-                // We're going to give them a local register endpoint that will return hard-coded data.
-                //See dyanmic_client_registration.js
-                registration_endpoint: `${process.env.PROXY_BASE_URL}/register`,
-                
-                // JSON array of scopes supported
-                scopes_supported: tenant.external_scopes,
-                
-                // JSON array of response types supported
-                response_types_supported: ['code'],
-                
-                // JSON array of response modes supported
-                response_modes_supported: ['query'],
-                
-                // JSON array of grant types supported
-                grant_types_supported: ['authorization_code'],
-                
-                // JSON array of client authentication methods supported
-                token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post'],
-                
-                // JSON array of PKCE code challenge methods supported (right now we're saying we REQUIRE PKCE as we should)
-                code_challenge_methods_supported: ['S256'],
-                
-                // URL of the protected resource metadata endpoint (RFC 9728)
-                protected_resources: [`${process.env.PROXY_BASE_URL}/.well-known/oauth-protected-resource/${tenantId}/${proxyPath}`]
-            }
-            
+            const metadata = buildAuthorizationServerMetadata(tenant, proxyPath)
+
             return res.status(200).json(metadata)
 
         } catch (error) {
-            console.error(`Error fetching authorization server metadata for tenant ${tenantId}:`, error.message)
+            logger.error('Error fetching authorization server metadata', { tenant: tenantId, error: error })
             return res.status(500).json({
                 error: 'Internal Server Error',
                 message: 'Unable to retrieve authorization server metadata.'
@@ -79,3 +139,5 @@ module.exports.connect = function (app) {
         }
     })
 }
+
+module.exports.buildAuthorizationServerMetadata = buildAuthorizationServerMetadata
@@ -3,6 +3,18 @@
 const crypto = require('crypto')
 const tenantConfig = require('../lib/tenant_config')
 const oidcRequestCache = require('../lib/oidc_cache')
+const oktaAuth0Exchange = require('../lib/okta_auth0_exchange')
+const clientRegistry = require('../lib/client_registry')
+const authorizationResponse = require('../lib/authorization_response')
+const authorizationRequest = require('../lib/authorization_request')
+const parCache = require('../lib/par_cache')
+const { createLogger, setLoginId } = require('../lib/logger')
+const metrics = require('../lib/metrics')
+
+const logger = createLogger('authorize')
+
+// Okta logins started for authorization requests, from /authorize and /device. How they end is counted in authorization_response.js.
+const authorizationStarts = metrics.createCounter('mcp_proxy_authorization_starts_total', 'Authorization requests that started an Okta login, by tenant.', ['tenant'])
 
 /**
  * OAuth 2.0 Authorize Endpoint Proxy
@@ -16,6 +28,52 @@ const oidcRequestCache = require('../lib/oidc_cache')
  * Flow if account linking is required: authorize.js -> oidc_callback.js -> vault for account linking -> connected_accounts_callback.js -> client.
  * Flow is account linking is NOT required: authorize.js -> oidc_callback.js -> client.
  */
+
+/**
+ * Starts the user's Okta login for an authorization request.
+ * The client's request is cached against a new outbound state, and picked up again in oidc_callback.js.
+ * Shared with the device authorization grant (see device_authorization.js).
+ * @param {object} res - The Express response
+ * @param {object} client - The client the authorization request is for
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} inboundState - The state from the client's authorization request, if any
+ * @param {URLSearchParams} inboundAuthParameters - The client's validated authorization request
+ * @returns {302} Redirect to the real authorization endpoint
+ */
+async function beginOktaLogin(res, client, tenantId, inboundState, inboundAuthParameters) {
+    // Build a new authorize request using the proxy client
+    const authorizeEndpoint = `${process.env.OKTA_DOMAIN}/oauth2/v1/authorize`
+    
+    // Generate a new random state for the outbound request
+    const outboundState = crypto.randomBytes(32).toString('base64url')
+    const outboundNonce = crypto.randomBytes(32).toString('base64url')
+    
+    // Build new query parameters for the proxy authorize request
+    let proxyQueryParams = new URLSearchParams()
+    proxyQueryParams.set("client_id", clientRegistry.getOktaCredentials(client).clientId)
+    proxyQueryParams.set("redirect_uri", `${process.env.PROXY_BASE_URL}/callback`)
+    proxyQueryParams.set("response_type", "code")
+    proxyQueryParams.set("scope", oktaAuth0Exchange.getOktaLoginScope())
+    proxyQueryParams.set("state", outboundState)
+    proxyQueryParams.set("nonce", outboundNonce)
+
+    // Every log entry from here to the /token request that redeems the login carries this login_id.
+    const loginId = crypto.randomUUID()
+    inboundAuthParameters.set('login_id', loginId)
+    setLoginId(loginId)
+
+    // Cache the outbound authorize request using the outbound state as the key
+    await oidcRequestCache.cacheOidcRequest(outboundState, proxyQueryParams, inboundState, inboundAuthParameters, null, null, null, tenantId, null, null)
+
+    const redirectUrl = `${authorizeEndpoint}?${proxyQueryParams.toString()}`
+
+    authorizationStarts.inc({ tenant: tenantId })
+    logger.info('Starting the Okta login', { client_id: client.client_id, tenant: tenantId, authorize_endpoint: authorizeEndpoint })
+    
+    // Return 302 redirect to the real authorize endpoint
+    return res.redirect(302, redirectUrl)
+}
+
 module.exports.connect = function (app) {
 
     /**
@@ -38,41 +96,49 @@ module.exports.connect = function (app) {
                     message: `Tenant '${tenantId}' not found.`
                 })
             }
-            console.log("Found a valid tenant...")
+            // Every parameter must be sent once, as a plain string- as at /par. The redirect_uri can't be trusted yet, so the error is shown here.
+            const parameterError = authorizationRequest.validateParameterValues(req.query)
+            if (parameterError) {
+                logger.info('Rejecting authorization request: repeated or malformed parameter', { tenant: tenantId, reason: parameterError.error_description })
+                return authorizationResponse.sendErrorPage(res, 400, parameterError.error, parameterError.error_description)
+            }
+
             // Cache the inbound OAuth2 request - OIDC state parameter is used as key.
-            const inboundAuthParameters = new URLSearchParams(req.query)
-            const inboundState = inboundAuthParameters.get('state')
-            const inboundClientId = inboundAuthParameters.get('client_id')
+            let inboundAuthParameters = new URLSearchParams(req.query)
 
-            // Build a new authorize request using the proxy client
-            const authorizeEndpoint = `${process.env.OKTA_DOMAIN}/oauth2/v1/authorize`
-            console.log(`Final Authorize endpoint ${authorizeEndpoint}`)
-            
-            // Generate a new random state for the outbound request
-            const outboundState = crypto.randomBytes(32).toString('base64url')
-            const outboundNonce = crypto.randomBytes(32).toString('base64url')
-            
-            // Build new query parameters for the proxy authorize request
-            let proxyQueryParams = new URLSearchParams()
-            proxyQueryParams.set("client_id", inboundClientId)
-            proxyQueryParams.set("redirect_uri", `${process.env.PROXY_BASE_URL}/callback`)
-            proxyQueryParams.set("response_type", "code")
-            proxyQueryParams.set("scope", "openid profile")
-            proxyQueryParams.set("state", outboundState)
-            proxyQueryParams.set("nonce", outboundNonce)
+            // With a pushed authorization request (RFC 9126), the real request was pushed to /par- the browser only carries the request_uri.
+            const requestUri = inboundAuthParameters.get('request_uri')
+            if (requestUri) {
+                const pushedRequest = await parCache.takePushedAuthorizationRequest(requestUri)
+                if (!pushedRequest || pushedRequest.tenantId !== tenantId || pushedRequest.clientId !== inboundAuthParameters.get('client_id')) {
+                    logger.info('Rejecting authorization request: unknown or expired request_uri', { tenant: tenantId })
+                    return authorizationResponse.sendErrorPage(res, 400, 'invalid_request_uri', 'The request_uri is invalid, expired, or has already been used.')
+                }
+                inboundAuthParameters = pushedRequest.parameters
+            }
+            const inboundState = inboundAuthParameters.get('state')
 
-            // Cache the outbound authorize request using the outbound state as the key
-            oidcRequestCache.cacheOidcRequest(outboundState, proxyQueryParams, inboundState, inboundAuthParameters, null, null, null, tenantId)
+            const validation = await authorizationRequest.validateAuthorizationRequest(inboundAuthParameters, tenant)
+            if (validation.errorPage) {
+                logger.info('Rejecting authorization request', { tenant: tenantId, error: validation.error, error_description: validation.error_description })
+                return authorizationResponse.sendErrorPage(res, 400, validation.error, validation.error_description)
+            }
+            if (tenant.require_pushed_authorization_requests && !requestUri) {
+                logger.info('Returning authorization error to the client: PAR is required for this tenant', { tenant: tenantId, client_id: validation.client.client_id })
+                return authorizationResponse.redirectWithError(res, validation.redirectUri, 'invalid_request', 'This tenant requires pushed authorization requests. Push the request to the pushed_authorization_request_endpoint first.', inboundState)
+            }
+            if (validation.error) {
+                logger.info('Returning authorization error to the client', { tenant: tenantId, client_id: validation.client.client_id, error: validation.error, error_description: validation.error_description })
+                return authorizationResponse.redirectWithError(res, validation.redirectUri, validation.error, validation.error_description, inboundState)
+            }
 
-            const redirectUrl = `${authorizeEndpoint}?${proxyQueryParams.toString()}`
+            // Each MCP client logs its users in through its own Okta OIDC client.
+            const client = validation.client
 
-            console.log(`Redirecting to authorization endpoint: ${redirectUrl}`)
-            
-            // Return 302 redirect to the real authorize endpoint
-            return res.redirect(302, redirectUrl)
+            return await beginOktaLogin(res, client, tenantId, inboundState, inboundAuthParameters)
 
         } catch (error) {
-            console.error(`Error processing authorize request for tenant ${tenantId}:`, error.message)
+            logger.error('Error processing authorize request', { tenant: tenantId, error: error })
             return res.status(500).json({
                 error: 'Internal Server Error',
                 message: 'Unable to process authorization request.'
@@ -80,3 +146,5 @@ module.exports.connect = function (app) {
         }
     })
 }
+
+module.exports.beginOktaLogin = beginOktaLogin
@@ -6,6 +6,15 @@ const sessionCache = require('../lib/connected_account_session_cache')
 const oidcRequestCache = require('../lib/oidc_cache')
 const returningAuthzCache = require("../lib/return_authz_cache")
 const tokenVault = require("../lib/token_vault")
+const authorizationResponse = require('../lib/authorization_response')
+const { createLogger, setLoginId } = require('../lib/logger')
+const metrics = require('../lib/metrics')
+
+const logger = createLogger('connected_accounts_callback')
+
+// Account linking that came back to the proxy. flow is authorization (started by /callback) or token_exchange (started by /token).
+// outcome is success, declined (the user or the external provider said no) or error.
+const connectedAccountCompletions = metrics.createCounter('mcp_proxy_connected_account_completions_total', 'Connected account flows completed, by flow and outcome.', ['flow', 'outcome'])
 
 /**
  * Connected Account Callback Routes
@@ -17,8 +26,44 @@ const tokenVault = require("../lib/token_vault")
  * @see https://auth0.com/docs/secure/call-apis-on-users-behalf/token-vault/connected-accounts-for-token-vault#complete-connected-accounts-request
  * 
  * Once the account has been connected in Auth0's token vault, we'll then redirect the user back to the final, original client.
+ * Account linking can also be started by a token exchange at /token, in which case there's no client to redirect back to.
  */
 
+/**
+ * Completes account linking started by a token exchange at /token. There's no authorization request to return to-
+ * the user just needs to know they're done, so the agent can retry its exchange.
+ * @param {object} res - The Express response
+ * @param {object} cachedData - The cached connected account session
+ * @param {object} query - The callback's query parameters
+ */
+async function completeTokenExchangeLinking(res, cachedData, query) {
+    const { connect_code, error, error_description } = query
+
+    if (error) {
+        logger.warn('Connected accounts error', { error: error, error_description: error_description })
+        connectedAccountCompletions.inc({ flow: 'token_exchange', outcome: 'declined' })
+        const clientError = authorizationResponse.getClientErrorCode(error)
+        return authorizationResponse.sendErrorPage(res, 400, clientError, clientError === error && error_description ? error_description : 'Unable to link your account.')
+    }
+
+    if (!connect_code) {
+        connectedAccountCompletions.inc({ flow: 'token_exchange', outcome: 'error' })
+        return authorizationResponse.sendErrorPage(res, 500, 'server_error', 'Auth0 did not return a connect_code.')
+    }
+
+    try {
+        await tokenVault.completeConnectedAccountFlow(process.env.AUTH0_DOMAIN, process.env.PROXY_BASE_URL, cachedData.authSession, cachedData.userToken, connect_code)
+        logger.info('Connected accounts flow complete for a token exchange.')
+        connectedAccountCompletions.inc({ flow: 'token_exchange', outcome: 'success' })
+        return authorizationResponse.sendPage(res, 200, 'Account Linked', '<p>Your account has been linked. You can close this window and return to your application.</p>')
+    } catch (error) {
+        logger.error('Error completing Connected Accounts request', { error: error })
+        connectedAccountCompletions.inc({ flow: 'token_exchange', outcome: 'error' })
+        const failure = authorizationResponse.getUpstreamFailure(error, 'Unable to link your account. Please try again.')
+        return authorizationResponse.sendErrorPage(res, failure.error === 'temporarily_unavailable' ? 503 : 500, failure.error, failure.error_description)
+    }
+}
+
 /**
  * Connects the callback routes to the Express app.
  */
@@ -34,6 +79,8 @@ module.exports.connect = function (app) {
      * Query Parameters:
      * - state: The state value that was sent in the initial connect request
      * - connect_code: The single-use code from Auth0 to complete the flow
+     * - error: (optional) Error code if the connection failed or was declined
+     * - error_description: (optional) Description of the error
      * 
      * The state is used to retrieve the cached auth_session, which is then
      * used along with the connect_code to complete the Connected Accounts request.
@@ -41,77 +88,82 @@ module.exports.connect = function (app) {
      * Finally, the OIDC state is used to retrieve the original authorize request from the client- so we can redirect back to the original client.
      */
     app.get('/connected_account_callback', async (req, res) => {
-        const { state, connect_code } = req.query
+        const { state, connect_code, error, error_description } = req.query
 
-        // Validate required parameters
+        // Until we've found the authorization request this callback belongs to, we don't know which redirect_uri is safe to use.
+        // Errors up to that point are shown to the user on an error page.
         if (!state) {
-            return res.status(400).json({
-                error: 'Missing Parameter',
-                message: 'The state parameter is required.'
-            })
+            return authorizationResponse.sendErrorPage(res, 400, 'invalid_request', 'The state parameter is required.')
         }
 
-        if (!connect_code) {
-            return res.status(400).json({
-                error: 'Missing Parameter',
-                message: 'The connect_code parameter is required.'
-            })
+        // Retrieve the cached auth_session using the state value.
+        // It's removed from the cache as soon as we get it, so the state can only be used once.
+        let cachedData = null
+        try {
+            cachedData = await sessionCache.takeCachedAuthSession(state)
+        } catch (error) {
+            logger.error('Error retrieving the cached connected account session', { error: error })
+            return authorizationResponse.sendErrorPage(res, 503, 'temporarily_unavailable', 'Unable to retrieve the connected account session. Please try again.')
         }
 
-        // Retrieve the cached auth_session using the state value
-        const cachedData = sessionCache.getCachedAuthSession(state)
-
-        // Clear the cached session data as soon as we get it.
-        sessionCache.clearCachedAuthSession(state)
-
         if (!cachedData) {
-            return res.status(400).json({
-                error: 'Invalid or Expired State',
-                message: 'The state parameter is invalid or has expired. Please restart the connection flow.'
-            })
+            return authorizationResponse.sendErrorPage(res, 400, 'invalid_request', 'The account linking request has expired or was already completed. Please restart the authorization flow from your application.')
         }
 
         const { authSession, userToken, oidcState } = cachedData
 
+        // Linking started by a token exchange isn't part of an authorization request.
+        if (!oidcState) {
+            return await completeTokenExchangeLinking(res, cachedData, req.query)
+        }
+
+        // Take the original authorize request from the client now, so any failure below can be sent back to its redirect_uri.
+        let oidcCachedData = null
+        try {
+            oidcCachedData = await oidcRequestCache.takeOidcRequest(oidcState)
+        } catch (error) {
+            logger.error('Error retrieving the cached authorization request', { error: error })
+            return authorizationResponse.sendErrorPage(res, 503, 'temporarily_unavailable', 'Unable to retrieve the authorization request. Please try again.')
+        }
+
+        if (!oidcCachedData) {
+            return authorizationResponse.sendErrorPage(res, 400, 'invalid_request', 'The authorization request has expired. Please restart the authorization flow from your application.')
+        }
+        setLoginId(oidcCachedData.originalParameters.get('login_id'))
+
+        // The redirect_uri was validated against the client's registration in /authorize. Device authorization requests have none-
+        // their errors are stored for the polling client instead.
+        const sendError = (errorCode, errorDescription) => authorizationResponse.sendAuthorizationError(res, oidcCachedData.originalParameters, oidcCachedData.originalState, errorCode, errorDescription, oidcCachedData.tenantId)
+
+        // The user may have declined the connection at the external provider.
+        if (error) {
+            logger.warn('Connected accounts error', { error: error, error_description: error_description })
+            connectedAccountCompletions.inc({ flow: 'authorization', outcome: 'declined' })
+            const clientError = authorizationResponse.getClientErrorCode(error)
+            return sendError(clientError, clientError === error && error_description ? error_description : 'Unable to link your account.')
+        }
+
+        if (!connect_code) {
+            connectedAccountCompletions.inc({ flow: 'authorization', outcome: 'error' })
+            return sendError('server_error', 'Auth0 did not return a connect_code.')
+        }
+
         try {
             await tokenVault.completeConnectedAccountFlow(process.env.AUTH0_DOMAIN,process.env.PROXY_BASE_URL, authSession, userToken, connect_code)
 
             // Now that we're done with the account linking- return back to the original client and give them an authz code they can exchange for tokens.
-            console.log("Connected accounts flow complete. Returning details back to the originating redirect_uri.")
-
-            const oidcCachedData = oidcRequestCache.getOidcRequest(oidcState)
-            oidcRequestCache.clearOidcRequest(oidcState)
-            console.log(oidcCachedData)
+            logger.info('Connected accounts flow complete. Returning details back to the originating redirect_uri.')
 
             const newAuthzCode = crypto.randomBytes(32).toString('base64url')
-            returningAuthzCache.addToCache(newAuthzCode, oidcCachedData.accessToken, oidcCachedData.accessTokenScope , oidcCachedData.accessTokenExpiresIn, oidcCachedData.idToken, oidcCachedData.originalState, oidcCachedData.tenantId, oidcCachedData.originalParameters)
-            const finalRedirectUrl = `${oidcCachedData.originalParameters.get("redirect_uri")}?code=${newAuthzCode}&state=${oidcCachedData.originalState}`
-
-            res.redirect(finalRedirectUrl) //Redirect back to the original client with authz and original state.
+            await returningAuthzCache.addToCache(newAuthzCode, oidcCachedData.accessToken, oidcCachedData.accessTokenScope , oidcCachedData.accessTokenExpiresIn, oidcCachedData.idToken, oidcCachedData.originalState, oidcCachedData.tenantId, oidcCachedData.originalParameters, oidcCachedData.oktaRefreshToken)
+            await authorizationResponse.sendAuthorizationCode(res, oidcCachedData.originalParameters, oidcCachedData.originalState, newAuthzCode, oidcCachedData.tenantId) //Redirect back to the original client with authz and original state.
+            connectedAccountCompletions.inc({ flow: 'authorization', outcome: 'success' })
         } catch (error) {
-            console.error('Error completing Connected Accounts request:', error.response?.data || error.message)
-
-            // Clear the cached session data even on failure to prevent reuse
-            sessionCache.clearCachedAuthSession(state)
-
-            if (error.response) {
-                const errorData = error.response.data
-                return res.status(error.response.status).json({
-                    error: 'Connected Accounts Error',
-                    message: errorData.error_description || errorData.error || 'Failed to complete the connected account flow.',
-                    details: errorData
-                })
-            } else if (error.request) {
-                return res.status(502).json({
-                    error: 'Bad Gateway',
-                    message: 'No response received from Auth0 when completing the connected account flow.'
-                })
-            } else {
-                return res.status(500).json({
-                    error: 'Internal Server Error',
-                    message: `Failed to complete the connected account flow: ${error.message}`
-                })
-            }
+            logger.error('Error completing Connected Accounts request', { error: error })
+            connectedAccountCompletions.inc({ flow: 'authorization', outcome: 'error' })
+
+            const failure = authorizationResponse.getUpstreamFailure(error, 'Unable to link your account. Please try again.')
+            return sendError(failure.error, failure.error_description)
         }
     })
 }
@@ -0,0 +1,225 @@
+'use strict'
+
+const jwt = require('jsonwebtoken')
+const oidcRequestCache = require('../lib/oidc_cache')
+const tenantConfig = require('../lib/tenant_config')
+const clientRegistry = require('../lib/client_registry')
+const consentCache = require('../lib/consent_cache')
+const scopeUpgradeCache = require('../lib/scope_upgrade_cache')
+const jwtAuthorizer = require('../lib/jwt_authorizer')
+const authorizationRequest = require('../lib/authorization_request')
+const authorizationResponse = require('../lib/authorization_response')
+const { completeLogin } = require('./oidc_callback')
+const { createLogger, setLoginId } = require('../lib/logger')
+
+const logger = createLogger('consent')
+
+/**
+ * Consent
+ * Implements the /consent page, and the /consents endpoints for managing saved consents
+ *
+ * Once the user has logged in to Okta, /callback sends them here (unless they've consented before) to approve what the MCP client
+ * will be able to do downstream- the tenant's vault connection and the scopes the client gets there. Approving resumes the login where /callback
+ * left it (account linking or the authorization code). The approval is remembered per user, client and tenant (see consent_cache.js).
+ *
+ * Users can list and revoke their saved consents with any proxy access token issued to them.
+ */
+
+/**
+ * Looks up the login waiting for consent. Its scopes include any that a pending scope upgrade will add to the user's linked account (see scope_upgrade_cache.js).
+ * @param {object} login - The cached authorization request, as parked by /callback
+ * @returns {Promise<object|null>} - { client, tenant, scopes }, or null if there's no login waiting for consent
+ */
+async function getConsentContext(login) {
+    if (!login || !login.accessToken) {
+        return null
+    }
+
+    const client = await clientRegistry.getClient(login.originalParameters.get('client_id'))
+    const tenant = tenantConfig.getTenantConfig(login.tenantId)
+    if (!client || !tenant) {
+        return null
+    }
+
+    const allowedScopes = clientRegistry.getAllowedScopes(client, tenant)
+    const scopes = authorizationRequest.getEffectiveScopes(login.originalParameters.get('scope'), allowedScopes)
+    const linkScopes = (await scopeUpgradeCache.getScopesToLink(jwt.decode(login.accessToken).sub, tenant.id, tenant.vault_connection, scopes, allowedScopes)).scopes
+    return { client, tenant, scopes: linkScopes }
+}
+
+/**
+ * Shows the user what they're about to allow the client to do, and asks them to approve it.
+ * @param {object} res - The Express response
+ * @param {string} state - The outbound OIDC state of the login
+ * @param {object} client - The client that started the login
+ * @param {object} tenant - The tenant configuration
+ * @param {string[]} scopes - The downstream scopes the client will get
+ */
+function sendConsentPage(res, state, client, tenant, scopes) {
+    const escapeHtml = authorizationResponse.escapeHtml
+    const scopeList = scopes.map(scope => `<li>${escapeHtml(scope)}</li>`).join('')
+
+    return authorizationResponse.sendPage(res, 200, 'Allow Access', `<p><strong>${escapeHtml(client.client_name || client.client_id)}</strong> wants to access <strong>${escapeHtml(tenant.name || tenant.id)}</strong> on your behalf, through your <strong>${escapeHtml(tenant.vault_connection)}</strong> account.</p>
+  <p>It will be able to use these permissions:</p>
+  <ul>${scopeList}</ul>
+  <p>Your answer will be remembered for this application.</p>
+  <form method="post" action="/consent">
+    <input type="hidden" name="state" value="${escapeHtml(state)}">
+    <button type="submit" name="action" value="approve">Allow</button>
+    <button type="submit" name="action" value="deny">Deny</button>
+  </form>`)
+}
+
+module.exports.connect = function (app) {
+
+    /**
+     * GET /consent
+     *
+     * The consent page /callback sends the user to.
+     *
+     * Query Parameters:
+     * - state: The outbound OIDC state of the login waiting for consent
+     */
+    app.get('/consent', async (req, res) => {
+        const { state } = req.query
+
+        try {
+            const login = state ? await oidcRequestCache.getOidcRequest(state) : null
+            const context = await getConsentContext(login)
+            if (!context) {
+                return authorizationResponse.sendErrorPage(res, 400, 'invalid_request', 'The authorization request has expired or was already completed. Please restart the authorization flow from your application.')
+            }
+            setLoginId(login.originalParameters.get('login_id'))
+
+            return sendConsentPage(res, state, context.client, context.tenant, context.scopes)
+
+        } catch (error) {
+            logger.error('Error retrieving the login waiting for consent', { error: error })
+            return authorizationResponse.sendErrorPage(res, 503, 'temporarily_unavailable', 'Unable to retrieve the authorization request. Please try again.')
+        }
+    })
+
+    /**
+     * POST /consent
+     *
+     * The user's answer to the consent page. The state is single-use and only known to the user's browser, so it also protects the form from CSRF.
+     *
+     * Request Body (application/x-www-form-urlencoded):
+     * - state: The outbound OIDC state of the login waiting for consent
+     * - action: approve or deny
+     */
+    app.post('/consent', async (req, res) => {
+        const { state, action } = req.body
+
+        let login = null
+        let context = null
+        try {
+            login = state ? await oidcRequestCache.takeOidcRequest(state) : null
+            context = await getConsentContext(login)
+        } catch (error) {
+            logger.error('Error retrieving the login waiting for consent', { error: error })
+            return authorizationResponse.sendErrorPage(res, 503, 'temporarily_unavailable', 'Unable to retrieve the authorization request. Please try again.')
+        }
+
+        if (!context) {
+            return authorizationResponse.sendErrorPage(res, 400, 'invalid_request', 'The authorization request has expired or was already completed. Please restart the authorization flow from your application.')
+        }
+        const { client, tenant, scopes } = context
+        setLoginId(login.originalParameters.get('login_id'))
+
+        if (action !== 'approve') {
+            logger.info('The user denied the client access to the tenant.', { client_id: client.client_id, tenant: tenant.id })
+            return authorizationResponse.sendAuthorizationError(res, login.originalParameters, login.originalState, 'access_denied', 'The user denied the request.', tenant.id)
+        }
+
+        try {
+            await consentCache.saveConsent(jwt.decode(login.accessToken).sub, client.client_id, tenant.id, scopes)
+        } catch (error) {
+            logger.error('Error saving consent', { error: error })
+            return authorizationResponse.sendAuthorizationError(res, login.originalParameters, login.originalState, 'temporarily_unavailable', 'Unable to save your consent. Please try again.', tenant.id)
+        }
+
+        logger.info('The user consented to the client at the tenant. Resuming the login...', { client_id: client.client_id, tenant: tenant.id, scope: scopes.join(' ') })
+        return await completeLogin(res, state, login)
+    })
+
+    /**
+     * GET /consents
+     *
+     * Lists the consents the user has given.
+     *
+     * Headers:
+     * - Authorization: Bearer (or DPoP) <proxy access token issued to the user, for any tenant>
+     *
+     * @returns {Object} { consents: [{ client_id, client_name, tenant, scopes, granted_at }] }
+     */
+    app.get('/consents', async (req, res) => {
+        try {
+            const authentication = await jwtAuthorizer.authenticateAccessToken(req.headers, req.method, `${process.env.PROXY_BASE_URL}/consents`)
+            if (!authentication.claims) {
+                return jwtAuthorizer.sendInvalidToken(res, authentication)
+            }
+
+            const consents = await consentCache.listConsents(authentication.claims.sub)
+            const response = await Promise.all(consents.map(async consent => {
+                const client = await clientRegistry.getClient(consent.clientId)
+                return {
+                    client_id: consent.clientId,
+                    client_name: client ? client.client_name : undefined,
+                    tenant: consent.tenantId,
+                    scopes: consent.scopes,
+                    granted_at: Math.floor(consent.grantedAt / 1000)
+                }
+            }))
+
+            res.header('Cache-Control', 'no-store')
+            return res.status(200).json({ consents: response })
+
+        } catch (error) {
+            logger.error('Error listing consents', { error: error })
+            return res.status(503).json({
+                error: 'temporarily_unavailable',
+                error_description: 'Unable to list your consents. Please try again.'
+            })
+        }
+    })
+
+    /**
+     * DELETE /consents/:tenantId/:clientId
+     *
+     * Revokes a consent. The user is asked again the next time the client logs them in to the tenant.
+     * Tokens the client already holds are not revoked- use /revoke for those.
+     *
+     * Headers:
+     * - Authorization: Bearer (or DPoP) <proxy access token issued to the user, for any tenant>
+     *
+     * @returns {204} on success, or 404 if there was no such consent
+     */
+    app.delete('/consents/:tenantId/:clientId', async (req, res) => {
+        const { tenantId, clientId } = req.params
+
+        try {
+            const authentication = await jwtAuthorizer.authenticateAccessToken(req.headers, req.method, `${process.env.PROXY_BASE_URL}/consents/${encodeURIComponent(tenantId)}/${encodeURIComponent(clientId)}`)
+            if (!authentication.claims) {
+                return jwtAuthorizer.sendInvalidToken(res, authentication)
+            }
+
+            if (!(await consentCache.revokeConsent(authentication.claims.sub, clientId, tenantId))) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: `No consent was found for client '${clientId}' at tenant '${tenantId}'.`
+                })
+            }
+
+            logger.info('Revoked a consent', { client_id: clientId, tenant: tenantId })
+            return res.status(204).send()
+
+        } catch (error) {
+            logger.error('Error revoking consent', { error: error })
+            return res.status(503).json({
+                error: 'temporarily_unavailable',
+                error_description: 'Unable to revoke the consent. Please try again.'
+            })
+        }
+    })
+}
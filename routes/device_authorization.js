@@ -0,0 +1,284 @@
+'use strict'
+
+const crypto = require('crypto')
+const tenantConfig = require('../lib/tenant_config')
+const clientRegistry = require('../lib/client_registry')
+const clientAuthentication = require('../lib/client_authentication')
+const authorizationRequest = require('../lib/authorization_request')
+const authorizationResponse = require('../lib/authorization_response')
+const deviceAuthorizationCache = require('../lib/device_authorization_cache')
+const { beginOktaLogin } = require('./authorize')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('device_authorization')
+
+/**
+ * RFC 8628 - OAuth 2.0 Device Authorization Grant
+ * Implements the /device_authorization/:tenantId endpoint and the /device verification page
+ *
+ * For clients that can't receive a browser redirect- CI agents, SSH-only machines. The client gets a user_code to show the user,
+ * and polls /token with its device_code. The user enters the user_code at /device in any browser and confirms the request,
+ * which starts the usual Okta login. From there, oidc_callback.js and connected_accounts_callback.js run exactly as they do for
+ * /authorize, except that the final authorization code is stored for the polling client (see authorization_response.js).
+ *
+ * Clients must list urn:ietf:params:oauth:grant-type:device_code in their grant_types to use this grant.
+ */
+
+// Cookie for the double-submit CSRF check on the confirmation form, so another site can't confirm a request in the user's browser.
+const CSRF_COOKIE = 'device_csrf'
+
+/**
+ * Reads the CSRF cookie from the request.
+ * @param {object} req - The Express request
+ * @returns {string|null} - The cookie value
+ */
+function getCsrfCookie(req) {
+    const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim())
+    const csrfCookie = cookies.find(cookie => cookie.startsWith(`${CSRF_COOKIE}=`))
+    return csrfCookie ? csrfCookie.substring(CSRF_COOKIE.length + 1) : null
+}
+
+/**
+ * Shows the form where the user enters their user code.
+ * @param {object} res - The Express response
+ * @param {number} status - The HTTP status code
+ * @param {string} message - (optional) A message to show above the form, e.g. why the last code wasn't accepted
+ */
+function sendUserCodeForm(res, status, message) {
+    return authorizationResponse.sendPage(res, status, 'Connect a Device', `${message ? `<p><strong>${authorizationResponse.escapeHtml(message)}</strong></p>` : ''}
+  <p>Enter the code shown on your device.</p>
+  <form method="get" action="/device">
+    <input type="text" name="user_code" autocomplete="off" autofocus required>
+    <button type="submit">Continue</button>
+  </form>`)
+}
+
+/**
+ * Shows the user what they're about to authorize, and asks them to confirm it.
+ * @param {object} res - The Express response
+ * @param {object} deviceAuthorization - The device authorization
+ * @param {object} client - The client that made the request
+ * @param {object} tenant - The tenant configuration
+ */
+function sendConfirmationForm(res, deviceAuthorization, client, tenant) {
+    const csrfToken = crypto.randomBytes(32).toString('base64url')
+    res.cookie(CSRF_COOKIE, csrfToken, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.PROXY_BASE_URL.startsWith('https:'),
+        path: '/device',
+        maxAge: deviceAuthorization.expiresAt - Date.now()
+    })
+
+    const escapeHtml = authorizationResponse.escapeHtml
+    const scope = deviceAuthorization.parameters.get('scope')
+    return authorizationResponse.sendPage(res, 200, 'Connect a Device', `<p><strong>${escapeHtml(client.client_name || client.client_id)}</strong> is requesting access to <strong>${escapeHtml(tenant.name || tenant.id)}</strong> on your behalf.</p>
+  ${scope ? `<p>Requested scopes: ${escapeHtml(scope)}</p>` : ''}
+  <p>Only continue if you started this request yourself, and the code on your device is <strong>${escapeHtml(deviceAuthorizationCache.formatUserCode(deviceAuthorization.userCode))}</strong>.</p>
+  <form method="post" action="/device">
+    <input type="hidden" name="user_code" value="${escapeHtml(deviceAuthorization.userCode)}">
+    <input type="hidden" name="csrf_token" value="${csrfToken}">
+    <button type="submit" name="action" value="approve">Continue</button>
+    <button type="submit" name="action" value="deny">Cancel</button>
+  </form>`)
+}
+
+/**
+ * Looks up a pending device authorization, along with its client and tenant.
+ * @param {string} userCode - The user code the user entered
+ * @returns {Promise<object|null>} - { deviceAuthorization, client, tenant }, or null if there's no pending request for the code
+ */
+async function getPendingDeviceAuthorization(userCode) {
+    const deviceAuthorization = await deviceAuthorizationCache.getDeviceAuthorization(userCode)
+    if (!deviceAuthorization || deviceAuthorization.status !== 'pending') {
+        return null
+    }
+
+    const client = await clientRegistry.getClient(deviceAuthorization.clientId)
+    const tenant = tenantConfig.getTenantConfig(deviceAuthorization.tenantId)
+    if (!client || !tenant) {
+        return null
+    }
+
+    return { deviceAuthorization, client, tenant }
+}
+
+/**
+ * Looks up the pending device authorization for a user code the user entered. Wrong codes count against the client address,
+ * and an address that has entered too many is turned away without a lookup, so user codes can't be guessed by brute force.
+ * @param {object} req - The Express request
+ * @param {object} res - The Express response. The user code form is sent to it if there's no pending device authorization
+ * @param {string} userCode - The user code, as entered by the user
+ * @returns {Promise<object|null>} - As getPendingDeviceAuthorization, or null once a response has been sent
+ */
+async function findPendingDeviceAuthorization(req, res, userCode) {
+    if (await deviceAuthorizationCache.isUserCodeEntryBlocked(req.ip)) {
+        logger.warn('Too many wrong user codes entered', { address: req.ip })
+        sendUserCodeForm(res, 429, 'Too many incorrect codes have been entered. Please wait a few minutes and try again.')
+        return null
+    }
+
+    const pending = await getPendingDeviceAuthorization(userCode)
+    if (!pending) {
+        await deviceAuthorizationCache.recordUserCodeFailure(req.ip)
+        sendUserCodeForm(res, 400, 'That code is invalid or has expired. Check the code on your device and try again.')
+        return null
+    }
+    return pending
+}
+
+module.exports.connect = function (app) {
+
+    /**
+     * POST /device_authorization/:tenantId
+     *
+     * Request Body (application/x-www-form-urlencoded or application/json):
+     * - client_id: The client identifier
+     * - scope: (optional) The requested scope
+     * - resource: (optional) RFC 8707 resource indicator
+     * - client_secret, client_assertion_type, client_assertion: Client credentials, for confidential clients
+     *
+     * @returns {200} { device_code, user_code, verification_uri, verification_uri_complete, expires_in, interval }
+     */
+    app.post('/device_authorization/:tenantId', async (req, res) => {
+        const tenantId = req.params.tenantId
+
+        try {
+            const tenant = tenantConfig.getTenantConfig(tenantId)
+
+            if (!tenant) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: `Tenant '${tenantId}' not found.`
+                })
+            }
+
+            // The client authenticates here the same way it does at /token.
+            const authentication = await clientAuthentication.authenticateClient(req, `${process.env.PROXY_BASE_URL}/device_authorization/${tenantId}`)
+            if (!authentication.client) {
+                return clientAuthentication.sendAuthenticationFailure(res, authentication)
+            }
+            const client = authentication.client
+
+            if (!clientRegistry.clientAllowsGrantType(client, deviceAuthorizationCache.DEVICE_CODE_GRANT_TYPE)) {
+                return res.status(400).json({
+                    error: 'unauthorized_client',
+                    error_description: `Client '${client.client_id}' is not allowed to use the device authorization grant.`
+                })
+            }
+
+            const parameters = new URLSearchParams()
+            parameters.set('client_id', client.client_id)
+            if (req.body.scope) {
+                parameters.set('scope', req.body.scope)
+            }
+            for (const resource of [].concat(req.body.resource || [])) {
+                parameters.append('resource', resource)
+            }
+
+            const validationError = authorizationRequest.validateScopeAndResource(parameters, tenant, client)
+            if (validationError) {
+                return res.status(400).json(validationError)
+            }
+
+            const deviceAuthorization = await deviceAuthorizationCache.createDeviceAuthorization(tenantId, client.client_id, parameters)
+            logger.info('Started device authorization', { client_id: client.client_id, tenant: tenantId })
+
+            const verificationUri = `${process.env.PROXY_BASE_URL}/device`
+
+            res.header('Cache-Control', 'no-store')
+            return res.status(200).json({
+                device_code: deviceAuthorization.deviceCode,
+                user_code: deviceAuthorization.userCode,
+                verification_uri: verificationUri,
+                verification_uri_complete: `${verificationUri}?user_code=${encodeURIComponent(deviceAuthorization.userCode)}`,
+                expires_in: deviceAuthorization.expiresIn,
+                interval: deviceAuthorization.interval
+            })
+
+        } catch (error) {
+            logger.error('Error processing device authorization request', { tenant: tenantId, error: error })
+            return res.status(500).json({
+                error: 'server_error',
+                error_description: 'Unable to process the device authorization request.'
+            })
+        }
+    })
+
+    /**
+     * GET /device
+     *
+     * The verification page. Without a user_code, asks the user for one. With one, asks the user to confirm the request.
+     *
+     * Query Parameters:
+     * - user_code: (optional) The user code shown on the device
+     */
+    app.get('/device', async (req, res) => {
+        const { user_code } = req.query
+
+        if (!user_code) {
+            return sendUserCodeForm(res, 200)
+        }
+
+        try {
+            const pending = await findPendingDeviceAuthorization(req, res, user_code)
+            if (!pending) {
+                return
+            }
+
+            return sendConfirmationForm(res, pending.deviceAuthorization, pending.client, pending.tenant)
+
+        } catch (error) {
+            logger.error('Error looking up a device authorization', { error: error })
+            return authorizationResponse.sendErrorPage(res, 503, 'temporarily_unavailable', 'Unable to look up the code. Please try again.')
+        }
+    })
+
+    /**
+     * POST /device
+     *
+     * The user's answer to the confirmation form. Approving starts the Okta login for the device's request.
+     *
+     * Request Body (application/x-www-form-urlencoded):
+     * - user_code: The user code
+     * - csrf_token: Must match the CSRF cookie set with the confirmation form
+     * - action: approve or deny
+     */
+    app.post('/device', async (req, res) => {
+        const { user_code, csrf_token, action } = req.body
+        const csrfCookie = getCsrfCookie(req)
+
+        if (!csrf_token || !csrfCookie || csrf_token !== csrfCookie) {
+            return authorizationResponse.sendErrorPage(res, 400, 'invalid_request', 'This form has expired. Please enter the code from your device again.')
+        }
+        res.clearCookie(CSRF_COOKIE, { path: '/device' })
+
+        try {
+            const pending = await findPendingDeviceAuthorization(req, res, user_code)
+            if (!pending) {
+                return
+            }
+            const { deviceAuthorization, client } = pending
+
+            if (action !== 'approve') {
+                await deviceAuthorizationCache.updateDeviceAuthorization(deviceAuthorization.userCode, 'denied', {
+                    error: 'access_denied',
+                    error_description: 'The user denied the request.'
+                })
+                return authorizationResponse.sendPage(res, 200, 'Request Cancelled', '<p>The request has been cancelled. You can close this window.</p>')
+            }
+
+            // The user code is how the callbacks find this device authorization again at the end of the login.
+            await deviceAuthorizationCache.updateDeviceAuthorization(deviceAuthorization.userCode, 'authorizing', {})
+            const parameters = deviceAuthorization.parameters
+            parameters.set('user_code', deviceAuthorization.userCode)
+
+            logger.info('Device authorization confirmed. Starting the Okta login...', { client_id: client.client_id, tenant: deviceAuthorization.tenantId })
+            return await beginOktaLogin(res, client, deviceAuthorization.tenantId, null, parameters)
+
+        } catch (error) {
+            logger.error('Error confirming a device authorization', { error: error })
+            return authorizationResponse.sendErrorPage(res, 500, 'server_error', 'Unable to continue with the request. Please start again on your device.')
+        }
+    })
+}
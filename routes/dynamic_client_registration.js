@@ -1,63 +1,242 @@
 'use strict'
 
-const tenantConfig = require('../lib/tenant_config')
+const clientRegistry = require('../lib/client_registry')
+const clientStore = require('../lib/client_store')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('dynamic_client_registration')
 
 /**
  * RFC 7591 - OAuth 2.0 Dynamic Client Registration Protocol
- * Implements the /register endpoint
- * 
- * This endpoint returns hard-coded client registration metadata
- * based on the tenant configuration.
- * 
- * Once complete, this endpoint will inspect the inbound /register call by the client, and it will perform a look-up on known, approved clients. It will then return those details.
- * It is expected to use the inbound redirect_uri to determine which pre-registered information to pass back.
+ * RFC 7592 - OAuth 2.0 Dynamic Client Registration Management Protocol
+ * Implements the /register and /register/:clientId endpoints
+ *
+ * The inbound /register call is first matched against known, approved clients (see client_registry.js).
+ * The inbound redirect_uris, client_name and software statement are used to determine which pre-registered information to pass back.
+ *
+ * If no pre-registered client matches, and the dynamic registration policy allows it, a brand new client is created and persisted (see client_store.js).
+ * Dynamically registered clients receive a registration access token, which they can use to read, update or delete their registration.
+ */
+
+/**
+ * Builds the client information response for a dynamically registered client (RFC 7591 section 3.2.1, RFC 7592 section 3).
+ * @param {object} client - The stored client
+ * @param {string} registrationAccessToken - The client's registration access token
+ * @returns {object} - The client information response
+ */
+function buildClientInformationResponse(client, registrationAccessToken) {
+    const response = {
+        client_id: client.client_id,
+        client_id_issued_at: client.client_id_issued_at,
+        client_secret_expires_at: 0,
+        registration_access_token: registrationAccessToken,
+        registration_client_uri: `${process.env.PROXY_BASE_URL}/register/${client.client_id}`
+    }
+
+    for (const [field, value] of Object.entries(client)) {
+        if (field !== 'registrationAccessTokenHash' && field !== 'lastUsedAt' && !(field in response)) {
+            response[field] = value
+        }
+    }
+
+    return response
+}
+
+/**
+ * Authenticates an RFC 7592 management request with the registration access token in the Authorization header.
+ * @param {object} req - The Express request
+ * @param {object} res - The Express response. A 401 is sent if the request can't be authenticated.
+ * @returns {Promise<object|null>} - { client, registrationAccessToken } or null if the request was rejected
  */
-//TODO: Need to handle multiple public clients- not just VSCODE.
+async function authenticateManagementRequest(req, res) {
+    const authHeader = req.headers.authorization || ''
+    const registrationAccessToken = authHeader.startsWith('Bearer ') ? authHeader.substring(7).trim() : null
+    const client = await clientStore.getClient(req.params.clientId)
+
+    // Unknown clients get the same answer as a bad token, so client ids can't be probed.
+    if (!clientStore.checkRegistrationAccessToken(client, registrationAccessToken)) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"')
+        res.status(401).json({
+            error: 'invalid_token',
+            error_description: 'The registration access token is invalid, or the client does not exist.'
+        })
+        return null
+    }
+
+    return { client, registrationAccessToken }
+}
+
+/**
+ * Creates a new client for a registration request that didn't match a pre-registered client, if the policy allows it.
+ * @param {object} registrationRequest - The body of the /register request
+ * @param {object} res - The Express response
+ */
+async function registerDynamicClient(registrationRequest, res) {
+    const validation = clientRegistry.validateClientMetadata(registrationRequest)
+    if (validation.error) {
+        return res.status(400).json({
+            error: validation.error,
+            error_description: validation.error_description
+        })
+    }
+
+    if (!clientRegistry.dynamicRegistrationAllowed(validation.metadata)) {
+        logger.info('No approved client matches the registration request', { client_name: registrationRequest.client_name })
+        return res.status(400).json({
+            error: 'invalid_client_metadata',
+            error_description: 'The registration request does not match any client approved for use with this proxy.'
+        })
+    }
+
+    const { client, registrationAccessToken } = await clientStore.createClient(validation.metadata)
+    logger.info('Registered new client', { client_id: client.client_id, client_name: client.client_name })
+
+    res.header('Cache-Control', 'no-store')
+    return res.status(201).json(buildClientInformationResponse(client, registrationAccessToken))
+}
+
 module.exports.connect = function (app) {
 
     // RFC 7591 Dynamic Client Registration endpoint
     app.post('/register', async (req, res) => {
         try {
+            const registrationRequest = req.body || {}
+            const client = await clientRegistry.findClientForRegistration(registrationRequest)
+
+            if (!client) {
+                return await registerDynamicClient(registrationRequest, res)
+            }
+
+            logger.info('Registration request matched pre-registered client', { client_id: client.client_id, client_name: client.client_name })
+
             // Build the client registration response per RFC 7591
             const clientMetadata = {
                 // Client identifier issued by the authorization server
-                client_id: process.env.VSCODE_CLIENT,
-                 
+                client_id: client.client_id,
+
                 // Time at which the client identifier was issued
                 client_id_issued_at: Math.floor(Date.now() / 1000),
-                
+
                 // Time at which the client secret expires (0 = never)
                 client_secret_expires_at: 0,
-                
+
                 // Array of redirect URIs
-                //TODO: This is VSCODE specific. Need to handle other public clients.
-                //TODO: Parse inbound request, and determine what public client we have.
-                redirect_uris: [
-                    "http://127.0.0.1:33418",
-                    "https://vscode.dev/redirect"
-                ],
-
-                // Token endpoint authentication method
-                token_endpoint_auth_method: 'none',
-                
+                redirect_uris: client.redirect_uris,
+
+                // Token endpoint authentication method. Confidential clients already hold their credentials- they're never returned here.
+                token_endpoint_auth_method: client.token_endpoint_auth_method || 'none',
+
                 // Grant types the client is allowed to use
-                grant_types: ['authorization_code', 'refresh_token'],
-                
+                grant_types: client.grant_types || ['authorization_code', 'refresh_token'],
+
                 // Response types the client is allowed to use
                 response_types: ['code'],
-                
+
                 // Human-readable client name
-                client_name: `VSCode Proxy Client`,
-                
+                client_name: client.client_name,
+
                 // Scopes the client is allowed to request
                 // I've found this to be derived from the authorization_server_metadata.
                 scope: []
             }
 
+            if (client.software_id) {
+                clientMetadata.software_id = client.software_id
+            }
+
             res.status(201).json(clientMetadata)
-            
+
+        } catch (error) {
+            logger.error('Error in dynamic client registration', { error: error })
+            res.status(500).json({
+                error: 'server_error',
+                error_description: 'An internal server error occurred.'
+            })
+        }
+    })
+
+    // RFC 7592 Client Read Request
+    app.get('/register/:clientId', async (req, res) => {
+        try {
+            const authenticated = await authenticateManagementRequest(req, res)
+            if (!authenticated) {
+                return
+            }
+
+            res.header('Cache-Control', 'no-store')
+            return res.status(200).json(buildClientInformationResponse(authenticated.client, authenticated.registrationAccessToken))
+
+        } catch (error) {
+            logger.error('Error reading client registration', { error: error })
+            res.status(500).json({
+                error: 'server_error',
+                error_description: 'An internal server error occurred.'
+            })
+        }
+    })
+
+    // RFC 7592 Client Update Request- the body replaces the client's metadata.
+    app.put('/register/:clientId', async (req, res) => {
+        try {
+            const authenticated = await authenticateManagementRequest(req, res)
+            if (!authenticated) {
+                return
+            }
+
+            const updateRequest = req.body || {}
+            if (updateRequest.client_id !== authenticated.client.client_id) {
+                return res.status(400).json({
+                    error: 'invalid_client_metadata',
+                    error_description: 'The client_id in the request body must match the client being updated.'
+                })
+            }
+
+            const validation = clientRegistry.validateClientMetadata(updateRequest)
+            if (validation.error) {
+                return res.status(400).json({
+                    error: validation.error,
+                    error_description: validation.error_description
+                })
+            }
+
+            // The client must still be something the policy would have allowed us to register.
+            if (!clientRegistry.dynamicRegistrationAllowed(validation.metadata)) {
+                return res.status(400).json({
+                    error: 'invalid_client_metadata',
+                    error_description: 'The updated metadata is not allowed by the registration policy of this proxy.'
+                })
+            }
+
+            const client = await clientStore.updateClient(authenticated.client, validation.metadata)
+            logger.info('Updated client registration', { client_id: client.client_id })
+
+            res.header('Cache-Control', 'no-store')
+            return res.status(200).json(buildClientInformationResponse(client, authenticated.registrationAccessToken))
+
+        } catch (error) {
+            logger.error('Error updating client registration', { error: error })
+            res.status(500).json({
+                error: 'server_error',
+                error_description: 'An internal server error occurred.'
+            })
+        }
+    })
+
+    // RFC 7592 Client Delete Request
+    app.delete('/register/:clientId', async (req, res) => {
+        try {
+            const authenticated = await authenticateManagementRequest(req, res)
+            if (!authenticated) {
+                return
+            }
+
+            await clientStore.deleteClient(authenticated.client.client_id)
+            logger.info('Deleted client registration', { client_id: authenticated.client.client_id })
+
+            return res.status(204).end()
+
         } catch (error) {
-            console.error('Error in dynamic client registration:', error)
+            logger.error('Error deleting client registration', { error: error })
             res.status(500).json({
                 error: 'server_error',
                 error_description: 'An internal server error occurred.'
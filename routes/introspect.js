@@ -0,0 +1,134 @@
+'use strict'
+
+const tokenIssuer = require('../lib/token_issuer')
+const agentSessionCache = require('../lib/agent_session_cache')
+const tenantConfig = require('../lib/tenant_config')
+const vault = require('../lib/token_vault')
+const clientAuthentication = require('../lib/client_authentication')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('introspect')
+
+/**
+ * RFC 7662 - OAuth 2.0 Token Introspection
+ * Implements the /introspect endpoint
+ *
+ * Lets other internal services check the access tokens the proxy hands to MCP clients, without reimplementing jwt_authorizer.js.
+ * A token is active under the same rules the proxy applies to proxied requests: it must be a valid proxy access token,
+ * bound to a live agent session for the same tenant whose agent token hasn't expired.
+ *
+ * Callers authenticate with HTTP Basic using INTROSPECTION_CLIENT_ID and INTROSPECTION_CLIENT_SECRET.
+ * The endpoint is disabled until those are configured.
+ */
+
+/**
+ * Checks the HTTP Basic credentials of the calling service. They're read the same way as client credentials at /token.
+ * @param {object} req - The Express request
+ * @returns {boolean} - True if the caller is allowed to introspect tokens
+ */
+function authenticateCaller(req) {
+    const credentials = clientAuthentication.parseBasicCredentials(req)
+    if (!credentials) {
+        return false
+    }
+
+    // Both are checked, so a wrong client id takes as long to reject as a wrong secret.
+    const clientIdMatches = clientAuthentication.secretsEqual(process.env.INTROSPECTION_CLIENT_ID, credentials.clientId)
+    const clientSecretMatches = clientAuthentication.secretsEqual(process.env.INTROSPECTION_CLIENT_SECRET, credentials.clientSecret)
+    return clientIdMatches && clientSecretMatches
+}
+
+/**
+ * Reports whether the user behind a session has a linked account for the tenant's vault connection, from the vaulted tokens
+ * this proxy already holds. Introspection never asks the vault itself- that would be a token exchange for every introspected token.
+ * @param {object} session - The agent session
+ * @param {object} tenant - The tenant configuration
+ * @returns {boolean|undefined} - True if a vaulted token is cached for the user, otherwise undefined as it isn't known
+ */
+function isVaultAccountLinked(session, tenant) {
+    if (!tenant.vault_connection) {
+        return false
+    }
+
+    return vault.hasCachedVaultedToken(session.subject, tenant) ? true : undefined
+}
+
+/**
+ * Introspects a proxy access token.
+ * @param {string} token - The token to introspect
+ * @returns {Promise<object>} - The introspection response
+ */
+async function introspectToken(token) {
+    let claims
+    let tenantId
+    try {
+        tenantId = tokenIssuer.getTenantIdFromIssuer(tokenIssuer.verifyOwnAccessToken(token).iss)
+        claims = tokenIssuer.verifyAccessToken(token, tenantId)
+    } catch (error) {
+        return { active: false }
+    }
+
+    const tenant = tenantConfig.getTenantConfig(tenantId)
+    const session = await agentSessionCache.getSession(claims.sid)
+    if (!tenant || !session || session.tenantId !== tenantId || Date.now() >= session.agentAccessTokenExpiresAt) {
+        return { active: false }
+    }
+
+    return {
+        active: true,
+        sub: claims.sub,
+        scope: claims.scope,
+        aud: claims.aud,
+        iss: claims.iss,
+        exp: claims.exp,
+        iat: claims.iat,
+        jti: claims.jti,
+        client_id: claims.client_id,
+        token_type: claims.cnf ? 'DPoP' : 'Bearer',
+        cnf: claims.cnf,
+        tenant: tenantId,
+        vault_account_linked: isVaultAccountLinked(session, tenant)
+    }
+}
+
+module.exports.connect = function (app) {
+
+    /**
+     * POST /introspect
+     *
+     * Request Body (application/x-www-form-urlencoded or application/json):
+     * - token: The token to introspect
+     * - token_type_hint: (optional) Ignored- only access tokens can be introspected
+     *
+     * @returns {Object} RFC 7662 introspection response. Unknown, expired and revoked tokens are { active: false }.
+     */
+    app.post('/introspect', async (req, res) => {
+        if (!authenticateCaller(req)) {
+            res.set('WWW-Authenticate', 'Basic realm="introspection"')
+            return res.status(401).json({
+                error: 'invalid_client',
+                error_description: 'Valid introspection credentials are required.'
+            })
+        }
+
+        const { token } = req.body
+        if (!token) {
+            return res.status(400).json({
+                error: 'invalid_request',
+                error_description: 'The token parameter is required.'
+            })
+        }
+
+        try {
+            res.header('Cache-Control', 'no-store')
+            return res.status(200).json(await introspectToken(token))
+
+        } catch (error) {
+            logger.error('Error processing introspection request', { error: error })
+            return res.status(503).json({
+                error: 'temporarily_unavailable',
+                error_description: 'Unable to introspect the token. Please try again.'
+            })
+        }
+    })
+}
@@ -0,0 +1,31 @@
+'use strict'
+
+const tokenIssuer = require('../lib/token_issuer')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('jwks')
+
+/**
+ * RFC 7517 - JSON Web Key Set
+ * Implements the /jwks endpoint
+ * 
+ * This endpoint publishes the public key the proxy uses to sign the access tokens it issues to MCP clients.
+ * It is advertised as the jwks_uri in the authorization server metadata.
+ */
+module.exports.connect = function (app) {
+
+    // Proxy JWKS endpoint
+    app.get('/jwks', async (req, res) => {
+        try {
+            res.header('Cache-Control', 'public, max-age=3600')
+            return res.status(200).json(tokenIssuer.getJwks())
+
+        } catch (error) {
+            logger.error('Error publishing the proxy JWKS', { error: error })
+            return res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Unable to retrieve the JSON Web Key Set.'
+            })
+        }
+    })
+}
@@ -0,0 +1,79 @@
+'use strict'
+
+const metrics = require('../lib/metrics')
+const store = require('../lib/store')
+const vaultTokenCache = require('../lib/vault_token_cache')
+const clientAuthentication = require('../lib/client_authentication')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('metrics')
+
+/**
+ * Prometheus metrics endpoint
+ * Implements the /metrics endpoint
+ *
+ * Renders the metrics recorded across the proxy (see lib/metrics.js) for Prometheus to scrape.
+ * The endpoint is disabled until it's protected, in one or both of these ways:
+ * - METRICS_TOKEN: scrapers must send it as a bearer token.
+ * - METRICS_PORT: the endpoint is served on this port only (see main.js), which can be kept off the public network.
+ */
+
+// Number of entries in each cache, collected on scrape. The Redis store counts keys with SCAN, so scrapes cost a walk of the keyspace.
+metrics.createGauge('mcp_proxy_cache_entries', 'Entries in the proxy\'s caches, by cache.', ['cache'], async () => {
+    const samples = [{ labels: { cache: 'vault_tokens' }, value: vaultTokenCache.getCacheSize() }]
+
+    for (const cache of store.listStores()) {
+        try {
+            samples.push({ labels: { cache: cache.namespace }, value: await cache.size() })
+        } catch (error) {
+            logger.warn('Unable to count the entries of a cache', { cache: cache.namespace, error: error })
+        }
+    }
+
+    return samples
+})
+
+module.exports.connect = function (app) {
+
+    /**
+     * GET /metrics
+     *
+     * Headers:
+     * - Authorization: Bearer <METRICS_TOKEN>, if METRICS_TOKEN is set
+     *
+     * @returns {string} The metrics, in the Prometheus text exposition format
+     */
+    app.get('/metrics', async (req, res) => {
+        const expectedToken = process.env.METRICS_TOKEN
+        if (!expectedToken && !process.env.METRICS_PORT) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Metrics are disabled. Set METRICS_TOKEN or METRICS_PORT to enable them.'
+            })
+        }
+
+        if (expectedToken) {
+            const parsedHeader = (req.headers.authorization || '').match(/^\s*bearer\s+(.+)$/i)
+            if (!parsedHeader || !clientAuthentication.secretsEqual(expectedToken, parsedHeader[1])) {
+                res.set('WWW-Authenticate', 'Bearer realm="metrics"')
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'A valid metrics token is required.'
+                })
+            }
+        }
+
+        try {
+            res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+            res.set('Cache-Control', 'no-store')
+            return res.status(200).send(await metrics.renderMetrics())
+
+        } catch (error) {
+            logger.error('Error rendering metrics', { error: error })
+            return res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Unable to render the metrics.'
+            })
+        }
+    })
+}
@@ -1,10 +1,19 @@
 'use strict'
 const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
 const oidcRequestCache = require('../lib/oidc_cache')
 const oktaAuth0Exchange = require('../lib/okta_auth0_exchange')
 const tenantConfig = require('../lib/tenant_config')
 const vault = require('../lib/token_vault')
 const returningAuthzCache = require("../lib/return_authz_cache")
+const clientRegistry = require('../lib/client_registry')
+const authorizationRequest = require('../lib/authorization_request')
+const authorizationResponse = require('../lib/authorization_response')
+const consentCache = require('../lib/consent_cache')
+const scopeUpgradeCache = require('../lib/scope_upgrade_cache')
+const { createLogger, setLoginId } = require('../lib/logger')
+
+const logger = createLogger('oidc_callback')
 
 /**
  * OAuth 2.0 Callback Endpoint
@@ -15,7 +24,78 @@ const returningAuthzCache = require("../lib/return_authz_cache")
  * 
  * It also will determine if the user has tokens vaulted in the Auth0 token vault or not. If not, it will begin the connected accounts flow with Auth0.
  * If the user's tokens have been vaulted already, this endpoint will simply return a new authz code back to the client.
+ *
+ * Before either happens, the user must have consented to the client using the tenant's downstream scopes. If they haven't yet,
+ * the login is parked in the OIDC cache and the user is sent to the consent page (see consent.js), which resumes it.
+ */
+
+/**
+ * Finishes a login the user has consented to. If the user's downstream tokens are already vaulted, the client gets its
+ * authorization code. Otherwise the user is sent to link their account first (see connected_accounts_callback.js).
+ * They're also sent to link it again if the backend found their linked account missing scopes (see proxy_routes.js).
+ * Shared with consent.js, which resumes the login once the user has approved it.
+ * @param {object} res - The Express response
+ * @param {string} state - The outbound OIDC state of the login
+ * @param {object} login - The cached authorization request (see oidc_cache.js), including the agent access token
  */
+async function completeLogin(res, state, login) {
+    const { tenantId, parameters, originalState, originalParameters, accessToken, accessTokenScope, accessTokenExpiresIn, idToken, oktaRefreshToken } = login
+    const sendError = (errorCode, errorDescription) => authorizationResponse.sendAuthorizationError(res, originalParameters, originalState, errorCode, errorDescription, tenantId)
+    const tenant = tenantConfig.getTenantConfig(tenantId)
+
+    try {
+        const client = await clientRegistry.getClient(originalParameters.get('client_id'))
+        if (!client) {
+            throw new Error(`Client '${originalParameters.get('client_id')}' is no longer registered with this proxy.`)
+        }
+        const allowedScopes = clientRegistry.getAllowedScopes(client, tenant)
+        const scopes = authorizationRequest.getEffectiveScopes(originalParameters.get('scope'), allowedScopes)
+
+        // A pending scope upgrade is linked along with the scopes of this login- the union of what the account had and what it was missing.
+        // The user consented to those scopes too, before the login got here.
+        const subject = jwt.decode(accessToken).sub
+        const { scopeUpgrade, scopes: linkScopes } = await scopeUpgradeCache.getScopesToLink(subject, tenantId, tenant.vault_connection, scopes, allowedScopes)
+
+        logger.debug('Attempting to get end user tokens from vault...', { tenant: tenantId, connection: tenant.vault_connection })
+        const vaultedTokenResponse = await vault.exchangeOktaAccessToken(process.env.AUTH0_DOMAIN, accessToken, process.env.AUTH0_CTE_CLIENT_ID, process.env.AUTH0_CTE_CLIENT_SECRET, process.env.AUTH0_VAULT_CLIENT_ID, process.env.AUTH0_VAULT_CLIENT_SECRET, process.env.AUTH0_VAULT_AUDIENCE, process.env.AUTH0_VAULT_SCOPE, tenant.vault_connection)
+        logger.debug('Response from the vault', { success: vaultedTokenResponse.success, needs_linking: vaultedTokenResponse.needsLinking, reason: vaultedTokenResponse.message })
+
+        if (vaultedTokenResponse.success && !scopeUpgrade) {
+            //Our credentials are vaulted already-- return back to the client.
+            logger.info('Cached credentials already exist. Connected accounts flow is not necessary. Returning details back to the originating redirect_uri.')
+            const newAuthzCode = crypto.randomBytes(32).toString('base64url')
+            await returningAuthzCache.addToCache(newAuthzCode, accessToken, accessTokenScope, accessTokenExpiresIn, idToken, originalState, tenantId, originalParameters, oktaRefreshToken)
+            await authorizationResponse.sendAuthorizationCode(res, originalParameters, originalState, newAuthzCode, tenantId) //Redirect back to the original client with authz and original state.
+        }
+        else if(vaultedTokenResponse.needsLinking || vaultedTokenResponse.success) { //We failed due to lack of credentials (or scopes). Begin the account linking flow.
+            logger.info(scopeUpgrade ? 'The linked account is missing scopes. Linking it again.' : 'Account linking is required. Beginning the account linking flow.', { connection: tenant.vault_connection, scope: linkScopes.join(' ') })
+            const connectedAccountResponse = await vault.beginConnectedAccountFlow(process.env.AUTH0_DOMAIN, accessToken, process.env.AUTH0_CTE_CLIENT_ID, process.env.AUTH0_CTE_CLIENT_SECRET, state, tenant.vault_connection, `${process.env.PROXY_BASE_URL}/connected_account_callback`, linkScopes)
+            
+            if(connectedAccountResponse.success) {
+                if (scopeUpgrade) {
+                    await scopeUpgradeCache.clearScopeUpgrade(subject, tenantId, tenant.vault_connection)
+                }
+                //Update our OIDC cache with the access token. When we're done connecting the account we need to stuff it in the authz code cache.
+                await oidcRequestCache.cacheOidcRequest(state, parameters, originalState, originalParameters, accessToken, accessTokenScope, accessTokenExpiresIn, tenantId, idToken, oktaRefreshToken)
+                res.redirect(connectedAccountResponse.connectUrl)
+            }
+            else {
+                return sendError('server_error', 'Unable to start linking your account.')
+            }
+        }
+        else {
+            return sendError('server_error', 'Unable to obtain proper tokens.')
+        }
+
+    } catch (error) {
+        logger.error('Error retrieving the user\'s tokens from the vault', { error: error })
+
+        const failure = authorizationResponse.getUpstreamFailure(error, 'Unable to complete the login. Please try again.')
+        return sendError(failure.error, failure.error_description)
+    }
+}
+
+module.exports.completeLogin = completeLogin
 
 /**
  * Connects the callback routes to the Express app.
@@ -41,124 +121,109 @@ module.exports.connect = function (app) {
     app.get('/callback', async (req, res) => {
         const { state, code, error, error_description } = req.query
 
-        // Handle authorization errors from the IdP
-        if (error) {
-            console.error(`Authorization error: ${error} - ${error_description}`)
-            return res.status(400).json({
-                error: error,
-                error_description: error_description || 'Authorization failed at the identity provider.'
-            })
-        }
-
-        // Validate required parameters
+        // Until we've found the authorization request this callback belongs to, we don't know which redirect_uri is safe to use.
+        // Errors up to that point are shown to the user on an error page.
         if (!state) {
-            return res.status(400).json({
-                error: 'invalid_request',
-                error_description: 'The state parameter is required.'
-            })
+            logger.warn('Callback received without a state', { error: error, error_description: error_description })
+            return authorizationResponse.sendErrorPage(res, 400, 'invalid_request', 'The state parameter is required.')
         }
 
-        if (!code) {
-            return res.status(400).json({
-                error: 'invalid_request',
-                error_description: 'The code parameter is required.'
-            })
+        // Retrieve the cached outbound request using the state value.
+        // It's removed from the cache as soon as we get it, so the state can only be used once.
+        let cachedRequest = null
+        try {
+            cachedRequest = await oidcRequestCache.takeOidcRequest(state)
+        } catch (error) {
+            logger.error('Error retrieving the cached authorization request', { error: error })
+            return authorizationResponse.sendErrorPage(res, 503, 'temporarily_unavailable', 'Unable to retrieve the authorization request. Please try again.')
         }
 
-        // Retrieve the cached outbound request using the state value
-        const cachedRequest = oidcRequestCache.getOidcRequest(state)
-
         if (!cachedRequest) {
-            return res.status(400).json({
-                error: 'invalid_state',
-                error_description: 'The state parameter is invalid or has expired. Please restart the authorization flow.'
-            })
+            return authorizationResponse.sendErrorPage(res, 400, 'invalid_request', 'The authorization request has expired or was already completed. Please restart the authorization flow from your application.')
         }
 
         //We need a fair bit of detail from the original inbound authz request, get this data from our cache (was inserted on /authorize endpoint)
         const { tenantId, originalState, originalParameters, parameters } = cachedRequest
+        setLoginId(originalParameters.get('login_id'))
+
+        // From here on, errors are sent back to the client- its redirect_uri was validated against its registration in /authorize.
+        // For the device authorization grant, they're stored for the polling client instead.
+        const sendError = (errorCode, errorDescription) => authorizationResponse.sendAuthorizationError(res, originalParameters, originalState, errorCode, errorDescription, tenantId)
+
+        // Handle authorization errors from the IdP
+        if (error) {
+            logger.warn('Authorization error from the identity provider', { error: error, error_description: error_description })
+            const clientError = authorizationResponse.getClientErrorCode(error)
+            return sendError(clientError, clientError === error && error_description ? error_description : 'Authorization failed at the identity provider.')
+        }
+
+        if (!code) {
+            return sendError('server_error', 'The identity provider did not return an authorization code.')
+        }
 
         // Exchange the authorization code for tokens
         //All we want is openid here- we're just doing a normal login- we haven't touched final resources yet.
         const tokenEndpoint = `${process.env.OKTA_DOMAIN}/oauth2/v1/token`
         const redirectUri = parameters.get("redirect_uri")
-        const scope = 'openid profile' //Always just using openid/profile for the initial login. It's not what the agent is getting.
+        const scope = oktaAuth0Exchange.getOktaLoginScope() //Always just using openid/profile for the initial login. It's not what the agent is getting.
         const tenant = tenantConfig.getTenantConfig(tenantId)
+        const client = await clientRegistry.getClient(originalParameters.get('client_id'))
         try {
+            if (!client) {
+                throw new Error(`Client '${originalParameters.get('client_id')}' is no longer registered with this proxy.`)
+            }
 
-            const idToken = await oktaAuth0Exchange.completeOktaOIDCLogin(tokenEndpoint, code, redirectUri, scope, process.env.VSCODE_CLIENT, process.env.VSCODE_SECRET)
+            // Complete the login with the same Okta OIDC client the /authorize request used.
+            const oktaCredentials = clientRegistry.getOktaCredentials(client)
+            //The ID token is verified against the nonce we sent to Okta in /authorize.
+            const oktaLoginResponse = await oktaAuth0Exchange.completeOktaOIDCLogin(tokenEndpoint, code, redirectUri, scope, oktaCredentials.clientId, oktaCredentials.clientSecret, parameters.get("nonce"))
+            const idToken = oktaLoginResponse.idToken
+            const idTokenClaims = oktaLoginResponse.idTokenClaims
+            const oktaRefreshToken = oktaLoginResponse.refreshToken
+
+            //Only the scopes the client asked for (and may use) are requested downstream.
+            const allowedScopes = clientRegistry.getAllowedScopes(client, tenant)
+            const scopes = authorizationRequest.getEffectiveScopes(originalParameters.get('scope'), allowedScopes)
             
             //TODO: In the future, I'm expecting we can perform XAA directly against Auth0.
-            console.log("ID Token Obtained.  Retrieving JAG for XAA using the agent ID...")
-            const idJag = await oktaAuth0Exchange.getIdJagFromOkta(tokenEndpoint, tenant, idToken, process.env.AGENT_CLIENT_ID, process.env.AGENT_PRIVATE_KEY_PATH, process.env.AGENT_PRIVATE_KEY_ID)
+            logger.info('ID Token verified. Retrieving JAG for XAA using the agent ID...', { sub: idTokenClaims.sub, client_id: client.client_id, tenant: tenantId, scope: scopes.join(' ') })
+            const idJag = await oktaAuth0Exchange.getIdJagFromOkta(tokenEndpoint, tenant, idToken, process.env.AGENT_CLIENT_ID, process.env.AGENT_PRIVATE_KEY_PATH, process.env.AGENT_PRIVATE_KEY_ID, scopes)
 
-            console.log("ID JAG Obtained- getting agent access token specific to this managed connection/tenant...")
+            logger.debug('ID JAG Obtained- getting agent access token specific to this managed connection/tenant...')
             const agentAccessTokenResponse = await oktaAuth0Exchange.getAccessTokenFromIDJag(tenant, idJag, process.env.AGENT_CLIENT_ID, process.env.AGENT_PRIVATE_KEY_PATH, process.env.AGENT_PRIVATE_KEY_ID)
 
             const agentAccessToken = agentAccessTokenResponse.accessToken
-            const agentAccessTokenScope = agentAccessTokenResponse.scope
+            const agentAccessTokenScope = agentAccessTokenResponse.scope || scopes.join(' ') //What Okta granted, if it says.
             const agentAccessTokenExpires = agentAccessTokenResponse.expires_in
-
-            console.log("Obtained final agent access token. Attempting to get end user tokens from vault...")
-            const vaultedTokenResponse = await vault.exchangeOktaAccessToken(process.env.AUTH0_DOMAIN, agentAccessToken, process.env.AUTH0_CTE_CLIENT_ID, process.env.AUTH0_CTE_CLIENT_SECRET, process.env.AUTH0_VAULT_CLIENT_ID, process.env.AUTH0_VAULT_CLIENT_SECRET, process.env.AUTH0_VAULT_AUDIENCE, process.env.AUTH0_VAULT_SCOPE, tenant.vault_connection)
-            console.log(`Response from auth0: ${JSON.stringify(vaultedTokenResponse)}`)
-
-            if (vaultedTokenResponse.success) {
-                //Our credentials are vaulted already-- return back to the client.
-                oidcRequestCache.clearOidcRequest(state)
-                console.log("Cached credentials already exist. Connected accounts flow is not necessary. Returning details back to the originating redirect_uri.")
-                const newAuthzCode = crypto.randomBytes(32).toString('base64url')
-                returningAuthzCache.addToCache(newAuthzCode, agentAccessToken, agentAccessTokenScope, agentAccessTokenExpires, idToken, originalState, tenantId, originalParameters)
-                const finalRedirectUrl = `${originalParameters.get("redirect_uri")}?code=${newAuthzCode}&state=${originalState}`
-                res.redirect (finalRedirectUrl) //Redirect back to the original client with authz and original state.
-            }
-            else if(vaultedTokenResponse.needsLinking) { //We failed due to lack of credentials. Begin the account linking flow.
-                console.log("Account linking is required. Beginning the account linking flow.")
-                const connectedAccountResponse = await vault.beginConnectedAccountFlow(process.env.AUTH0_DOMAIN, agentAccessToken, process.env.AUTH0_CTE_CLIENT_ID, process.env.AUTH0_CTE_CLIENT_SECRET, state, tenant.vault_connection, `${process.env.PROXY_BASE_URL}/connected_account_callback`, tenant.external_scopes)
-                
-                if(connectedAccountResponse.success) {
-                    //Update our OIDC cache with the access token. When we're done connecting the account we need to stuff it in the authz code cache.
-                    oidcRequestCache.cacheOidcRequest(state, parameters, originalState, originalParameters, agentAccessToken, agentAccessTokenScope, agentAccessTokenExpires, tenantId)
-                    res.redirect(connectedAccountResponse.connectUrl)
-                }
-                else {
-                    return res.status(403).json({
-                        error: 'Token Request Failed',
-                        message: 'Unable to obtain proper tokens.'
-                    })
-                }
-            }
-            else {
-                return res.status(403).json({
-                    error: 'Token Request Failed',
-                    message: 'Unable to obtain proper tokens.'
-                })
+            logger.info('Obtained final agent access token.', { scope: agentAccessTokenScope, expires_in: agentAccessTokenExpires })
+
+            // Ask the user to approve what the client will be able to do downstream, unless they already have- including any scopes
+            // a pending scope upgrade will add to their linked account. The login is parked in the OIDC cache until they answer (see consent.js).
+            const subject = jwt.decode(agentAccessToken).sub
+            const linkScopes = (await scopeUpgradeCache.getScopesToLink(subject, tenantId, tenant.vault_connection, scopes, allowedScopes)).scopes
+            if (!(await consentCache.hasConsent(subject, client.client_id, tenantId, linkScopes))) {
+                logger.info('The user hasn\'t consented to this client at this tenant yet. Showing the consent page...')
+                await oidcRequestCache.cacheOidcRequest(state, parameters, originalState, originalParameters, agentAccessToken, agentAccessTokenScope, agentAccessTokenExpires, tenantId, idToken, oktaRefreshToken)
+                return res.redirect(`${process.env.PROXY_BASE_URL}/consent?state=${encodeURIComponent(state)}`)
             }
 
+            return await completeLogin(res, state, {
+                tenantId: tenantId,
+                parameters: parameters,
+                originalState: originalState,
+                originalParameters: originalParameters,
+                accessToken: agentAccessToken,
+                accessTokenScope: agentAccessTokenScope,
+                accessTokenExpiresIn: agentAccessTokenExpires,
+                idToken: idToken,
+                oktaRefreshToken: oktaRefreshToken
+            })
+
         } catch (error) {
-            console.error('Error exchanging authorization code for tokens:', error.response?.data || error.message)
-
-            // Clear the cached outbound request even on failure to prevent reuse in case something fails very early on.
-            oidcRequestCache.clearOidcRequest(state)
-
-            if (error.response) {
-                const errorData = error.response.data
-                return res.status(error.response.status).json({
-                    error: errorData.error || 'token_exchange_error',
-                    error_description: errorData.error_description || 'Failed to exchange authorization code for tokens.',
-                    details: errorData
-                })
-            } else if (error.request) {
-                return res.status(502).json({
-                    error: 'bad_gateway',
-                    error_description: 'No response received from the authorization server during token exchange.'
-                })
-            } else {
-                return res.status(500).json({
-                    error: 'server_error',
-                    error_description: `Failed to exchange authorization code: ${error.message}`
-                })
-            }
+            logger.error('Error exchanging authorization code for tokens', { error: error })
+
+            const failure = authorizationResponse.getUpstreamFailure(error, 'Unable to complete the login. Please try again.')
+            return sendError(failure.error, failure.error_description)
         }
     })
 }
\ No newline at end of file
@@ -0,0 +1,66 @@
+'use strict'
+
+const tenantConfig = require('../lib/tenant_config')
+const authorizationRequest = require('../lib/authorization_request')
+const { buildAuthorizationServerMetadata } = require('./authorization_server_metadata')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('openid_configuration')
+
+/**
+ * OpenID Connect Discovery 1.0
+ * Implements the /.well-known/openid-configuration endpoint
+ *
+ * Clients that follow OIDC rather than RFC 8414 discover the proxy here. The document is the tenant's authorization server
+ * metadata, plus the OIDC specific fields- most importantly the userinfo endpoint (see userinfo.js).
+ *
+ * It's served both where OIDC Discovery expects it for the tenant's issuer (/:tenantId/.well-known/openid-configuration),
+ * and alongside the RFC 8414 route (/.well-known/openid-configuration/:tenantId/*).
+ */
+module.exports.connect = function (app) {
+
+    // These must be connected before the proxy route, which would otherwise treat them as MCP requests.
+    app.get(['/.well-known/openid-configuration/:tenantId', '/.well-known/openid-configuration/:tenantId/*', '/:tenantId/.well-known/openid-configuration'], async (req, res) => {
+        const tenantId = req.params.tenantId
+        const proxyPath = req.params[0] || ''
+
+        try {
+            const tenant = tenantConfig.getTenantConfig(tenantId)
+
+            if (!tenant) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: `Tenant '${tenantId}' not found.`
+                })
+            }
+
+            const configuration = {
+                ...buildAuthorizationServerMetadata(tenant, proxyPath),
+
+                // URL of the userinfo endpoint
+                //Returns the user's claims from their verified Okta ID token. See userinfo.js
+                userinfo_endpoint: `${process.env.PROXY_BASE_URL}/userinfo`,
+
+                // JSON array of scopes supported, including the OIDC scopes
+                scopes_supported: [...tenant.external_scopes, ...authorizationRequest.OIDC_SCOPES],
+
+                // JSON array of subject identifier types supported
+                //The sub is the user's Okta user id.
+                subject_types_supported: ['public'],
+
+                // JSON array of the algorithms the ID token may be signed with
+                //The ID token is the one Okta issued for the user's login.
+                id_token_signing_alg_values_supported: ['RS256']
+            }
+
+            return res.status(200).json(configuration)
+
+        } catch (error) {
+            logger.error('Error fetching OpenID configuration', { tenant: tenantId, error: error })
+            return res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Unable to retrieve the OpenID configuration.'
+            })
+        }
+    })
+}
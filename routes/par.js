@@ -0,0 +1,97 @@
+'use strict'
+
+const tenantConfig = require('../lib/tenant_config')
+const clientAuthentication = require('../lib/client_authentication')
+const authorizationRequest = require('../lib/authorization_request')
+const parCache = require('../lib/par_cache')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('par')
+
+/**
+ * RFC 9126 - OAuth 2.0 Pushed Authorization Requests
+ * Implements the /par/:tenantId endpoint
+ *
+ * Instead of carrying the whole authorization request (PKCE challenge, scopes, redirect_uri...) through the browser, the client
+ * pushes it here first. The request is validated and stored server-side (see par_cache.js), and the client gets back a request_uri
+ * that it sends to /authorize along with its client_id.
+ */
+module.exports.connect = function (app) {
+
+    /**
+     * POST /par/:tenantId
+     *
+     * Request Body (application/x-www-form-urlencoded or application/json):
+     * - The authorization request parameters, as they would otherwise be sent to /authorize/:tenantId
+     * - Client credentials, for confidential clients (see client_authentication.js)
+     *
+     * @returns {201} { request_uri, expires_in }
+     */
+    app.post('/par/:tenantId', async (req, res) => {
+        const tenantId = req.params.tenantId
+
+        try {
+            const tenant = tenantConfig.getTenantConfig(tenantId)
+
+            if (!tenant) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: `Tenant '${tenantId}' not found.`
+                })
+            }
+
+            // Every parameter must be sent once, as a plain string.
+            const parameterError = authorizationRequest.validateParameterValues(req.body)
+            if (parameterError) {
+                return res.status(400).json(parameterError)
+            }
+
+            // The client authenticates here the same way it does at /token.
+            const authentication = await clientAuthentication.authenticateClient(req, `${process.env.PROXY_BASE_URL}/par/${tenantId}`)
+            if (!authentication.client) {
+                return clientAuthentication.sendAuthenticationFailure(res, authentication)
+            }
+
+            // Client credentials aren't part of the authorization request.
+            const parameters = new URLSearchParams()
+            for (const [name, value] of Object.entries(req.body)) {
+                if (!['client_secret', 'client_assertion', 'client_assertion_type'].includes(name)) {
+                    parameters.set(name, value)
+                }
+            }
+            parameters.set('client_id', authentication.client.client_id)
+
+            if (parameters.has('request_uri')) {
+                return res.status(400).json({
+                    error: 'invalid_request',
+                    error_description: 'A pushed authorization request must not contain a request_uri.'
+                })
+            }
+
+            // Errors are returned to the client directly, rather than through a redirect.
+            const validation = await authorizationRequest.validateAuthorizationRequest(parameters, tenant)
+            if (validation.error) {
+                return res.status(400).json({
+                    error: validation.error,
+                    error_description: validation.error_description
+                })
+            }
+
+            const pushedRequest = await parCache.pushAuthorizationRequest(tenantId, authentication.client.client_id, parameters)
+            logger.info('Stored pushed authorization request', { client_id: authentication.client.client_id, tenant: tenantId })
+
+            res.header('Cache-Control', 'no-store')
+            return res.status(201).json({
+                request_uri: pushedRequest.requestUri,
+                expires_in: pushedRequest.expiresIn
+            })
+
+        } catch (error) {
+            logger.error('Error processing pushed authorization request', { tenant: tenantId, error: error })
+            return res.status(500).json({
+                error: 'server_error',
+                error_description: 'Unable to process the pushed authorization request.'
+            })
+        }
+    })
+}
@@ -1,6 +1,10 @@
 'use strict'
 
 const tenantConfig = require('../lib/tenant_config')
+const dpop = require('../lib/dpop')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('protected_resource_metadata')
 
 /**
  * RFC 9728 - OAuth 2.0 Protected Resource Metadata
@@ -36,12 +40,16 @@ module.exports.connect = function (app) {
                 
                 // OPTIONAL: Human-readable name for the resource
                 resource_name: `Okta AI Relay Protected Resource - ${tenantId}`,
+
+                // DPoP (RFC 9449) proof algorithms we accept, and whether this tenant only accepts DPoP-bound access tokens
+                dpop_signing_alg_values_supported: dpop.DPOP_SIGNING_ALGORITHMS,
+                dpop_bound_access_tokens_required: tenant.dpop_bound_access_tokens_required === true
             }
 
             return res.status(200).json(metadata)
 
         } catch (error) {
-            console.error(`Error fetching protected resource metadata for tenant ${tenantId}:`, error.message)
+            logger.error('Error fetching protected resource metadata', { tenant: tenantId, error: error })
             return res.status(500).json({
                 error: 'Internal Server Error',
                 message: 'Unable to retrieve protected resource metadata.'
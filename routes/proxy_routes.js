@@ -2,36 +2,125 @@
 
 const axios = require('axios')
 const vault = require('../lib/token_vault')
+const vaultTokenCache = require('../lib/vault_token_cache')
+const scopeUpgradeCache = require('../lib/scope_upgrade_cache')
+const { createLogger } = require('../lib/logger')
+const metrics = require('../lib/metrics')
+
+const logger = createLogger('proxy_routes')
+
+// Every proxied request by the status the client got, including the proxy's own rejections (e.g. invalid tokens).
+const proxiedRequests = metrics.createCounter('mcp_proxy_requests_total', 'Proxied requests, by tenant and response status.', ['tenant', 'status'])
+
+// Time until the backend starts responding. Streamed responses (SSE) may stay open long after that, so it's not the full request.
+const backendResponseDuration = metrics.createHistogram('mcp_proxy_backend_response_duration_seconds', 'Time until the backend responded to a proxied request, by tenant and backend status.', ['tenant', 'status'])
+
+// How long we'll wait for the backend to start responding.
+const BACKEND_RESPONSE_TIMEOUT_MS = 30000
+
+// Request headers passed through to the backend. Includes the MCP Streamable HTTP session/resumption headers.
+const REQUEST_HEADERS_TO_FORWARD = ['content-type', 'content-length', 'accept', 'mcp-session-id', 'mcp-protocol-version', 'last-event-id']
+
+// Response headers passed back to the client.
+const RESPONSE_HEADERS_TO_FORWARD = ['content-type', 'content-length', 'content-encoding', 'cache-control', 'etag', 'last-modified', 'mcp-session-id']
+
+/**
+ * Checks whether the backend rejected the vaulted token because it lacks scopes (RFC 6750 section 3.1).
+ * @param {object} headers - The backend response headers
+ * @returns {string[]|null} - The scopes the backend said it needs (possibly none), or null if it's not an insufficient_scope error
+ */
+function getInsufficientScopes(headers) {
+    const challenge = headers['www-authenticate'] || ''
+    if (!/error="insufficient_scope"/i.test(challenge)) {
+        return null
+    }
+
+    // GitHub lists the scopes it accepts in X-Accepted-OAuth-Scopes rather than in the challenge.
+    const scopeParameter = challenge.match(/[\s,]scope="([^"]*)"/i)
+    const scopes = scopeParameter ? scopeParameter[1].split(' ') : (headers['x-accepted-oauth-scopes'] || '').split(',')
+    return scopes.map(scope => scope.trim()).filter(Boolean)
+}
+
+/**
+ * Challenges the MCP client to re-authorize with more scopes (RFC 6750 section 3.1), after the backend rejected the user's
+ * vaulted token for missing scopes. The vault will keep handing out that token, so the user's next login links their account
+ * again with the union of the scopes the client had and the ones the backend asked for (see oidc_callback.js).
+ * @param {object} req - The Express request
+ * @param {object} res - The Express response
+ * @param {object} tenantConfig - The tenant configuration
+ * @param {string} vaultCacheKey - The downstream token cache key of the rejected token
+ * @param {string[]} requiredScopes - The scopes the backend said it needs
+ */
+async function sendInsufficientScope(req, res, tenantConfig, vaultCacheKey, requiredScopes) {
+    const claims = req.authContext.claims
+    const grantedScopes = (claims.scope || '').split(' ').filter(Boolean)
+    const scopes = [...new Set([...grantedScopes, ...requiredScopes.filter(scope => tenantConfig.external_scopes.includes(scope))])]
+
+    logger.info('Backend needs more scopes than the linked account has. Asking the client to re-authorize.', { tenant: tenantConfig.id, scope: scopes.join(' ') })
+    await scopeUpgradeCache.requireScopeUpgrade(claims.sub, tenantConfig.id, tenantConfig.vault_connection, scopes)
+    vaultTokenCache.invalidateVaultedToken(vaultCacheKey)
+
+    const resourceMetadataUrl = `${process.env.PROXY_BASE_URL}/.well-known/oauth-protected-resource/${tenantConfig.id}/${req.proxyPath}`
+    const scheme = claims.cnf && claims.cnf.jkt ? 'DPoP' : 'Bearer'
+    res.set('WWW-Authenticate', `${scheme} error="insufficient_scope", error_description="The linked account is missing scopes the backend requires. Re-authorize to link it again.", scope="${scopes.join(' ')}", resource_metadata="${resourceMetadataUrl}"`)
+    return res.status(403).json({
+        error: 'Forbidden',
+        message: 'The linked account is missing scopes the backend requires. Please re-authorize.'
+    })
+}
+
+/**
+ * Counts a proxied request once its response is over. Runs before the tenant middleware, so unknown tenants are counted too.
+ * @param {object} req - The Express request
+ * @param {object} res - The Express response
+ * @param {Function} next - Continues with the rest of the route
+ */
+function countProxiedRequest(req, res, next) {
+    res.once('close', () => {
+        proxiedRequests.inc({ tenant: req.tenantConfig ? req.tenantConfig.id : 'unknown', status: res.statusCode })
+    })
+    next()
+}
 
 /**
  * Connects proxy routes to the Express app.
  * All requests to /:tenantId/proxy/* are forwarded to the tenant's backend URL.
+ *
+ * Request and response bodies are streamed in both directions, so MCP Streamable HTTP responses (text/event-stream)
+ * and long-lived GET SSE channels work through the proxy.
  */
 module.exports.connect = function (app, tenantMiddleware, authMiddleware) {
 
     // Catch-all proxy route
-    app.all('/:tenantId/*', tenantMiddleware, authMiddleware, async (req, res) => {
+    app.all('/:tenantId/*', countProxiedRequest, tenantMiddleware, authMiddleware, async (req, res) => {
         const tenantConfig = req.tenantConfig
-        const proxyPath = req.params[0] // Everything after /, defaulting to empty string.
+        const proxyPath = req.proxyPath // Everything after /, normalized by the tenant middleware. Defaults to empty string.
         const targetUrl = `${tenantConfig.backend_url}/${proxyPath}`
-        console.log(req.params)
-        console.log("Proxy path is:")
-        console.log(proxyPath)
-        console.log(`[${tenantConfig.id}] Proxying ${req.method} request to: ${targetUrl}`)
+        logger.info('Proxying request', { tenant: tenantConfig.id, method: req.method, target_url: targetUrl, sub: req.authContext.claims.sub })
 
         //First, if there is a valid vault connection set up on the tenantConfig, let's attempt to get the external token from Vault.
         let vaultedToken = ''
+        let vaultCacheKey = null
 
         if(tenantConfig.vault_connection) {
-            console.log("Vault was configured for this tenant- getting a new token using inbound token:")
-            console.log(req.authContext.accessToken)
-            const vaultedTokenResponse = await vault.exchangeOktaAccessToken(process.env.AUTH0_DOMAIN, req.authContext.accessToken, process.env.AUTH0_CTE_CLIENT_ID, process.env.AUTH0_CTE_CLIENT_SECRET, process.env.AUTH0_VAULT_CLIENT_ID, process.env.AUTH0_VAULT_CLIENT_SECRET, process.env.AUTH0_VAULT_AUDIENCE, process.env.AUTH0_VAULT_SCOPE, tenantConfig.vault_connection)
-            console.log(vaultedTokenResponse)
+            logger.debug('Vault was configured for this tenant- getting a token for the inbound token\'s subject', { tenant: tenantConfig.id, connection: tenantConfig.vault_connection })
+            vaultCacheKey = vaultTokenCache.buildCacheKey(req.authContext.claims.sub, tenantConfig.id, tenantConfig.vault_connection)
+
+            let vaultedTokenResponse
+            try {
+                vaultedTokenResponse = await vault.getVaultedTokenForUser(req.authContext.claims.sub, tenantConfig, req.authContext.accessToken)
+            } catch (error) {
+                logger.error('Vault exchange error', { tenant: tenantConfig.id, error: error })
+                return res.status(403).json({
+                    error: 'Token Request Failed',
+                    message: 'Unable to obtain proper tokens.'
+                })
+            }
             if(vaultedTokenResponse.success) {
                 vaultedToken = vaultedTokenResponse.accessToken
             }
             else if(vaultedTokenResponse.needsLinking) { //We failed due to lack of credentials
-                console.log("Account linking is required. Return a 401, with instructions on what to do.")
+                logger.info('Account linking is required. Return a 401, with instructions on what to do.', { tenant: tenantConfig.id })
 
                 return res.status(401).json({
                         error: 'Account Linking Required',
@@ -39,6 +128,7 @@ module.exports.connect = function (app, tenantMiddleware, authMiddleware) {
                     })
             }
             else { //We straight up failed.
+                logger.error('Unable to get a vaulted token', { tenant: tenantConfig.id, reason: vaultedTokenResponse.message })
                 return res.status(403).json({
                     error: 'Token Request Failed',
                     message: 'Unable to obtain proper tokens.'
@@ -46,41 +136,104 @@ module.exports.connect = function (app, tenantMiddleware, authMiddleware) {
             }
         }
 
+        // Propagate client disconnects to the backend- this is what tears down long-lived SSE channels.
+        const backendController = new AbortController()
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                backendController.abort()
+            }
+        })
+
+        // Only time out while waiting for the backend to respond. Once it starts streaming, the stream may stay open indefinitely.
+        let timedOut = false
+        const responseTimeout = setTimeout(() => {
+            timedOut = true
+            backendController.abort()
+        }, BACKEND_RESPONSE_TIMEOUT_MS)
+
         try {
             // Forward the request to the backend. Including a vaulted token if vaulting was configured for the given tenant.
-            let backendHeaders = {
-                    // Forward select headers, excluding host and whatever authorization was sent on the original request inbound.
-                    'Content-Type': req.headers['content-type'] || 'application/json',
-                    'Accept': req.headers['accept'] || 'application/json'
-            
-            }
+            // Forward select headers, excluding host and whatever authorization was sent on the original request inbound.
+            let backendHeaders = {}
+            REQUEST_HEADERS_TO_FORWARD.forEach(header => {
+                if (req.headers[header]) {
+                    backendHeaders[header] = req.headers[header]
+                }
+            })
             if(vaultedToken) {
                 backendHeaders['Authorization'] = `Bearer ${vaultedToken}`
             }
 
+            // Stream the inbound request body straight through to the backend.
+            const hasBody = req.headers['content-length'] > 0 || req.headers['transfer-encoding']
+
+            const endBackendTimer = backendResponseDuration.startTimer({ tenant: tenantConfig.id })
             const backendResponse = await axios({
                 method: req.method,
                 url: targetUrl,
                 headers: backendHeaders,
-                data: ['POST', 'PUT', 'PATCH'].includes(req.method) ? req.body : undefined,
+                data: hasBody ? req : undefined,
                 params: req.query,
-                timeout: 30000,
+                responseType: 'stream',
+                decompress: false,
+                maxRedirects: 0,
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity,
+                signal: backendController.signal,
                 validateStatus: () => true // Don't throw on non-2xx status
             })
+            clearTimeout(responseTimeout)
+            endBackendTimer({ status: backendResponse.status })
+
+            // The backend rejected our vaulted token (revoked or expired early)- don't hand it out again.
+            if (backendResponse.status === 401 && vaultCacheKey) {
+                logger.info('Backend rejected the vaulted token. Removing it from the cache.', { tenant: tenantConfig.id })
+                vaultTokenCache.invalidateVaultedToken(vaultCacheKey)
+            }
+
+            // The vaulted token is missing scopes the backend needs- the client has to re-authorize so the account can be linked again.
+            if (backendResponse.status === 403 && vaultCacheKey) {
+                const requiredScopes = getInsufficientScopes(backendResponse.headers)
+                if (requiredScopes) {
+                    backendResponse.data.destroy()
+                    return await sendInsufficientScope(req, res, tenantConfig, vaultCacheKey, requiredScopes)
+                }
+            }
 
             // Forward response headers
-            const headersToForward = ['content-type', 'cache-control', 'etag', 'last-modified']
-            headersToForward.forEach(header => {
+            RESPONSE_HEADERS_TO_FORWARD.forEach(header => {
                 if (backendResponse.headers[header]) {
                     res.setHeader(header, backendResponse.headers[header])
                 }
             })
 
-            // Send response
-            res.status(backendResponse.status).send(backendResponse.data)
+            // Make sure nothing between us and the client holds on to SSE events.
+            if ((backendResponse.headers['content-type'] || '').startsWith('text/event-stream')) {
+                res.setHeader('X-Accel-Buffering', 'no')
+            }
+
+            // Send the headers right away, then stream the response body through as it arrives.
+            res.status(backendResponse.status)
+            res.flushHeaders()
+
+            backendResponse.data.on('error', (error) => {
+                if (!backendController.signal.aborted) {
+                    logger.error('Backend stream error', { tenant: tenantConfig.id, error: error })
+                }
+                res.destroy(error)
+            })
+            backendResponse.data.pipe(res)
 
         } catch (error) {
-            console.error(`[${tenantConfig.id}] Proxy error:`, error.message)
+            clearTimeout(responseTimeout)
+
+            // The client went away before the backend responded. There's nobody left to answer.
+            if (backendController.signal.aborted && !timedOut) {
+                logger.info('Client disconnected. Backend request cancelled.', { tenant: tenantConfig.id })
+                return
+            }
+
+            logger.error('Proxy error', { tenant: tenantConfig.id, error: error })
 
             if (error.code === 'ECONNREFUSED') {
                 return res.status(502).json({
@@ -89,7 +242,7 @@ module.exports.connect = function (app, tenantMiddleware, authMiddleware) {
                 })
             }
 
-            if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+            if (timedOut || error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
                 return res.status(504).json({
                     error: 'Gateway Timeout',
                     message: 'Backend service request timed out.'
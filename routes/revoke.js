@@ -0,0 +1,75 @@
+'use strict'
+
+const agentSessionCache = require('../lib/agent_session_cache')
+const tokenRevocation = require('../lib/token_revocation')
+const clientAuthentication = require('../lib/client_authentication')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('revoke')
+
+/**
+ * RFC 7009 - OAuth 2.0 Token Revocation
+ * Implements the /revoke endpoint
+ *
+ * This is how an MCP client signs out of the proxy. The token may be an access token or refresh token issued by the proxy,
+ * or the agent access token behind one of our sessions. Whichever it is, the whole session is revoked (see token_revocation.js),
+ * so every access token bound to it is rejected on later proxied calls.
+ */
+module.exports.connect = function (app) {
+
+    /**
+     * POST /revoke
+     *
+     * Request Body (application/x-www-form-urlencoded or application/json):
+     * - token: The token to revoke
+     * - token_type_hint: (optional) access_token or refresh_token
+     * - client_id: The client identifier
+     * - client_secret, client_assertion_type, client_assertion: Client credentials, for confidential clients
+     *
+     * @returns {200} Always, for unknown or already revoked tokens too (RFC 7009 section 2.2)
+     */
+    app.post('/revoke', async (req, res) => {
+        const { token, token_type_hint } = req.body
+
+        if (!token) {
+            return res.status(400).json({
+                error: 'invalid_request',
+                error_description: 'The token parameter is required.'
+            })
+        }
+
+        try {
+            // Confidential clients authenticate here the same way they do at /token.
+            const authentication = await clientAuthentication.authenticateClient(req, `${process.env.PROXY_BASE_URL}/revoke`)
+            if (!authentication.client) {
+                return clientAuthentication.sendAuthenticationFailure(res, authentication)
+            }
+            const client_id = authentication.client.client_id
+
+            const sessionId = await tokenRevocation.findSessionId(token, token_type_hint)
+            if (!sessionId) {
+                logger.info('Revocation requested for an unknown token. Nothing to revoke.')
+                return res.status(200).end()
+            }
+
+            // A client may only revoke its own tokens.
+            const session = await agentSessionCache.getSession(sessionId)
+            if (session && session.clientId !== client_id) {
+                return res.status(400).json({
+                    error: 'unauthorized_client',
+                    error_description: 'The token was not issued to this client.'
+                })
+            }
+
+            await tokenRevocation.revokeSession(sessionId, session)
+            return res.status(200).end()
+
+        } catch (error) {
+            logger.error('Error processing revocation request', { error: error })
+            return res.status(503).json({
+                error: 'temporarily_unavailable',
+                error_description: 'Unable to revoke the token. Please try again.'
+            })
+        }
+    })
+}
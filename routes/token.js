@@ -1,7 +1,30 @@
 'use strict'
 
 const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
 const returningAuthzCache = require('../lib/return_authz_cache')
+const refreshTokenCache = require('../lib/refresh_token_cache')
+const scopeUpgradeCache = require('../lib/scope_upgrade_cache')
+const consentCache = require('../lib/consent_cache')
+const agentSessionCache = require('../lib/agent_session_cache')
+const tokenIssuer = require('../lib/token_issuer')
+const oktaAuth0Exchange = require('../lib/okta_auth0_exchange')
+const tenantConfig = require('../lib/tenant_config')
+const clientRegistry = require('../lib/client_registry')
+const clientAuthentication = require('../lib/client_authentication')
+const deviceAuthorizationCache = require('../lib/device_authorization_cache')
+const authorizationRequest = require('../lib/authorization_request')
+const vault = require('../lib/token_vault')
+const dpop = require('../lib/dpop')
+const { createLogger, setLoginId } = require('../lib/logger')
+
+const logger = createLogger('token')
+
+// RFC 8693 token exchange. Clients must list the grant type in their grant_types to use it.
+const TOKEN_EXCHANGE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:token-exchange'
+const ACCESS_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:access_token'
+const ID_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:id_token'
+const ID_JAG_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:id-jag'
 
 /**
  * OAuth 2.0 Token Endpoint
@@ -11,6 +34,16 @@ const returningAuthzCache = require('../lib/return_authz_cache')
  * and performs PKCE validation before returning the token.
  * 
  * It should be noted that we've already performed XAA and obtained our agent token- so we dont actually need to talk to the authz server here, but instead return our data.
+ * The agent token itself stays server-side in an agent session. The client receives an access token minted by the proxy that is bound to that session.
+ *
+ * Refresh tokens are issued by the proxy itself. When one is redeemed, we re-run XAA (optionally refreshing the Okta login first)
+ * to mint a fresh agent token, and rotate the refresh token.
+ *
+ * Agents that already hold the user's Okta ID token or an ID-JAG can skip the browser flow with the token exchange grant (RFC 8693).
+ * Here we do run XAA and check the vault ourselves, since there was no /callback to do it.
+ *
+ * A client that sends a DPoP proof (RFC 9449) gets access tokens bound to its key, with token_type DPoP. Refresh tokens issued
+ * with a proof are bound to the same key, so they can only be redeemed with a proof from it too.
  */
 
 /**
@@ -34,126 +67,672 @@ function validatePKCE(codeVerifier, codeChallenge, codeChallengeMethod) {
 }
 
 /**
- * Connects the token route to the Express app.
+ * Returns the user the agent access token was issued for.
+ * The agent token came straight from Okta's token endpoint, so we only need to decode it here.
+ * @param {string} agentAccessToken - The Okta agent access token
+ * @returns {string} - The subject of the token
  */
-module.exports.connect = function (app) {
+function getAgentTokenSubject(agentAccessToken) {
+    const claims = jwt.decode(agentAccessToken)
+    return claims ? claims.sub : null
+}
 
-    /**
-     * POST /token
-     * 
-     * Exchanges an authorization code for an access token.
-     * Validates the code against the cache and performs PKCE validation.
-     * 
-     * Request Body (application/x-www-form-urlencoded or application/json):
-     * - grant_type: Must be "authorization_code"
-     * - code: The authorization code received from the authorize endpoint
-     * - client_id: The client identifier
-     * - code_verifier: The PKCE code verifier
-     * 
-     * Note: This mechanism is primarily designed to deal with public clients - so no client authentication is happening here.
-     * @returns {Object} Token response with access_token
-     */
-    app.post('/token', async (req, res) => {
-        // Support both JSON and form-urlencoded bodies
-        const body = req.body
+/**
+ * Works out the resource (RFC 8707) an access token is issued for, which becomes its audience.
+ * The client may name a resource at the token endpoint too, but only one covered by the resource the grant was authorized for.
+ * @param {string} requestedResource - The resource parameter sent to the token endpoint, if any
+ * @param {string} authorizedResource - The normalized resource the grant was authorized for
+ * @param {string} tenantId - The tenant identifier
+ * @returns {string|null} - The normalized resource, or null if the requested resource wasn't authorized
+ */
+function getTokenResource(requestedResource, authorizedResource, tenantId) {
+    if (requestedResource === undefined) {
+        return authorizedResource
+    }
 
-        const { grant_type, code, client_id, code_verifier, redirect_uri } = body
+    const resource = typeof requestedResource === 'string' ? tokenIssuer.normalizeResource(requestedResource, tenantId) : null
+    return resource && tokenIssuer.resourceCovers(authorizedResource, resource) ? resource : null
+}
 
-        // Validate grant_type
-        if (grant_type !== 'authorization_code') {
-            return res.status(400).json({
-                error: 'unsupported_grant_type',
-                error_description: 'Only authorization_code grant type is supported.'
-            })
-        }
+/**
+ * Ends a login- revokes its refresh token family and the agent session bound to it.
+ * @param {string} sessionId - The agent session id (which is also the refresh token family id)
+ */
+async function endLogin(sessionId) {
+    await refreshTokenCache.revokeFamily(sessionId)
+    await agentSessionCache.deleteSession(sessionId)
+}
 
-        // Validate required parameters
-        if (!code) {
-            return res.status(400).json({
-                error: 'invalid_request',
-                error_description: 'The code parameter is required.'
-            })
+/**
+ * Checks that the DPoP key a token request was made with (if any) is acceptable for the tenant and the grant.
+ * @param {object} tenant - The tenant configuration
+ * @param {string} jkt - Thumbprint of the key the request's DPoP proof was signed with, or null if there was no proof
+ * @param {string} boundJkt - (optional) Thumbprint of the key the grant is bound to, e.g. the dpop_jkt sent to /authorize
+ * @returns {object|null} - An { error, error_description } response, or null if the key is acceptable
+ */
+function checkDpopKey(tenant, jkt, boundJkt) {
+    if (boundJkt && boundJkt !== jkt) {
+        return {
+            error: 'invalid_dpop_proof',
+            error_description: 'A DPoP proof signed with the key this grant is bound to is required.'
         }
+    }
 
-        if (!client_id) {
-            return res.status(400).json({
-                error: 'invalid_request',
-                error_description: 'The client_id parameter is required.'
-            })
+    if (tenant.dpop_bound_access_tokens_required && !jkt) {
+        return {
+            error: 'invalid_dpop_proof',
+            error_description: `Tenant '${tenant.id}' only accepts DPoP-bound access tokens. A DPoP proof is required.`
         }
+    }
 
-        if (!code_verifier) {
-            return res.status(400).json({
-                error: 'invalid_request',
-                error_description: 'The code_verifier parameter is required.'
-            })
-        }
+    return null
+}
 
-        if (!redirect_uri) {
-            return res.status(400).json({
-                error: 'invalid_request',
-                error_description: 'Redirect_uri is required.'
-            })
+/**
+ * Starts an agent session for a completed authorization, and issues the proxy's tokens for it.
+ * Shared by the authorization_code and device_code grants.
+ * @param {object} res - The Express response
+ * @param {string} client_id - The authenticated client
+ * @param {object} cachedAuthz - The completed authorization, from the return_authz_cache
+ * @param {string} resource - The resource parameter sent to the token endpoint, if any
+ * @param {string} jkt - Thumbprint of the client's DPoP key, or null if the request had no DPoP proof
+ */
+async function issueTokens(res, client_id, cachedAuthz, resource, jkt) {
+    setLoginId(cachedAuthz.originalParameters.get('login_id'))
+    const tenant = tenantConfig.getTenantConfig(cachedAuthz.tenantId)
+    if (!tenant) {
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: `Tenant '${cachedAuthz.tenantId}' no longer exists.`
+        })
+    }
+
+    // The client may have bound the authorization code to its DPoP key up front, with dpop_jkt (RFC 9449 section 10).
+    const dpopError = checkDpopKey(tenant, jkt, cachedAuthz.originalParameters.get('dpop_jkt'))
+    if (dpopError) {
+        return res.status(400).json(dpopError)
+    }
+
+    // The resource was validated when the authorization was requested. Without one, the grant covers the tenant's whole protected resource.
+    const authorizedResource = tokenIssuer.normalizeResource(cachedAuthz.originalParameters.get('resource'), cachedAuthz.tenantId) || tokenIssuer.getResourceUri(cachedAuthz.tenantId)
+    const tokenResource = getTokenResource(resource, authorizedResource, cachedAuthz.tenantId)
+    if (!tokenResource) {
+        return res.status(400).json({
+            error: 'invalid_target',
+            error_description: `The resource must be ${authorizedResource} or a URI beneath it.`
+        })
+    }
+
+    logger.info('Token endpoint: Successfully redeemed the authorization', { client_id: client_id, tenant: cachedAuthz.tenantId, scope: cachedAuthz.scope })
+
+    // Start a new agent session (and refresh token family) for this login.
+    const sessionId = crypto.randomUUID()
+    const subject = getAgentTokenSubject(cachedAuthz.accessToken)
+    await agentSessionCache.saveSession(sessionId, cachedAuthz.tenantId, client_id, subject, cachedAuthz.accessToken, cachedAuthz.scope, cachedAuthz.expires, cachedAuthz.idToken)
+
+    const refreshToken = await refreshTokenCache.issueRefreshToken(sessionId, cachedAuthz.tenantId, client_id, cachedAuthz.scope, cachedAuthz.idToken, cachedAuthz.oktaRefreshToken, authorizedResource, jkt)
+    const proxyAccessToken = tokenIssuer.issueAccessToken(cachedAuthz.tenantId, subject, client_id, cachedAuthz.scope, sessionId, cachedAuthz.expires, tokenResource, jkt)
+
+    res.header('Cache-Control', 'no-store');
+
+    const response = {
+        access_token: proxyAccessToken.accessToken,
+        id_token: cachedAuthz.idToken,
+        refresh_token: refreshToken,
+        scope: cachedAuthz.scope,
+        expires_in: proxyAccessToken.expiresIn,
+        token_type: jkt ? 'DPoP' : 'Bearer'
+    }
+    
+    return res.status(200).json(response)
+}
+
+/**
+ * Handles the authorization_code grant.
+ * Validates the code against the cache and performs PKCE validation.
+ * @param {object} client - The authenticated client
+ * @param {string} jkt - Thumbprint of the client's DPoP key, or null if the request had no DPoP proof
+ */
+async function handleAuthorizationCodeGrant(req, res, client, jkt) {
+    const { code, code_verifier, redirect_uri, resource } = req.body
+    const client_id = client.client_id
+
+    // Validate required parameters
+    if (!code) {
+        return res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'The code parameter is required.'
+        })
+    }
+
+    if (!code_verifier) {
+        return res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'The code_verifier parameter is required.'
+        })
+    }
+
+    if (!redirect_uri) {
+        return res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'Redirect_uri is required.'
+        })
+    }
+
+    // Retrieve the cached authorization from the return_authz_cache.
+    // It's removed from the cache at the same time, so the code can only be redeemed once.
+    const cachedAuthz = await returningAuthzCache.takeCacheItem(code)
+
+    if (!cachedAuthz) {
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'The authorization code is invalid, expired, or has already been used.'
+        })
+    }
+
+    // Extract the original parameters to validate PKCE
+    const originalParameters = cachedAuthz.originalParameters
+    setLoginId(originalParameters.get('login_id'))
+    
+    // Get the original code_challenge and code_challenge_method
+    let codeChallenge = originalParameters.get('code_challenge')
+    let codeChallengeMethod = originalParameters.get('code_challenge_method')
+   
+
+    // Validate PKCE
+    if (!codeChallenge) {
+        return res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'No code_challenge was found in the original authorization request.'
+        })
+    }
+
+    if (!validatePKCE(code_verifier, codeChallenge, codeChallengeMethod)) {
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'The code_verifier does not match the code_challenge.'
+        })
+    }
+
+    // Validate client_id matches the original request
+    let originalClientId = originalParameters.get('client_id')
+
+    if (originalClientId && originalClientId !== client_id) {
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'The client_id does not match the original authorization request.'
+        })
+    }
+
+    // The redirect_uri must be the one the authorization code was sent to (RFC 6749 section 4.1.3).
+    if (originalParameters.get('redirect_uri') !== redirect_uri) {
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'The redirect_uri does not match the original authorization request.'
+        })
+    }
+
+    return await issueTokens(res, client_id, cachedAuthz, resource, jkt)
+}
+
+/**
+ * Handles the device_code grant (RFC 8628 section 3.4).
+ * The client polls with its device code until the user has completed the login on the verification page (see device_authorization.js).
+ * @param {object} client - The authenticated client
+ * @param {string} jkt - Thumbprint of the client's DPoP key, or null if the request had no DPoP proof
+ */
+async function handleDeviceCodeGrant(req, res, client, jkt) {
+    const { device_code, resource } = req.body
+    const client_id = client.client_id
+
+    if (!device_code) {
+        return res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'The device_code parameter is required.'
+        })
+    }
+
+    if (!clientRegistry.clientAllowsGrantType(client, deviceAuthorizationCache.DEVICE_CODE_GRANT_TYPE)) {
+        return res.status(400).json({
+            error: 'unauthorized_client',
+            error_description: `Client '${client_id}' is not allowed to use the device authorization grant.`
+        })
+    }
+
+    const polled = await deviceAuthorizationCache.pollDeviceAuthorization(device_code)
+    if (!polled) {
+        return res.status(400).json({
+            error: 'expired_token',
+            error_description: 'The device code is invalid or has expired.'
+        })
+    }
+    const { deviceAuthorization, slowDown } = polled
+
+    if (deviceAuthorization.clientId !== client_id) {
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'The device code was not issued to this client.'
+        })
+    }
+
+    if (deviceAuthorization.status === 'denied') {
+        return res.status(400).json({
+            error: deviceAuthorization.error,
+            error_description: deviceAuthorization.error_description
+        })
+    }
+
+    if (deviceAuthorization.status !== 'approved') {
+        return res.status(400).json({
+            error: slowDown ? 'slow_down' : 'authorization_pending',
+            error_description: slowDown ? 'The client is polling too quickly.' : 'The user has not completed the authorization yet.'
+        })
+    }
+
+    const cachedAuthz = await returningAuthzCache.takeCacheItem(deviceAuthorization.authorizationCode)
+    if (!cachedAuthz) {
+        return res.status(400).json({
+            error: 'expired_token',
+            error_description: 'The device code is invalid or has expired.'
+        })
+    }
+
+    return await issueTokens(res, client_id, cachedAuthz, resource, jkt)
+}
+
+/**
+ * Handles the refresh_token grant.
+ * Rotates the refresh token, and re-runs XAA to mint a fresh agent access token for the original login and tenant.
+ * @param {object} client - The authenticated client
+ * @param {string} jkt - Thumbprint of the client's DPoP key, or null if the request had no DPoP proof
+ */
+async function handleRefreshTokenGrant(req, res, client, jkt) {
+    const { refresh_token, resource, scope } = req.body
+    const client_id = client.client_id
+
+    if (!refresh_token) {
+        return res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'The refresh_token parameter is required.'
+        })
+    }
+
+    const redeemed = await refreshTokenCache.redeemRefreshToken(refresh_token)
+
+    // A reused refresh token means it has leaked- the whole login is revoked, including any access tokens bound to its session.
+    if (redeemed && redeemed.reused) {
+        await agentSessionCache.deleteSession(redeemed.entry.familyId)
+    }
+
+    if (!redeemed || redeemed.reused) {
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'The refresh token is invalid, expired, or has already been used.'
+        })
+    }
+
+    const cachedGrant = redeemed.entry
+
+    if (cachedGrant.clientId !== client_id) {
+        await endLogin(cachedGrant.familyId)
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'The refresh token was not issued to this client.'
+        })
+    }
+
+    const tenant = tenantConfig.getTenantConfig(cachedGrant.tenantId)
+    if (!tenant) {
+        await endLogin(cachedGrant.familyId)
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: `Tenant '${cachedGrant.tenantId}' no longer exists.`
+        })
+    }
+
+    // A refresh token issued with a DPoP proof can only be redeemed with a proof from the same key.
+    const dpopError = checkDpopKey(tenant, jkt, cachedGrant.jkt)
+    if (dpopError) {
+        await endLogin(cachedGrant.familyId)
+        return res.status(400).json(dpopError)
+    }
+
+    // The refreshed token may be narrowed to part of the resource the grant was authorized for, but never widened.
+    const authorizedResource = cachedGrant.resource || tokenIssuer.getResourceUri(cachedGrant.tenantId)
+    const tokenResource = getTokenResource(resource, authorizedResource, cachedGrant.tenantId)
+    if (!tokenResource) {
+        // A bad request parameter doesn't mean the refresh token was stolen- the client may retry with the same token.
+        await refreshTokenCache.restoreRefreshToken(refresh_token, cachedGrant.familyId)
+        return res.status(400).json({
+            error: 'invalid_target',
+            error_description: `The resource must be ${authorizedResource} or a URI beneath it.`
+        })
+    }
+
+    // The refreshed token may also be narrowed to some of the scopes originally granted (RFC 6749 section 6), but never widened.
+    // Scopes the client may no longer use at the tenant are dropped.
+    const allowedScopes = clientRegistry.getAllowedScopes(client, tenant)
+    const grantedScopes = cachedGrant.scope ? allowedScopes.filter(allowedScope => cachedGrant.scope.split(' ').includes(allowedScope)) : allowedScopes
+    const scopeError = authorizationRequest.validateScope(scope, tenant, grantedScopes)
+    if (scopeError) {
+        await refreshTokenCache.restoreRefreshToken(refresh_token, cachedGrant.familyId)
+        return res.status(400).json(scopeError)
+    }
+    const scopes = authorizationRequest.getEffectiveScopes(scope, grantedScopes)
+
+    const tokenEndpoint = `${process.env.OKTA_DOMAIN}/oauth2/v1/token`
+
+    try {
+        let idToken = cachedGrant.idToken
+        let oktaRefreshToken = cachedGrant.oktaRefreshToken
+
+        //If we have an Okta refresh token, get a fresh ID token so the ID-JAG exchange doesn't fail on an expired ID token.
+        //The Okta refresh token belongs to the Okta OIDC client the MCP client logged in with.
+        if (oktaRefreshToken) {
+            logger.debug('Refreshing the user\'s Okta login...')
+            const oktaCredentials = clientRegistry.getOktaCredentials(client)
+            const oktaLoginResponse = await oktaAuth0Exchange.refreshOktaOIDCLogin(tokenEndpoint, oktaRefreshToken, oktaAuth0Exchange.getOktaLoginScope(), oktaCredentials.clientId, oktaCredentials.clientSecret)
+            idToken = oktaLoginResponse.idToken
+            oktaRefreshToken = oktaLoginResponse.refreshToken
         }
 
-        // Retrieve the cached authorization from the return_authz_cache
-        const cachedAuthz = returningAuthzCache.getCacheItem(code)
-        returningAuthzCache.clearCacheItem(code)
+        logger.debug('Retrieving JAG for XAA using the agent ID...', { scope: scopes.join(' ') })
+        const idJag = await oktaAuth0Exchange.getIdJagFromOkta(tokenEndpoint, tenant, idToken, process.env.AGENT_CLIENT_ID, process.env.AGENT_PRIVATE_KEY_PATH, process.env.AGENT_PRIVATE_KEY_ID, scopes)
+
+        logger.debug('ID JAG Obtained- getting agent access token specific to this managed connection/tenant...')
+        const agentAccessTokenResponse = await oktaAuth0Exchange.getAccessTokenFromIDJag(tenant, idJag, process.env.AGENT_CLIENT_ID, process.env.AGENT_PRIVATE_KEY_PATH, process.env.AGENT_PRIVATE_KEY_ID)
+        const grantedScope = agentAccessTokenResponse.scope || scopes.join(' ')
 
-        if (!cachedAuthz) {
+        // Swap the new agent token into the existing session, and rotate the refresh token.
+        const sessionId = cachedGrant.familyId
+        const subject = getAgentTokenSubject(agentAccessTokenResponse.accessToken)
+        await agentSessionCache.saveSession(sessionId, cachedGrant.tenantId, client_id, subject, agentAccessTokenResponse.accessToken, grantedScope, agentAccessTokenResponse.expires_in, idToken)
+
+        // A narrowed request doesn't narrow the refresh token- it keeps the scopes of the original grant.
+        const refreshTokenScope = scope ? grantedScopes.join(' ') : grantedScope
+        const newRefreshToken = await refreshTokenCache.issueRefreshToken(sessionId, cachedGrant.tenantId, client_id, refreshTokenScope, idToken, oktaRefreshToken, authorizedResource, jkt)
+        const proxyAccessToken = tokenIssuer.issueAccessToken(cachedGrant.tenantId, subject, client_id, grantedScope, sessionId, agentAccessTokenResponse.expires_in, tokenResource, jkt)
+
+        logger.info('Token endpoint: Successfully refreshed access token', { client_id: client_id, tenant: cachedGrant.tenantId, session_id: sessionId, scope: grantedScope })
+
+        res.header('Cache-Control', 'no-store');
+
+        return res.status(200).json({
+            access_token: proxyAccessToken.accessToken,
+            id_token: idToken,
+            refresh_token: newRefreshToken,
+            scope: grantedScope,
+            expires_in: proxyAccessToken.expiresIn,
+            token_type: jkt ? 'DPoP' : 'Bearer'
+        })
+
+    } catch (error) {
+        logger.error('Error refreshing the agent access token', { client_id: client_id, error: error })
+
+        // Okta rejected the user's login (e.g. the Okta refresh token or ID token expired, or the user was deactivated),
+        // so the client has to log in again.
+        if (error.response?.data?.error === 'invalid_grant') {
+            await endLogin(cachedGrant.familyId)
             return res.status(400).json({
                 error: 'invalid_grant',
-                error_description: 'The authorization code is invalid, expired, or has already been used.'
+                error_description: 'Unable to refresh the access token. Please log in again.'
             })
         }
 
-        // Extract the original parameters to validate PKCE
-        const originalParameters = cachedAuthz.originalParameters
-        
-        // Get the original code_challenge and code_challenge_method
-        let codeChallenge = originalParameters.get('code_challenge')
-        let codeChallengeMethod = originalParameters.get('code_challenge_method')
-       
+        // Anything else (an outage, a timeout) shouldn't end the login. The refresh token was retired when it was redeemed,
+        // so it's made redeemable again for the client to retry with.
+        await refreshTokenCache.restoreRefreshToken(refresh_token, cachedGrant.familyId)
+        return res.status(503).json({
+            error: 'temporarily_unavailable',
+            error_description: 'Unable to refresh the access token. Please try again.'
+        })
+    }
+}
 
-        // Validate PKCE
-        if (!codeChallenge) {
-            return res.status(400).json({
-                error: 'invalid_request',
-                error_description: 'No code_challenge was found in the original authorization request.'
-            })
+/**
+ * Handles the token exchange grant (RFC 8693), for agents acting on behalf of a user they already hold an Okta token for.
+ * The subject token is either the user's Okta ID token, or an ID-JAG already issued to our agent for the requested tenant.
+ * The exchange runs the same ID-JAG -> agent token -> vault chain as /callback. If the user hasn't linked their account at the
+ * tenant's vault connection yet, the client gets back a link_uri to send the user to, and retries the exchange once they're done.
+ * No refresh token is issued- the agent exchanges its subject token again instead.
+ * @param {object} client - The authenticated client
+ * @param {string} jkt - Thumbprint of the client's DPoP key, or null if the request had no DPoP proof
+ */
+async function handleTokenExchangeGrant(req, res, client, jkt) {
+    const { subject_token, subject_token_type, requested_token_type, scope, resource, audience } = req.body
+    const client_id = client.client_id
+
+    // The subject token alone would otherwise be enough to act as the user, so only clients that can authenticate may exchange one.
+    if (!clientRegistry.clientAllowsGrantType(client, TOKEN_EXCHANGE_GRANT_TYPE) || (client.token_endpoint_auth_method || 'none') === 'none') {
+        return res.status(400).json({
+            error: 'unauthorized_client',
+            error_description: `Client '${client_id}' is not allowed to use the token exchange grant.`
+        })
+    }
+
+    if (!subject_token || !subject_token_type) {
+        return res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'The subject_token and subject_token_type parameters are required.'
+        })
+    }
+
+    if (subject_token_type !== ID_TOKEN_TYPE && subject_token_type !== ID_JAG_TOKEN_TYPE) {
+        return res.status(400).json({
+            error: 'invalid_request',
+            error_description: `The subject_token_type must be ${ID_TOKEN_TYPE} or ${ID_JAG_TOKEN_TYPE}.`
+        })
+    }
+
+    if (requested_token_type && requested_token_type !== ACCESS_TOKEN_TYPE) {
+        return res.status(400).json({
+            error: 'invalid_request',
+            error_description: `Only the ${ACCESS_TOKEN_TYPE} token type can be requested.`
+        })
+    }
+
+    // The tenant is named by the resource (or audience) the token is for- a tenant's resource URI, or a URI beneath it.
+    const target = resource || audience
+    const tenantId = tokenIssuer.getTenantIdFromResource(target)
+    const tenant = tenantId ? tenantConfig.getTenantConfig(tenantId) : null
+    if (!tenant) {
+        return res.status(400).json({
+            error: 'invalid_target',
+            error_description: target ? `'${target}' is not a resource protected by this proxy.` : 'The resource parameter is required.'
+        })
+    }
+
+    const parameters = new URLSearchParams()
+    if (scope) {
+        parameters.set('scope', scope)
+    }
+    parameters.set('resource', target)
+    const validationError = authorizationRequest.validateScopeAndResource(parameters, tenant, client)
+    if (validationError) {
+        return res.status(400).json(validationError)
+    }
+    const tokenResource = tokenIssuer.normalizeResource(target, tenantId)
+
+    const dpopError = checkDpopKey(tenant, jkt)
+    if (dpopError) {
+        return res.status(400).json(dpopError)
+    }
+
+    const tokenEndpoint = `${process.env.OKTA_DOMAIN}/oauth2/v1/token`
+    const allowedScopes = clientRegistry.getAllowedScopes(client, tenant)
+    let scopes = authorizationRequest.getEffectiveScopes(scope, allowedScopes)
+    let idToken = null
+    let idJag
+    try {
+        if (subject_token_type === ID_TOKEN_TYPE) {
+            // The ID token must have been issued to the Okta OIDC client this client's users log in with.
+            await oktaAuth0Exchange.verifyOktaIdToken(subject_token, clientRegistry.getOktaCredentials(client).clientId)
+            idToken = subject_token
+        } else {
+            const idJagClaims = await oktaAuth0Exchange.verifyOktaIdJag(subject_token, tenant, process.env.AGENT_CLIENT_ID)
+            idJag = subject_token
+
+            // The scopes of an ID-JAG were fixed when Okta issued it, so they must all be ones this client may use.
+            if (typeof idJagClaims.scope === 'string') {
+                const scopeError = authorizationRequest.validateScope(idJagClaims.scope, tenant, allowedScopes)
+                if (scopeError) {
+                    return res.status(400).json(scopeError)
+                }
+                scopes = authorizationRequest.getEffectiveScopes(idJagClaims.scope, allowedScopes)
+            }
         }
+    } catch (error) {
+        logger.info('Rejected token exchange subject token', { client_id: client_id, error: error })
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'The subject token is invalid or has expired.'
+        })
+    }
 
-        if (!validatePKCE(code_verifier, codeChallenge, codeChallengeMethod)) {
-            return res.status(400).json({
-                error: 'invalid_grant',
-                error_description: 'The code_verifier does not match the code_challenge.'
-            })
+    try {
+        if (!idJag) {
+            logger.debug('Token exchange: Retrieving JAG for XAA using the agent ID...', { scope: scopes.join(' ') })
+            idJag = await oktaAuth0Exchange.getIdJagFromOkta(tokenEndpoint, tenant, idToken, process.env.AGENT_CLIENT_ID, process.env.AGENT_PRIVATE_KEY_PATH, process.env.AGENT_PRIVATE_KEY_ID, scopes)
         }
 
-        // Validate client_id matches the original request
-        let originalClientId = originalParameters.get('client_id')
-    
-        if (originalClientId && originalClientId !== client_id) {
+        logger.debug('Token exchange: ID JAG Obtained- getting agent access token specific to this managed connection/tenant...')
+        const agentAccessTokenResponse = await oktaAuth0Exchange.getAccessTokenFromIDJag(tenant, idJag, process.env.AGENT_CLIENT_ID, process.env.AGENT_PRIVATE_KEY_PATH, process.env.AGENT_PRIVATE_KEY_ID)
+        const agentAccessToken = agentAccessTokenResponse.accessToken
+        const grantedScope = agentAccessTokenResponse.scope || scopes.join(' ')
+
+        const vaultedTokenResponse = await vault.exchangeOktaAccessToken(process.env.AUTH0_DOMAIN, agentAccessToken, process.env.AUTH0_CTE_CLIENT_ID, process.env.AUTH0_CTE_CLIENT_SECRET, process.env.AUTH0_VAULT_CLIENT_ID, process.env.AUTH0_VAULT_CLIENT_SECRET, process.env.AUTH0_VAULT_AUDIENCE, process.env.AUTH0_VAULT_SCOPE, tenant.vault_connection)
+
+        // The account must also be linked again if the backend found it missing scopes (see proxy_routes.js).
+        // There's no consent page here, so the upgrade may only add scopes the user has already consented to for this client.
+        const subject = getAgentTokenSubject(agentAccessToken)
+        const consent = await consentCache.getConsent(subject, client_id, tenantId)
+        const consentedScopes = consent ? allowedScopes.filter(allowedScope => consent.scopes.includes(allowedScope)) : []
+        const { scopeUpgrade, scopes: linkScopes } = await scopeUpgradeCache.getScopesToLink(subject, tenantId, tenant.vault_connection, scopes, consentedScopes)
+
+        if (vaultedTokenResponse && (vaultedTokenResponse.needsLinking || (vaultedTokenResponse.success && scopeUpgrade))) {
+            // There's no authorization request to return to once the account is linked (see connected_accounts_callback.js).
+            logger.info('Token exchange: Account linking is required. Returning a link URL to the client.', { client_id: client_id, tenant: tenantId })
+            const connectedAccountResponse = await vault.beginConnectedAccountFlow(process.env.AUTH0_DOMAIN, agentAccessToken, process.env.AUTH0_CTE_CLIENT_ID, process.env.AUTH0_CTE_CLIENT_SECRET, null, tenant.vault_connection, `${process.env.PROXY_BASE_URL}/connected_account_callback`, linkScopes)
+            if (!connectedAccountResponse.success) {
+                throw new Error(`Unable to start account linking: ${connectedAccountResponse.message}`)
+            }
+            if (scopeUpgrade) {
+                await scopeUpgradeCache.clearScopeUpgrade(subject, tenantId, tenant.vault_connection)
+            }
+
+            res.header('Cache-Control', 'no-store')
             return res.status(400).json({
-                error: 'invalid_grant',
-                error_description: 'The client_id does not match the original authorization request.'
+                error: 'interaction_required',
+                error_description: `The user must link their ${tenant.vault_connection} account before a token can be issued. Send them to the link_uri, then retry the exchange.`,
+                link_uri: connectedAccountResponse.connectUrl,
+                vault_connection: tenant.vault_connection
             })
         }
 
-        console.log(`Token endpoint: Successfully exchanged authorization code for access token for tenant ${cachedAuthz.tenantId}`)
+        if (!vaultedTokenResponse || !vaultedTokenResponse.success) {
+            throw new Error('Unable to obtain the user\'s tokens from the vault.')
+        }
+
+        // Start an agent session for the exchanged token. It can be revoked like any other login.
+        const sessionId = crypto.randomUUID()
+        await agentSessionCache.saveSession(sessionId, tenantId, client_id, subject, agentAccessToken, grantedScope, agentAccessTokenResponse.expires_in, idToken)
+        const proxyAccessToken = tokenIssuer.issueAccessToken(tenantId, subject, client_id, grantedScope, sessionId, agentAccessTokenResponse.expires_in, tokenResource, jkt)
 
-        res.header('Cache-Control', 'no-store');
+        logger.info(`Token endpoint: Successfully exchanged ${subject_token_type === ID_TOKEN_TYPE ? 'an ID token' : 'an ID-JAG'} for an access token`, { client_id: client_id, tenant: tenantId, session_id: sessionId, scope: grantedScope })
+
+        res.header('Cache-Control', 'no-store')
+        return res.status(200).json({
+            access_token: proxyAccessToken.accessToken,
+            issued_token_type: ACCESS_TOKEN_TYPE,
+            scope: grantedScope,
+            expires_in: proxyAccessToken.expiresIn,
+            token_type: jkt ? 'DPoP' : 'Bearer'
+        })
+
+    } catch (error) {
+        logger.error('Error exchanging the subject token', { client_id: client_id, error: error })
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'Unable to exchange the subject token for this tenant.'
+        })
+    }
+}
+
+/**
+ * Connects the token route to the Express app.
+ */
+module.exports.connect = function (app) {
 
-        const response = {
-            access_token: cachedAuthz.accessToken,
-            id_token: cachedAuthz.idToken,
-            scope: cachedAuthz.scope,
-            expires_in: cachedAuthz.expires,
-            token_type: 'Bearer'
+    /**
+     * POST /token
+     * 
+     * Exchanges an authorization code, a refresh token, a device code or an Okta token (token exchange) for an access token.
+     * 
+     * Request Body (application/x-www-form-urlencoded or application/json):
+     * - grant_type: Must be "authorization_code", "refresh_token", "urn:ietf:params:oauth:grant-type:device_code" or "urn:ietf:params:oauth:grant-type:token-exchange"
+     * - code: The authorization code received from the authorize endpoint (authorization_code only)
+     * - code_verifier: The PKCE code verifier (authorization_code only)
+     * - refresh_token: The refresh token previously issued by this endpoint (refresh_token only)
+     * - device_code: The device code from /device_authorization (device_code only)
+     * - subject_token, subject_token_type: The user's Okta ID token or ID-JAG, and its token type (token-exchange only)
+     * - requested_token_type: (optional) Must be urn:ietf:params:oauth:token-type:access_token (token-exchange only)
+     * - scope: (optional) Downstream scopes to request (token-exchange), or a subset of the granted scopes (refresh_token)
+     * - resource: (optional) RFC 8707 resource indicator. It must be covered by the resource the grant was authorized for.
+     *   Required for token-exchange, where it names the tenant (audience may be sent instead)
+     * - client_id: The client identifier
+     * - client_secret, client_assertion_type, client_assertion: Client credentials, for confidential clients
+     * 
+     * Request Headers:
+     * - DPoP: (optional) RFC 9449 DPoP proof. The issued tokens are bound to its key, and token_type is DPoP
+     *
+     * Public clients only send their client_id and rely on PKCE. Confidential clients must authenticate with the method
+     * they were registered with- client_secret_basic, client_secret_post or private_key_jwt (see client_authentication.js).
+     * @returns {Object} Token response with access_token
+     */
+    app.post('/token', async (req, res) => {
+        // Support both JSON and form-urlencoded bodies
+        const { grant_type } = req.body
+
+        try {
+            const authentication = await clientAuthentication.authenticateClient(req, `${process.env.PROXY_BASE_URL}/token`)
+            if (!authentication.client) {
+                return clientAuthentication.sendAuthenticationFailure(res, authentication)
+            }
+
+            // With a DPoP proof, the tokens we issue are bound to the client's key.
+            const proof = await dpop.verifyProof(req.headers, 'POST', `${process.env.PROXY_BASE_URL}/token`)
+            if (proof && proof.error) {
+                return dpop.sendProofFailure(res, proof)
+            }
+            const jkt = proof ? proof.jkt : null
+
+            if (grant_type === 'authorization_code') {
+                return await handleAuthorizationCodeGrant(req, res, authentication.client, jkt)
+            }
+
+            if (grant_type === 'refresh_token') {
+                return await handleRefreshTokenGrant(req, res, authentication.client, jkt)
+            }
+
+            if (grant_type === deviceAuthorizationCache.DEVICE_CODE_GRANT_TYPE) {
+                return await handleDeviceCodeGrant(req, res, authentication.client, jkt)
+            }
+
+            if (grant_type === TOKEN_EXCHANGE_GRANT_TYPE) {
+                return await handleTokenExchangeGrant(req, res, authentication.client, jkt)
+            }
+
+            return res.status(400).json({
+                error: 'unsupported_grant_type',
+                error_description: 'Only the authorization_code, refresh_token, device_code and token-exchange grant types are supported.'
+            })
+
+        } catch (error) {
+            logger.error('Error processing token request', { error: error })
+            return res.status(500).json({
+                error: 'server_error',
+                error_description: 'Unable to process the token request.'
+            })
         }
-        console.log ("Token response:")
-        console.log (response)
-        
-        return res.status(200).json(response)
     })
 }
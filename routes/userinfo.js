@@ -0,0 +1,87 @@
+'use strict'
+
+const jwt = require('jsonwebtoken')
+const jwtAuthorizer = require('../lib/jwt_authorizer')
+const { createLogger } = require('../lib/logger')
+
+const logger = createLogger('userinfo')
+
+/**
+ * OpenID Connect Core 1.0 section 5.3 - UserInfo Endpoint
+ * Implements the /userinfo endpoint
+ *
+ * Returns the claims about the user from the Okta ID token of their login. That token was verified in the OIDC callback
+ * (see okta_auth0_exchange.js) before it was stored in the agent session, so it only needs decoding here.
+ *
+ * The caller presents a proxy access token, which must be bound to a live agent session whose agent token hasn't expired- checked
+ * by jwt_authorizer.js, as on proxied requests. DPoP-bound tokens are sent with the DPoP scheme and a proof.
+ */
+
+// Claims that describe the ID token itself rather than the user.
+const ID_TOKEN_CLAIMS = ['iss', 'aud', 'exp', 'iat', 'nbf', 'jti', 'auth_time', 'nonce', 'at_hash', 'c_hash', 'azp', 'amr', 'idp', 'ver', 'sid']
+
+/**
+ * Returns the user claims for an access token.
+ * @param {object} session - The agent session the access token is bound to
+ * @returns {object|null} - The user claims, or null if the session has no ID token
+ */
+function getUserInfo(session) {
+    if (!session.idToken) {
+        return null
+    }
+
+    const idTokenClaims = jwt.decode(session.idToken)
+    if (!idTokenClaims) {
+        return null
+    }
+
+    const userInfo = {}
+    for (const [name, value] of Object.entries(idTokenClaims)) {
+        if (!ID_TOKEN_CLAIMS.includes(name)) {
+            userInfo[name] = value
+        }
+    }
+    return userInfo
+}
+
+/**
+ * Handles GET and POST /userinfo
+ */
+async function handleUserInfo(req, res) {
+    try {
+        const authentication = await jwtAuthorizer.authenticateAccessToken(req.headers, req.method, `${process.env.PROXY_BASE_URL}/userinfo`)
+        if (!authentication.claims) {
+            return jwtAuthorizer.sendInvalidToken(res, authentication)
+        }
+
+        const userInfo = getUserInfo(authentication.session)
+        if (!userInfo) {
+            return jwtAuthorizer.sendInvalidToken(res, { error: 'invalid_token', error_description: 'The access token is invalid, expired or has been revoked.', dpop: !!authentication.claims.cnf })
+        }
+
+        res.header('Cache-Control', 'no-store')
+        return res.status(200).json(userInfo)
+
+    } catch (error) {
+        logger.error('Error processing userinfo request', { error: error })
+        return res.status(503).json({
+            error: 'temporarily_unavailable',
+            error_description: 'Unable to retrieve the user info. Please try again.'
+        })
+    }
+}
+
+module.exports.connect = function (app) {
+
+    /**
+     * GET or POST /userinfo
+     *
+     * Headers:
+     * - Authorization: Bearer <proxy access token>, or DPoP <proxy access token> for DPoP-bound tokens
+     * - DPoP: The DPoP proof, for DPoP-bound tokens
+     *
+     * @returns {Object} The user's claims. sub is always present, and matches the sub of the ID token returned from /token.
+     */
+    app.get('/userinfo', handleUserInfo)
+    app.post('/userinfo', handleUserInfo)
+}
@@ -0,0 +1,110 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const jwt = require('jsonwebtoken')
+
+const configPath = fs.mkdtempSync(path.join(os.tmpdir(), 'client-authentication-'))
+process.env.CONFIG_PATH = configPath
+process.env.PROXY_BASE_URL = 'https://proxy.example.com'
+
+const clientAuthentication = require('../lib/client_authentication')
+
+const TOKEN_ENDPOINT = 'https://proxy.example.com/token'
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+
+let jwksServer
+
+test.before(async () => {
+  jwksServer = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1' }] }))
+  })
+  await new Promise(resolve => jwksServer.listen(0, '127.0.0.1', resolve))
+
+  fs.writeFileSync(path.join(configPath, 'clients.json'), JSON.stringify([{
+    client_id: 'jwt-client',
+    client_name: 'JWT Client',
+    redirect_uris: ['http://127.0.0.1/callback'],
+    token_endpoint_auth_method: 'private_key_jwt',
+    jwks_uri: `http://127.0.0.1:${jwksServer.address().port}/jwks`
+  }]))
+})
+
+test.after(() => {
+  jwksServer.close()
+  fs.rmSync(configPath, { recursive: true, force: true })
+})
+
+/**
+ * Builds a token request authenticated with a client assertion
+ * @param {object} claims - Claims to add to (or override in) the assertion
+ * @returns {object} - The request
+ */
+function assertionRequest(claims) {
+  const assertion = jwt.sign({ jti: crypto.randomUUID(), ...claims }, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'key-1',
+    issuer: 'jwt-client',
+    subject: 'jwt-client',
+    audience: TOKEN_ENDPOINT,
+    expiresIn: 60
+  })
+
+  return {
+    headers: {},
+    body: {
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: assertion
+    }
+  }
+}
+
+test('a client assertion is accepted once', async () => {
+  const req = assertionRequest({ jti: 'assertion-1' })
+
+  const first = await clientAuthentication.authenticateClient(req, TOKEN_ENDPOINT)
+  assert.equal(first.client.client_id, 'jwt-client')
+
+  const replay = await clientAuthentication.authenticateClient(req, TOKEN_ENDPOINT)
+  assert.equal(replay.error, 'invalid_client')
+  assert.equal(replay.error_description, 'The client assertion has already been used.')
+})
+
+test('a new assertion reusing a jti is rejected', async () => {
+  await clientAuthentication.authenticateClient(assertionRequest({ jti: 'assertion-2' }), TOKEN_ENDPOINT)
+
+  const replay = await clientAuthentication.authenticateClient(assertionRequest({ jti: 'assertion-2', iat: Math.floor(Date.now() / 1000) + 1 }), TOKEN_ENDPOINT)
+  assert.equal(replay.error, 'invalid_client')
+})
+
+test('a client assertion without a jti is rejected', async () => {
+  const req = assertionRequest({})
+  req.body.client_assertion = jwt.sign({}, privateKey, { algorithm: 'RS256', keyid: 'key-1', issuer: 'jwt-client', subject: 'jwt-client', audience: TOKEN_ENDPOINT, expiresIn: 60 })
+
+  const result = await clientAuthentication.authenticateClient(req, TOKEN_ENDPOINT)
+  assert.equal(result.error_description, 'The client assertion must include a jti.')
+})
+
+test('secretsEqual only matches the same secret', () => {
+  assert.equal(clientAuthentication.secretsEqual('secret', 'secret'), true)
+  assert.equal(clientAuthentication.secretsEqual('secret', 'Secret'), false)
+  assert.equal(clientAuthentication.secretsEqual('secret', 'secret-but-longer'), false)
+  assert.equal(clientAuthentication.secretsEqual('secret', ''), false)
+  assert.equal(clientAuthentication.secretsEqual(undefined, undefined), false)
+})
+
+test('secretsEqual compares in constant time', (t) => {
+  const timingSafeEqual = t.mock.method(crypto, 'timingSafeEqual')
+
+  clientAuthentication.secretsEqual('secret', 'a much longer secret that differs')
+
+  assert.equal(timingSafeEqual.mock.callCount(), 1)
+  const [expected, presented] = timingSafeEqual.mock.calls[0].arguments
+  assert.equal(expected.length, presented.length)
+})
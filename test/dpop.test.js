@@ -0,0 +1,87 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const dpop = require('../lib/dpop')
+
+const RESOURCE_URL = 'https://proxy.example.com/tenant/mcp'
+const ACCESS_TOKEN = 'access-token'
+
+/**
+ * Generates a DPoP key pair
+ * @returns {object} - { privateKey, jwk, jkt }
+ */
+function generateKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+  const jwk = publicKey.export({ format: 'jwk' })
+  const jkt = crypto.createHash('sha256').update(JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y })).digest('base64url')
+  return { privateKey, jwk, jkt }
+}
+
+/**
+ * Makes a DPoP proof for a request to the resource
+ * @param {object} key - The key from generateKey
+ * @param {object} claims - Claims to add to (or override in) the proof
+ * @returns {string} - The proof
+ */
+function makeProof(key, claims) {
+  return jwt.sign({
+    jti: crypto.randomUUID(),
+    htm: 'GET',
+    htu: RESOURCE_URL,
+    iat: Math.floor(Date.now() / 1000),
+    ath: crypto.createHash('sha256').update(ACCESS_TOKEN).digest('base64url'),
+    ...claims
+  }, key.privateKey, { algorithm: 'ES256', header: { typ: 'dpop+jwt', jwk: key.jwk } })
+}
+
+const key = generateKey()
+const boundClaims = { sub: 'user', cnf: { jkt: key.jkt } }
+
+test('a bound token is accepted with a proof from its key', async () => {
+  const failure = await dpop.checkTokenBinding(boundClaims, 'dpop', { dpop: makeProof(key, {}) }, 'GET', RESOURCE_URL, ACCESS_TOKEN)
+  assert.equal(failure, null)
+})
+
+test('a bound token must be sent with the DPoP scheme', async () => {
+  const failure = await dpop.checkTokenBinding(boundClaims, 'bearer', { dpop: makeProof(key, {}) }, 'GET', RESOURCE_URL, ACCESS_TOKEN)
+  assert.equal(failure.error, 'invalid_token')
+})
+
+test('a bound token must be sent with a proof', async () => {
+  const failure = await dpop.checkTokenBinding(boundClaims, 'dpop', {}, 'GET', RESOURCE_URL, ACCESS_TOKEN)
+  assert.equal(failure.error, 'invalid_dpop_proof')
+})
+
+test('a proof from another key is rejected', async () => {
+  const failure = await dpop.checkTokenBinding(boundClaims, 'dpop', { dpop: makeProof(generateKey(), {}) }, 'GET', RESOURCE_URL, ACCESS_TOKEN)
+  assert.equal(failure.error_description, 'The DPoP proof was not signed with the key this access token is bound to.')
+})
+
+test('a proof made for another access token or request is rejected', async () => {
+  const otherToken = await dpop.checkTokenBinding(boundClaims, 'dpop', { dpop: makeProof(key, { ath: 'other' }) }, 'GET', RESOURCE_URL, ACCESS_TOKEN)
+  assert.equal(otherToken.error, 'invalid_dpop_proof')
+
+  const otherMethod = await dpop.checkTokenBinding(boundClaims, 'dpop', { dpop: makeProof(key, { htm: 'POST' }) }, 'GET', RESOURCE_URL, ACCESS_TOKEN)
+  assert.equal(otherMethod.error, 'invalid_dpop_proof')
+
+  const otherUrl = await dpop.checkTokenBinding(boundClaims, 'dpop', { dpop: makeProof(key, { htu: 'https://proxy.example.com/other/mcp' }) }, 'GET', RESOURCE_URL, ACCESS_TOKEN)
+  assert.equal(otherUrl.error, 'invalid_dpop_proof')
+})
+
+test('a proof can only be used once', async () => {
+  const proof = makeProof(key, {})
+  assert.equal(await dpop.checkTokenBinding(boundClaims, 'dpop', { dpop: proof }, 'GET', RESOURCE_URL, ACCESS_TOKEN), null)
+
+  const replay = await dpop.checkTokenBinding(boundClaims, 'dpop', { dpop: proof }, 'GET', RESOURCE_URL, ACCESS_TOKEN)
+  assert.equal(replay.error_description, 'The DPoP proof has already been used.')
+})
+
+test('an unbound token must not be sent with the DPoP scheme', async () => {
+  assert.equal(await dpop.checkTokenBinding({ sub: 'user' }, 'bearer', {}, 'GET', RESOURCE_URL, ACCESS_TOKEN), null)
+
+  const failure = await dpop.checkTokenBinding({ sub: 'user' }, 'dpop', { dpop: makeProof(key, {}) }, 'GET', RESOURCE_URL, ACCESS_TOKEN)
+  assert.equal(failure.error, 'invalid_token')
+})
@@ -0,0 +1,78 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const express = require('express')
+
+const configPath = fs.mkdtempSync(path.join(os.tmpdir(), 'par-'))
+process.env.CONFIG_PATH = configPath
+process.env.PROXY_BASE_URL = 'https://proxy.example.com'
+
+const par = require('../routes/par')
+
+let server
+let baseUrl
+
+test.before(async () => {
+  fs.writeFileSync(path.join(configPath, 'tenants.json'), JSON.stringify([{ id: 'tenant', external_scopes: ['repo'] }]))
+  fs.writeFileSync(path.join(configPath, 'clients.json'), JSON.stringify([{
+    client_id: 'public-client',
+    client_name: 'Public Client',
+    redirect_uris: ['http://127.0.0.1/callback']
+  }]))
+
+  const app = express()
+  app.use('/par', express.json())
+  app.use('/par', express.urlencoded({ extended: true }))
+  par.connect(app)
+  server = app.listen(0, '127.0.0.1')
+  await new Promise(resolve => server.once('listening', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+test.after(() => {
+  server.close()
+  fs.rmSync(configPath, { recursive: true, force: true })
+})
+
+/**
+ * Pushes an authorization request
+ * @param {string} body - The form-urlencoded request body
+ * @returns {Promise<object>} - { status, body }
+ */
+async function push(body) {
+  const response = await fetch(`${baseUrl}/par/tenant`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+test('repeated parameters are rejected', async () => {
+  const result = await push('client_id=public-client&redirect_uri=http%3A%2F%2F127.0.0.1%2Fcallback&redirect_uri=https%3A%2F%2Fattacker.example.com')
+  assert.equal(result.status, 400)
+  assert.equal(result.body.error, 'invalid_request')
+  assert.equal(result.body.error_description, 'The redirect_uri parameter must not be repeated.')
+})
+
+test('parameters that are not strings are rejected', async () => {
+  const result = await push('client_id=public-client&scope[nested]=repo')
+  assert.equal(result.status, 400)
+  assert.equal(result.body.error_description, 'The scope parameter must be a string.')
+})
+
+test('a pushed request must not contain a request_uri', async () => {
+  const result = await push('client_id=public-client&request_uri=urn%3Aietf%3Aparams%3Aoauth%3Arequest_uri%3Aabc')
+  assert.equal(result.status, 400)
+  assert.equal(result.body.error_description, 'A pushed authorization request must not contain a request_uri.')
+})
+
+test('unknown clients are rejected', async () => {
+  const result = await push('client_id=unknown-client')
+  assert.equal(result.status, 401)
+  assert.equal(result.body.error, 'invalid_client')
+})
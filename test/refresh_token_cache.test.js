@@ -0,0 +1,53 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const refreshTokenCache = require('../lib/refresh_token_cache')
+
+/**
+ * Issues a refresh token into a family
+ * @param {string} familyId - The family id
+ * @returns {Promise<string>} - The refresh token
+ */
+function issue(familyId) {
+  return refreshTokenCache.issueRefreshToken(familyId, 'tenant', 'client', 'repo', 'id-token', null)
+}
+
+test('a refresh token can only be redeemed once', async () => {
+  const refreshToken = await issue('family-1')
+
+  const first = await refreshTokenCache.redeemRefreshToken(refreshToken)
+  assert.equal(first.reused, false)
+  assert.equal(first.entry.clientId, 'client')
+  assert.equal(first.entry.idToken, 'id-token')
+
+  const second = await refreshTokenCache.redeemRefreshToken(refreshToken)
+  assert.equal(second.reused, true)
+})
+
+test('reusing a retired refresh token revokes the whole family', async () => {
+  const retiredToken = await issue('family-2')
+  const { entry } = await refreshTokenCache.redeemRefreshToken(retiredToken)
+  const activeToken = await issue(entry.familyId)
+
+  const reuse = await refreshTokenCache.redeemRefreshToken(retiredToken)
+  assert.equal(reuse.reused, true)
+
+  assert.equal(await refreshTokenCache.redeemRefreshToken(activeToken), null)
+  assert.equal(await refreshTokenCache.redeemRefreshToken(retiredToken), null)
+})
+
+test('a restored refresh token can be redeemed again, unless a newer one was issued', async () => {
+  const refreshToken = await issue('family-3')
+  const { entry } = await refreshTokenCache.redeemRefreshToken(refreshToken)
+  await refreshTokenCache.restoreRefreshToken(refreshToken, entry.familyId)
+  assert.equal((await refreshTokenCache.redeemRefreshToken(refreshToken)).reused, false)
+
+  await issue(entry.familyId)
+  await refreshTokenCache.restoreRefreshToken(refreshToken, entry.familyId)
+  assert.equal((await refreshTokenCache.redeemRefreshToken(refreshToken)).reused, true)
+})
+
+test('unknown refresh tokens are not found', async () => {
+  assert.equal(await refreshTokenCache.redeemRefreshToken('unknown'), null)
+})
@@ -0,0 +1,89 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const configPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tenant-middleware-'))
+process.env.CONFIG_PATH = configPath
+process.env.PROXY_BASE_URL = 'https://proxy.example.com'
+
+const { tenantMiddleware } = require('../middleware/tenant_middleware')
+const tokenIssuer = require('../lib/token_issuer')
+
+test.before(() => {
+  fs.writeFileSync(path.join(configPath, 'tenants.json'), JSON.stringify([{ id: 'tenant', external_scopes: ['repo'] }]))
+})
+
+test.after(() => {
+  fs.rmSync(configPath, { recursive: true, force: true })
+})
+
+/**
+ * Runs the tenant middleware for a request path
+ * @param {string} rawPath - The request path, still percent-encoded
+ * @returns {object} - { next, status, proxyPath }
+ */
+function runTenantMiddleware(rawPath) {
+  const req = { params: { tenantId: rawPath.split('/')[1] }, path: rawPath }
+  const res = {
+    statusCode: null,
+    status(statusCode) {
+      this.statusCode = statusCode
+      return this
+    },
+    json() {
+      return this
+    }
+  }
+
+  let calledNext = false
+  tenantMiddleware(req, res, () => { calledNext = true })
+  return { next: calledNext, status: res.statusCode, proxyPath: req.proxyPath }
+}
+
+/**
+ * Checks whether an access token's audience covers the path the tenant middleware would proxy to
+ * @param {string} accessToken - The access token
+ * @param {string} rawPath - The request path, still percent-encoded
+ * @returns {boolean} - True if the token is accepted for the path
+ */
+function isAcceptedFor(accessToken, rawPath) {
+  const { proxyPath } = runTenantMiddleware(rawPath)
+  try {
+    tokenIssuer.verifyAccessToken(accessToken, 'tenant', `${process.env.PROXY_BASE_URL}/tenant/${proxyPath}`)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+const { accessToken } = tokenIssuer.issueAccessToken('tenant', 'user', 'client', 'repo', 'session', 3600, 'https://proxy.example.com/tenant/mcp')
+
+test('paths are checked against the token audience as the backend will see them', () => {
+  assert.equal(isAcceptedFor(accessToken, '/tenant/mcp'), true)
+  assert.equal(isAcceptedFor(accessToken, '/tenant/mcp/tools'), true)
+  assert.equal(isAcceptedFor(accessToken, '/tenant/%6Dcp/tools'), true)
+  assert.equal(isAcceptedFor(accessToken, '/tenant/admin'), false)
+  assert.equal(isAcceptedFor(accessToken, '/tenant/mcpadmin'), false)
+})
+
+test('equivalent encodings normalize to the same path', () => {
+  assert.equal(runTenantMiddleware('/tenant/%6Dcp/a%20b').proxyPath, 'mcp/a%20b')
+  assert.equal(runTenantMiddleware('/tenant/mcp/user@example.com').proxyPath, 'mcp/user@example.com')
+  assert.equal(runTenantMiddleware('/tenant/mcp/user%40example.com').proxyPath, 'mcp/user@example.com')
+})
+
+test('paths that could escape the token audience are rejected', () => {
+  for (const rawPath of ['/tenant/mcp/../admin', '/tenant/mcp/%2e%2e/admin', '/tenant/mcp/%2E%2E/admin', '/tenant/mcp/..%2Fadmin', '/tenant/mcp/%5C..%5Cadmin', '/tenant/mcp/%E0%A4%A']) {
+    const result = runTenantMiddleware(rawPath)
+    assert.equal(result.next, false, rawPath)
+    assert.equal(result.status, 400, rawPath)
+  }
+})
+
+test('unknown tenants are not found', () => {
+  assert.equal(runTenantMiddleware('/other/mcp').status, 404)
+})